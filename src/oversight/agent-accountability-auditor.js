@@ -4,19 +4,25 @@
  * Continuously monitors agent performance and compliance with sprint objectives
  */
 
-import { readFile, writeFile, access, mkdir } from 'fs/promises';
 import { join } from 'path';
 import { execSync } from 'child_process';
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+import { loadSprintGlossary } from './sprint-glossary.js';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
+
+const AUDIT_DATABASE = 'audit/accountability-database';
 
 export class AgentAccountabilityAuditor {
-  constructor() {
-    this.auditDir = join(process.cwd(), '.claude', 'audit');
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
     this.sprintDir = join(process.cwd(), '.claude', 'sprint');
     this.memoryNamespace = 'agent-accountability';
+    this.similarity = new TextSimilarityEngine();
   }
 
   async initialize() {
-    await mkdir(this.auditDir, { recursive: true });
     await this.initializeAuditDatabase();
   }
 
@@ -33,12 +39,8 @@ export class AgentAccountabilityAuditor {
       }
     };
 
-    const auditFile = join(this.auditDir, 'accountability-database.json');
-    
-    try {
-      await access(auditFile);
-    } catch {
-      await writeFile(auditFile, JSON.stringify(auditSchema, null, 2));
+    if (!await this.storage.read(AUDIT_DATABASE)) {
+      await this.storage.write(AUDIT_DATABASE, auditSchema);
     }
   }
 
@@ -159,6 +161,7 @@ export class AgentAccountabilityAuditor {
     try {
       // Load current sprint goals and requirements
       const sprintContext = await this.loadSprintContext();
+      this.similarity.indexSprintContext(sprintContext);
       
       // Analyze task alignment with sprint goals
       const goalAlignment = this.calculateGoalAlignment(taskDetails, sprintContext.goals);
@@ -173,7 +176,9 @@ export class AgentAccountabilityAuditor {
       
       const issues = [];
       if (goalAlignment < 0.6) issues.push('Low alignment with sprint goals');
-      if (requirementAlignment < 0.6) issues.push('Poor requirement satisfaction');
+      if (requirementAlignment < 0.6 && this.requirementTexts(sprintContext.requirements).length > 0) {
+        issues.push('Poor requirement satisfaction');
+      }
       if (constraintCompliance < 0.8) issues.push('Constraint violations detected');
 
       return {
@@ -184,7 +189,8 @@ export class AgentAccountabilityAuditor {
           goalAlignment,
           requirementAlignment,
           constraintCompliance,
-          alignedGoals: this.getAlignedGoals(taskDetails, sprintContext.goals)
+          alignedGoals: this.getAlignedGoals(taskDetails, sprintContext.goals),
+          glossaryMatches: this.similarity.alignment(taskDetails.description || '', sprintContext.goals).glossaryMatches
         }
       };
 
@@ -451,56 +457,9 @@ export class AgentAccountabilityAuditor {
   }
 
   async storeAuditResult(audit) {
-    const auditFile = join(this.auditDir, 'accountability-database.json');
-    
     try {
-      const content = await readFile(auditFile, 'utf8');
-      const database = JSON.parse(content);
-      
-      // Add new audit result
-      database.agents = database.agents || [];
-      database.tasks = database.tasks || [];
-      
-      // Update or add agent record
-      const agentIndex = database.agents.findIndex(a => a.agentId === audit.agentId);
-      if (agentIndex >= 0) {
-        database.agents[agentIndex].lastAudit = audit.timestamp;
-        database.agents[agentIndex].lastScore = audit.overallScore;
-        database.agents[agentIndex].taskCount = (database.agents[agentIndex].taskCount || 0) + 1;
-      } else {
-        database.agents.push({
-          agentId: audit.agentId,
-          firstSeen: audit.timestamp,
-          lastAudit: audit.timestamp,
-          lastScore: audit.overallScore,
-          taskCount: 1
-        });
-      }
-      
-      // Add task record
-      database.tasks.push({
-        taskId: audit.taskId,
-        agentId: audit.agentId,
-        timestamp: audit.timestamp,
-        score: audit.overallScore,
-        complianceLevel: audit.complianceLevel,
-        violationCount: audit.violations.length,
-        requiresOversight: audit.requiresOversight
-      });
-      
-      // Keep only last 1000 task records
-      if (database.tasks.length > 1000) {
-        database.tasks = database.tasks.slice(-1000);
-      }
-      
-      // Update metrics
-      database.metrics.lastUpdated = audit.timestamp;
-      database.metrics.totalTasks = database.tasks.length;
-      database.metrics.complianceRate = database.tasks.filter(t => t.complianceLevel !== 'non-compliant').length / database.tasks.length;
-      database.metrics.averageAccountabilityScore = database.tasks.reduce((sum, t) => sum + t.score, 0) / database.tasks.length;
-      
-      await writeFile(auditFile, JSON.stringify(database, null, 2));
-
+      // The accountability database is a projection of audit events
+      await this.eventLog.record(EVENT_TYPES.AUDIT, audit, { source: 'accountability-auditor' });
     } catch (error) {
       console.error('Failed to store audit result:', error.message);
     }
@@ -518,37 +477,44 @@ export class AgentAccountabilityAuditor {
       timestamp: audit.timestamp
     };
 
-    // Store alert
-    const alertFile = join(this.auditDir, 'oversight-alerts.json');
-    let alerts = [];
-    
-    try {
-      const content = await readFile(alertFile, 'utf8');
-      alerts = JSON.parse(content);
-    } catch {
-      // File doesn't exist, start fresh
-    }
-    
-    alerts.push(alert);
-    
-    // Keep only last 100 alerts
-    if (alerts.length > 100) {
-      alerts = alerts.slice(-100);
-    }
-    
-    await writeFile(alertFile, JSON.stringify(alerts, null, 2));
+    // Store alert (the alert list keeps the last 100)
+    await this.eventLog.record(EVENT_TYPES.ALERT, alert, { source: 'accountability-auditor' });
 
     // Could integrate with notification system here
     console.warn(`⚠️  OVERSIGHT ALERT: Agent ${audit.agentId} requires attention (Score: ${Math.round(audit.overallScore * 100)}%)`);
   }
 
+  /**
+   * Raise an oversight alert for a task whose score the integrity detector flagged
+   */
+  async raiseIntegrityAlert(agentId, taskId, integrity) {
+    const alert = {
+      type: 'integrity-alert',
+      severity: integrity.penalty >= 0.3 ? 'critical' : 'warning',
+      agentId,
+      taskId,
+      penalty: integrity.penalty,
+      violations: integrity.flags.map(flag => flag.type),
+      flags: integrity.flags,
+      recommendations: ['Review the task output against the work actually delivered'],
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await this.eventLog.record(EVENT_TYPES.ALERT, alert, { source: 'accountability-auditor' });
+    } catch (error) {
+      console.warn('⚠️  Could not record integrity alert:', error.message);
+    }
+
+    console.warn(`⚠️  INTEGRITY ALERT: Agent ${agentId} task ${taskId} flagged (${alert.violations.join(', ')}), penalty ${integrity.penalty}`);
+    return alert;
+  }
+
   async generateAccountabilityReport(agentId = null, timeframe = '7d') {
-    const auditFile = join(this.auditDir, 'accountability-database.json');
-    
     try {
-      const content = await readFile(auditFile, 'utf8');
-      const database = JSON.parse(content);
-      
+      const database = await this.storage.read(AUDIT_DATABASE);
+      if (!database) throw new Error('No audit data recorded yet');
+
       // Filter data based on timeframe
       const cutoffDate = new Date();
       const days = parseInt(timeframe.replace('d', ''));
@@ -671,9 +637,7 @@ export class AgentAccountabilityAuditor {
   async getContextAcknowledgment(agentId) {
     try {
       // Check if agent has acknowledged sprint context
-      const acknowledgmentFile = join(this.auditDir, 'context-acknowledgments.json');
-      const content = await readFile(acknowledgmentFile, 'utf8');
-      const acknowledgments = JSON.parse(content);
+      const acknowledgments = await this.storage.read('audit/context-acknowledgments', {});
       return acknowledgments[agentId];
     } catch {
       return null;
@@ -685,28 +649,28 @@ export class AgentAccountabilityAuditor {
     return {
       goals: ['Implement secure authentication', 'Improve system performance'],
       requirements: { functional: [], nonFunctional: [] },
-      constraints: { technical: [], compliance: [] }
+      constraints: { technical: [], compliance: [] },
+      glossary: await loadSprintGlossary(join(this.sprintDir, 'current'))
     };
   }
 
   calculateGoalAlignment(taskDetails, goals) {
-    // Simplified implementation
-    const taskDescription = taskDetails.description?.toLowerCase() || '';
-    let maxAlignment = 0;
-    
-    for (const goal of goals) {
-      const goalWords = goal.toLowerCase().split(/\s+/);
-      const matches = goalWords.filter(word => taskDescription.includes(word)).length;
-      const alignment = matches / goalWords.length;
-      maxAlignment = Math.max(maxAlignment, alignment);
-    }
-    
-    return maxAlignment;
+    return this.similarity.alignment(taskDetails.description || '', goals).score;
   }
 
+  /**
+   * Alignment with the closest functional or non-functional requirement, or
+   * all of them pooled; neutral (0.5) when the sprint lists none
+   */
   calculateRequirementAlignment(taskDetails, requirements) {
-    // Simplified implementation
-    return 0.8; // Placeholder
+    const items = this.requirementTexts(requirements);
+    if (items.length === 0) return 0.5;
+
+    return this.similarity.alignment(taskDetails.description || '', items).score;
+  }
+
+  requirementTexts(requirements = {}) {
+    return collectText([requirements.functional, requirements.nonFunctional]);
   }
 
   checkConstraintCompliance(taskDetails, constraints) {
@@ -0,0 +1,241 @@
+/**
+ * Agent Task Router
+ * Recommends agents for a task from their per-type ratings, recent history,
+ * current load and the task's technical domains. An exploration bonus and a
+ * reserved shortlist slot keep work flowing to agents that are still
+ * building a rating.
+ */
+
+const DEFAULT_WEIGHTS = { skill: 0.4, history: 0.25, domain: 0.2, load: 0.15 };
+const DEFAULT_EXPLORATION = { bonus: 0.15, minTasks: 5, reserveSlot: true };
+const RECENT_TASKS = 10;
+
+let taskAnalyzer = null;
+
+/**
+ * Task analysis (task type, domains, complexity) comes from the pre-task
+ * validation hook, a CommonJS module; its analysis methods use no hook state
+ */
+function loadTaskAnalyzer() {
+  if (!taskAnalyzer) {
+    taskAnalyzer = import('./pre-task-validation-hook.js')
+      .then(module => (module.default || module).prototype)
+      .catch(error => {
+        console.warn('⚠️  Could not load pre-task validation hook for task analysis:', error.message);
+        return null;
+      });
+  }
+  return taskAnalyzer;
+}
+
+export class AgentTaskRouter {
+  /**
+   * @param {Object} options
+   *   eloSystem: AgentELORankingSystem the ratings come from (required)
+   *   performanceCache: Map of agentId → recent learning records (the engine's agentPerformanceCache)
+   *   agents: agent ids to consider besides the rated ones, e.g. agents that have not run yet
+   *   weights: { skill, history, domain, load } factor weights
+   *   exploration: { bonus, minTasks, reserveSlot }, or false to rank on merit only
+   *     bonus: score added for an agent with no rated tasks of the type, shrinking to 0 at minTasks (0.15, 5)
+   *     reserveSlot: keep one shortlist slot for the best agent still below minTasks (true)
+   *   maxLoad: tasks in progress at which an agent counts as fully loaded (default 3)
+   *   analyzer: task analysis override with inferTaskType, detectDomains, calculateDomainComplexity, estimateTaskComplexity
+   */
+  constructor(options = {}) {
+    if (!options.eloSystem) {
+      throw new Error('AgentTaskRouter requires an eloSystem');
+    }
+
+    this.eloSystem = options.eloSystem;
+    this.performanceCache = options.performanceCache || new Map();
+    this.agents = new Set(options.agents || []);
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.exploration = options.exploration === false ? null : { ...DEFAULT_EXPLORATION, ...options.exploration };
+    this.maxLoad = options.maxLoad ?? 3;
+    this.analyzer = options.analyzer || null;
+    this.activeTasks = new Map();
+  }
+
+  registerAgent(agentId) {
+    this.agents.add(agentId);
+  }
+
+  taskStarted(agentId) {
+    this.activeTasks.set(agentId, this.getLoad(agentId) + 1);
+  }
+
+  taskFinished(agentId) {
+    const load = this.getLoad(agentId) - 1;
+    if (load > 0) {
+      this.activeTasks.set(agentId, load);
+    } else {
+      this.activeTasks.delete(agentId);
+    }
+  }
+
+  getLoad(agentId) {
+    return this.activeTasks.get(agentId) || 0;
+  }
+
+  async getAnalyzer() {
+    return this.analyzer || loadTaskAnalyzer();
+  }
+
+  async detectDomains(text) {
+    const analyzer = await this.getAnalyzer();
+    return analyzer && text ? analyzer.detectDomains(text) : [];
+  }
+
+  /**
+   * @param {Object} options - { taskType, complexity } override what is inferred from the description
+   */
+  async analyzeTask(taskDescription, options = {}) {
+    const analyzer = await this.getAnalyzer();
+    const inferredType = analyzer ? analyzer.inferTaskType(taskDescription) : null;
+
+    return {
+      taskType: this.eloSystem.normalizeTaskType(options.taskType || inferredType),
+      domains: analyzer ? analyzer.detectDomains(taskDescription) : [],
+      domainComplexity: analyzer ? analyzer.calculateDomainComplexity(taskDescription) : 0,
+      complexity: options.complexity ?? (analyzer ? await analyzer.estimateTaskComplexity(taskDescription) : 0.5)
+    };
+  }
+
+  /**
+   * Agents to rank: the sprint's roster when it names one, otherwise every known agent
+   */
+  candidates(sprintContext = {}, options = {}) {
+    if (options.candidates) return [...new Set(options.candidates)];
+    if (Array.isArray(sprintContext.agents) && sprintContext.agents.length > 0) return [...new Set(sprintContext.agents)];
+
+    return [...new Set([
+      ...this.agents,
+      ...this.eloSystem.agentStates.keys(),
+      ...this.performanceCache.keys()
+    ])];
+  }
+
+  /**
+   * Ranked shortlist of agents for a task
+   * @param {string} taskDescription - Description of the task
+   * @param {Object} sprintContext - Sprint context; sprintContext.agents limits the candidates
+   * @param {Object} options - { count, taskType, complexity, candidates, exploration }
+   * @returns {Promise<Object>} { taskType, complexity, domains, candidates, shortlist }
+   */
+  async recommendAgents(taskDescription, sprintContext = {}, options = {}) {
+    const count = options.count ?? 3;
+    const exploration = options.exploration === false
+      ? null
+      : this.exploration && { ...this.exploration, ...options.exploration };
+    const task = await this.analyzeTask(taskDescription, options);
+
+    const ranked = this.candidates(sprintContext, options)
+      .map(agentId => this.scoreAgent(agentId, task, exploration))
+      .sort((a, b) => b.score - a.score);
+
+    const shortlist = ranked.slice(0, count);
+
+    // Keep a slot for an agent still building its rating, unless one made the list on its own
+    if (exploration?.reserveSlot && count > 1 && shortlist.length === count && !shortlist.some(entry => entry.unproven)) {
+      const explorer = ranked.slice(count).find(entry => entry.unproven);
+      if (explorer) {
+        explorer.explored = true;
+        explorer.reasons.push(`Reserved exploration slot: still building a ${task.taskType || 'overall'} rating (${explorer.ratedTasks} rated tasks)`);
+        shortlist[count - 1] = explorer;
+      }
+    }
+
+    return {
+      taskType: task.taskType,
+      complexity: task.complexity,
+      domains: task.domains,
+      candidates: ranked.length,
+      shortlist: shortlist.map(({ unproven, ...entry }, index) => ({ rank: index + 1, ...entry }))
+    };
+  }
+
+  scoreAgent(agentId, task, exploration = this.exploration) {
+    const elo = this.eloSystem;
+    const type = task.taskType;
+    const typeLabel = type || 'overall';
+    const reasons = [];
+
+    // Skill: expected score against the task's learned difficulty
+    const hasRating = type ? elo.hasSkillRating(agentId, type) : elo.agentStates.has(agentId);
+    const state = elo.effectiveState(agentId, type ? elo.getSkillState(agentId, type) : elo.getAgentState(agentId));
+    const provisional = elo.backend.isUncertain(state);
+    const skill = elo.calculateExpectedScore(state.rating, task.complexity, type);
+    reasons.push(hasRating
+      ? `${typeLabel} rating ${state.rating.toFixed(0)}, expected score ${skill.toFixed(2)} at complexity ${task.complexity.toFixed(2)}`
+      : `No ${typeLabel} rating yet; starts from ${state.rating.toFixed(0)}`);
+    if (provisional) {
+      reasons.push(`Rating is still provisional (±${state.deviation.toFixed(0)})`);
+    }
+
+    // History: recent verification scores, smoothed toward 0.5 for short histories
+    const records = this.performanceCache.get(agentId) || [];
+    const typed = type ? records.filter(record => elo.normalizeTaskType(record.taskType) === type) : records;
+    const recent = (typed.length > 0 ? typed : records).slice(-RECENT_TASKS);
+    const scoreSum = recent.reduce((sum, record) => sum + (record.verificationScore ?? (record.successful ? 1 : 0)), 0);
+    const history = (scoreSum + 1) / (recent.length + 2);
+    reasons.push(recent.length > 0
+      ? `Average verification score ${(scoreSum / recent.length).toFixed(2)} over ${recent.length} recent ${typed.length > 0 ? `${typeLabel} ` : ''}tasks`
+      : 'No recent task history');
+
+    // Domain: share of the task's domains the agent has recently worked in
+    let domain = null;
+    if (task.domains.length > 0) {
+      const agentDomains = new Set(records.flatMap(record => record.domains || []));
+      const matched = task.domains.filter(name => agentDomains.has(name));
+      domain = matched.length / task.domains.length;
+      reasons.push(matched.length > 0
+        ? `Recent work in ${matched.join(', ')}`
+        : `No recent work in ${task.domains.join(', ')}`);
+    }
+
+    // Load: tasks currently in progress
+    const activeTasks = this.getLoad(agentId);
+    const load = 1 - Math.min(activeTasks / this.maxLoad, 1);
+    reasons.push(activeTasks > 0 ? `${activeTasks} task(s) in progress` : 'No tasks in progress');
+
+    // Multi-domain tasks lean more on domain experience
+    const weights = {
+      skill: this.weights.skill,
+      history: this.weights.history,
+      domain: domain === null ? 0 : this.weights.domain * (1 + task.domainComplexity),
+      load: this.weights.load
+    };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const merit = (skill * weights.skill + history * weights.history + (domain || 0) * weights.domain + load * weights.load) / totalWeight;
+
+    // Exploration: a bonus that fades as the agent's rated tasks of this type approach minTasks
+    const ratedTasks = (elo.performanceHistory.get(agentId) || [])
+      .filter(record => !type || record.taskType === type).length;
+    const unproven = !!exploration && (ratedTasks < exploration.minTasks || provisional);
+    const bonus = exploration ? exploration.bonus * Math.max(0, 1 - ratedTasks / exploration.minTasks) : 0;
+    if (bonus > 0) {
+      reasons.push(`Exploration bonus +${bonus.toFixed(2)}: ${ratedTasks} rated ${typeLabel} tasks`);
+    }
+
+    return {
+      agentId,
+      score: Number((merit + bonus).toFixed(3)),
+      rating: Number(state.rating.toFixed(0)),
+      provisional,
+      ratedTasks,
+      load: activeTasks,
+      explored: false,
+      unproven,
+      factors: {
+        skill: Number(skill.toFixed(3)),
+        history: Number(history.toFixed(3)),
+        domain: domain === null ? null : Number(domain.toFixed(3)),
+        load: Number(load.toFixed(3)),
+        exploration: Number(bonus.toFixed(3))
+      },
+      reasons
+    };
+  }
+}
+
+export default AgentTaskRouter;
@@ -0,0 +1,361 @@
+/**
+ * Alternative Solution Generator
+ * Builds alternative solutions for a task from what the sprint has settled:
+ * its goals, its accepted architecture decisions, its constraints and the
+ * success patterns the Verification Layer has learned for the task type.
+ * Every alternative carries a rationale naming the goal or decision it
+ * serves. An alternative that proposes something an accepted decision rules
+ * out is dropped, never offered.
+ */
+
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+
+// Clauses that rule out what follows them: "must not use X", "no X", "without X", "prohibit X", "X instead of Y", ...
+const PROHIBITION = /\b(?:(?:must|shall|should|will|may|can|do|does)\s*not|mustn't|shouldn't|won't|can't|don't|doesn't|never|avoid|instead of|rather than|no longer|no|without|prohibit(?:s|ed)?|forbid(?:s)?|ban(?:s|ned)?|disallow(?:s|ed)?|exclude(?:s|d)?)\b([^.;,\n]*)/gi;
+
+// Clauses that rule out what precedes them: "X are not allowed", "X is forbidden", "X must not be used", ...
+const PROHIBITED_SUBJECT = /([^.;,:\n]+?)\s+(?:(?:is|are)\s+(?:not\s+(?:allowed|permitted|used)|forbidden|prohibited|banned|disallowed|ruled out|off-limits)|(?:must|shall|should|will|may|can)(?:\s*not|n't|\s+never)\s+be\s+(?:used|introduced|added|adopted|allowed|permitted|deployed))\b/gi;
+
+// Verbs and articles in front of what is ruled out ("must not use a microservice" rules out microservice)
+const LEADING_VERBS = /^(?:\s*(?:use|using|usage|of|introduce|introducing|add|adding|adopt|adopting|build|building|rely on|depend on|call|calling|store|storing|deploy|deploying|write|writing|access|accessing|run|running|be|have|the|a|an|any|new)\b)+/i;
+
+// What a passive prohibition leaves after its verbs ("must not be used"): nothing ruled out by itself
+const PASSIVE_REMAINDER = /^(?:used|introduced|added|adopted|allowed|permitted|deployed)\b/i;
+
+// Where the ruled-out thing ends: "microservices for new features" rules out microservices
+const PHRASE_END = /\b(?:for|in|on|to|when|unless|because|with|across|between|from|at|so|until|during|and|or|but)\b/i;
+
+// Where a prohibited subject starts: in "Use PostgreSQL and MongoDB is forbidden" only MongoDB is
+const SUBJECT_START = /\b(?:and|or|but|so|because|while|whereas)\b/i;
+
+const SOLUTION_FIELDS = ['approach', 'architecture', 'technicalDetails', 'testing', 'errorHandling', 'risks', 'resourceRequirements', 'timeline'];
+
+function clamp(value, min = 0.05, max = 1) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Split a prohibited subject into what it keeps and what it rules out:
+ * "Use PostgreSQL and MongoDB" → { kept: 'Use PostgreSQL', ruledOut: 'MongoDB' }
+ */
+function splitSubject(subject) {
+  const ruledOut = subject.split(SUBJECT_START).pop();
+  const kept = subject.slice(0, subject.length - ruledOut.length).replace(new RegExp(`${SUBJECT_START.source}\\s*$`, 'i'), '');
+  return { kept: kept.trim(), ruledOut: ruledOut.trim() };
+}
+
+/**
+ * Decisions as { title, decision, rationale, status, accepted, rejects }; a plain string is an accepted decision.
+ * rejects lists what the decision rules out (details.rejects), on top of what its wording rules out.
+ */
+export function normalizeDecisions(decisions = []) {
+  return (Array.isArray(decisions) ? decisions : [])
+    .map((decision, index) => {
+      if (typeof decision === 'string') {
+        return { title: `Decision ${index + 1}`, decision, rationale: null, status: 'Accepted', accepted: true, rejects: [] };
+      }
+      const details = decision?.details || decision || {};
+      const status = details.status ?? decision?.status ?? null;
+      return {
+        title: decision?.title || `Decision ${index + 1}`,
+        decision: details.decision || decision?.decision || decision?.title || '',
+        rationale: details.rationale || decision?.rationale || null,
+        status,
+        accepted: status === null || /\baccepted\b/i.test(status),
+        rejects: collectText(details.rejects ?? decision?.rejects)
+      };
+    })
+    .filter(decision => decision.decision);
+}
+
+/**
+ * Text with every clause that rules something out removed
+ */
+export function affirmativeText(text) {
+  return String(text || '')
+    .replace(PROHIBITED_SUBJECT, (_, subject) => splitSubject(subject).kept)
+    .replace(PROHIBITION, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[;,:]+$/, '');
+}
+
+export class AlternativeSolutionGenerator {
+  /**
+   * @param {Object} options
+   *   verificationLayer: VerificationLayer whose successPatterns are read on each call
+   *   similarity: TextSimilarityEngine to use (a new one by default)
+   *   maxAlternatives: most alternatives to offer (5)
+   *   maxGoalAlternatives: most alternatives focused on a single goal (2)
+   */
+  constructor(options = {}) {
+    this.verificationLayer = options.verificationLayer || null;
+    this.similarity = options.similarity || new TextSimilarityEngine();
+    this.maxAlternatives = options.maxAlternatives ?? 5;
+    this.maxGoalAlternatives = options.maxGoalAlternatives ?? 2;
+  }
+
+  /**
+   * @param {Object} taskData - { description, type, complexity, ... }
+   * @param {Object} sprintContext - { goals, architectureDecisions, constraints, acceptanceCriteria, glossary }
+   * @returns {Object} { alternatives, rejected }
+   *   alternatives: [{ name, description, type, complexity, approach, ..., source, rationale: [{ kind: 'goal' | 'decision', reference, reason }], basis }]
+   *   rejected: [{ name, conflicts: [{ decision, ruledOut }] }] alternatives dropped for conflicting with an accepted decision
+   */
+  generate(taskData = {}, sprintContext = {}) {
+    this.similarity.indexSprintContext(sprintContext);
+
+    const task = {
+      description: taskData.description || 'Task implementation',
+      type: taskData.type || 'general',
+      complexity: taskData.complexity ?? 0.5
+    };
+    const goals = collectText(sprintContext.goals);
+    const decisions = normalizeDecisions(sprintContext.architectureDecisions).filter(decision => decision.accepted);
+    const constraints = this.constraints(sprintContext.constraints);
+    const maxComplexity = constraints.maxComplexity ?? 1;
+    const context = { task, goals, decisions, constraints, maxComplexity, sprintContext };
+
+    const candidates = [
+      this.patternAlternative(context),
+      this.decisionAlternative(context),
+      ...this.goalAlternatives(context),
+      this.constraintAlternative(context)
+    ].filter(Boolean);
+
+    const alternatives = [];
+    const rejected = [];
+    for (const candidate of candidates) {
+      // A rationale that names no goal or decision is no rationale
+      if (!candidate.rationale.some(reason => reason.kind === 'goal' || reason.kind === 'decision')) continue;
+
+      const conflicts = this.conflicts(candidate, decisions);
+      if (conflicts.length > 0) {
+        rejected.push({ name: candidate.name, conflicts });
+        continue;
+      }
+      alternatives.push({ ...candidate, complexity: Number(clamp(candidate.complexity, 0.05, maxComplexity).toFixed(3)) });
+    }
+
+    return { alternatives: alternatives.slice(0, this.maxAlternatives), rejected };
+  }
+
+  /**
+   * Constraints as { technical, compliance, maxComplexity, requiredPatterns }, from
+   * the sprint validator's { time, technical, resource, compliance } lists, a plain list,
+   * or an object such as { maxComplexity, requiredPatterns }
+   */
+  constraints(constraints = {}) {
+    if (Array.isArray(constraints)) {
+      return { technical: collectText(constraints), compliance: [], maxComplexity: null, requiredPatterns: [] };
+    }
+    const value = constraints || {};
+    return {
+      technical: collectText(value.technical),
+      compliance: collectText(value.compliance),
+      maxComplexity: typeof value.maxComplexity === 'number' ? value.maxComplexity : null,
+      requiredPatterns: collectText(value.requiredPatterns)
+    };
+  }
+
+  /**
+   * Goals ranked by how closely the text matches them, best first; goals it shares no terms with are left out
+   */
+  rankGoals(text, goals) {
+    return goals
+      .map(goal => ({ goal, ...this.similarity.compare(text, goal) }))
+      .filter(match => match.matchedTerms.length > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  goalReason(match, prefix) {
+    const matched = match.matchedTerms.map(term => [...match.sources.get(term)][0]);
+    return {
+      kind: 'goal',
+      reference: match.goal,
+      reason: `${prefix} ${matched.join(', ')}`
+    };
+  }
+
+  /**
+   * The approach of the best verified solution of the task's type, applied to this task
+   */
+  patternAlternative({ task, goals, decisions }) {
+    const pattern = this.verificationLayer?.successPatterns?.get(task.type);
+    if (!pattern || pattern.examples.length === 0) return null;
+
+    // Best example that does not itself break an accepted decision
+    const examples = [...pattern.examples]
+      .sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)));
+    const example = examples.find(candidate => this.conflicts(candidate.output || {}, decisions).length === 0);
+    if (!example) return null;
+
+    const output = example.output || {};
+    const fields = Object.fromEntries(SOLUTION_FIELDS.filter(field => output[field] !== undefined).map(field => [field, output[field]]));
+    const exampleText = collectText(output).join('\n');
+    const goal = this.rankGoals(exampleText, goals)[0];
+    const decision = this.rankDecisions(exampleText, decisions)[0];
+
+    return {
+      name: `Proven ${task.type} approach`,
+      description: task.description,
+      type: task.type,
+      complexity: pattern.summary?.avgComplexity || task.complexity,
+      approach: output.approach || `Follow the verified ${task.type} solution "${output.description || 'unnamed'}"`,
+      ...fields,
+      source: 'pattern',
+      rationale: [
+        goal && this.goalReason(goal, `The verified ${task.type} solution this reuses served this goal through`),
+        decision && { kind: 'decision', reference: decision.decision.title, reason: `The verified solution already works within: ${affirmativeText(decision.decision.decision)}` },
+        { kind: 'pattern', reference: task.type, reason: `${pattern.count} verified ${task.type} solutions; this one scored ${example.score.toFixed(2)} (${example.timestamp})` }
+      ].filter(Boolean),
+      basis: {
+        goals: goal ? [goal.goal] : [],
+        decisions: decision ? [decision.decision.title] : [],
+        pattern: { type: task.type, count: pattern.count, score: example.score, timestamp: example.timestamp }
+      }
+    };
+  }
+
+  /**
+   * Accepted decisions ranked by how closely the text matches them; unrelated ones left out
+   */
+  rankDecisions(text, decisions) {
+    return decisions
+      .map(decision => ({ decision, score: this.similarity.similarity(text, `${decision.title}\n${decision.decision}`) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * The task built on the accepted decisions it touches: what each decision
+   * prescribes becomes the architecture, what it rules out stays out
+   */
+  decisionAlternative({ task, goals, decisions }) {
+    const related = this.rankDecisions(task.description, decisions)
+      .filter(match => affirmativeText(match.decision.decision));
+    if (related.length === 0) return null;
+
+    const prescribed = related.map(match => affirmativeText(match.decision.decision));
+    const goal = this.rankGoals(task.description, goals)[0];
+
+    return {
+      name: 'Built on accepted decisions',
+      description: task.description,
+      type: task.type,
+      complexity: task.complexity,
+      approach: `Implement within the sprint's architecture: ${prescribed.join('; ')}`,
+      architecture: { prescribed },
+      testing: { strategy: 'integration', focus: prescribed },
+      source: 'decisions',
+      rationale: [
+        ...related.map(match => ({
+          kind: 'decision',
+          reference: match.decision.title,
+          reason: match.decision.rationale
+            ? `Accepted decision the task touches: ${match.decision.rationale}`
+            : 'Accepted decision the task touches'
+        })),
+        goal && this.goalReason(goal, 'Serves this goal through')
+      ].filter(Boolean),
+      basis: { goals: goal ? [goal.goal] : [], decisions: related.map(match => match.decision.title) }
+    };
+  }
+
+  /**
+   * The task scoped to each goal it serves, covering the goal's wording the task leaves out
+   */
+  goalAlternatives({ task, goals, sprintContext }) {
+    const criteria = collectText(sprintContext.acceptanceCriteria || sprintContext.acceptance_criteria);
+
+    return this.rankGoals(task.description, goals).slice(0, this.maxGoalAlternatives).map(match => {
+      const missing = match.missingTerms.map(term => [...match.sources.get(term)][0]);
+      const relevantCriteria = criteria.filter(criterion => this.similarity.similarity(criterion, match.goal) > 0);
+
+      return {
+        name: `Focused on: ${match.goal}`,
+        description: task.description,
+        type: task.type,
+        complexity: task.complexity,
+        approach: missing.length > 0
+          ? `Deliver what "${match.goal}" needs first, including ${missing.join(', ')}`
+          : `Deliver what "${match.goal}" needs first`,
+        testing: {
+          strategy: 'acceptance',
+          criteria: relevantCriteria.length > 0 ? relevantCriteria : [match.goal]
+        },
+        source: 'goal',
+        rationale: [
+          this.goalReason(match, 'The task already shares'),
+          ...(missing.length > 0 ? [{ kind: 'goal', reference: match.goal, reason: `Adds what the task does not mention yet: ${missing.join(', ')}` }] : [])
+        ],
+        basis: { goals: [match.goal], decisions: [], criteria: relevantCriteria }
+      };
+    });
+  }
+
+  /**
+   * The smallest version of the task that serves its closest goal within the sprint's constraints
+   */
+  constraintAlternative({ task, goals, constraints, maxComplexity }) {
+    const checks = [...constraints.technical, ...constraints.compliance];
+    if (checks.length === 0 && constraints.maxComplexity === null && constraints.requiredPatterns.length === 0) return null;
+
+    const goal = this.rankGoals(task.description, goals)[0];
+    if (!goal) return null;
+
+    return {
+      name: 'Within sprint constraints',
+      description: task.description,
+      type: task.type,
+      complexity: Math.min(task.complexity * 0.8, maxComplexity),
+      approach: `Smallest change that meets "${goal.goal}"${constraints.requiredPatterns.length > 0 ? ` using ${constraints.requiredPatterns.join(', ')}` : ''}`,
+      constraintChecks: checks.map(constraint => ({ constraint, check: 'Review and CI' })),
+      source: 'constraints',
+      rationale: [
+        this.goalReason(goal, 'Closest goal, shared through'),
+        ...(checks.length > 0 ? [{ kind: 'constraint', reference: checks.join('; '), reason: 'Each constraint is checked before the change lands' }] : []),
+        ...(constraints.maxComplexity !== null ? [{ kind: 'constraint', reference: `maxComplexity ${constraints.maxComplexity}`, reason: 'Complexity kept under the sprint limit' }] : [])
+      ],
+      basis: { goals: [goal.goal], decisions: [], constraints: checks }
+    };
+  }
+
+  /**
+   * What accepted decisions rule out that the solution proposes. Rationale,
+   * basis and constraintChecks quote the sprint and are not proposals; clauses
+   * in the solution that rule something out themselves are not proposals either.
+   * @returns {Array} [{ decision, ruledOut }]
+   */
+  conflicts(solution, decisions) {
+    const { rationale, basis, constraintChecks, critique, ...content } = solution;
+    const proposed = new Set(this.similarity.terms(affirmativeText(collectText(content).join('\n'))));
+    const conflicts = [];
+
+    for (const decision of decisions) {
+      for (const ruledOut of [...(decision.rejects || []), ...this.ruledOut(decision.decision)]) {
+        const terms = this.similarity.analyzeWords(ruledOut).terms;
+        if (terms.length > 0 && terms.every(term => proposed.has(term))) {
+          conflicts.push({ decision: decision.title, ruledOut });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Phrases a decision rules out: "Must not use microservices for new features" → ['microservices'],
+   * "Use PostgreSQL instead of MongoDB" → ['MongoDB'], "Microservices are not allowed" → ['Microservices']
+   */
+  ruledOut(text) {
+    const value = String(text || '');
+    const phrase = words => words.replace(LEADING_VERBS, '').split(PHRASE_END)[0].trim();
+
+    return [
+      ...Array.from(value.matchAll(PROHIBITED_SUBJECT)).map(match => phrase(splitSubject(match[1]).ruledOut)),
+      ...Array.from(value.matchAll(PROHIBITION)).map(match => phrase(match[1]))
+    ].filter(ruledOut => ruledOut && !PASSIVE_REMAINDER.test(ruledOut));
+  }
+}
+
+export default AlternativeSolutionGenerator;
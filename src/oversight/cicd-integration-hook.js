@@ -8,9 +8,13 @@ import { readFile, writeFile, access } from 'fs/promises';
 import { join } from 'path';
 import { execSync } from 'child_process';
 import RecursiveSprintAccountabilityEngine from '../oversight/recursive-sprint-accountability-engine.js';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
 
 export class CICDIntegrationHook {
-  constructor() {
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = new OversightEventLog({ storage: this.storage });
     this.engine = null;
     this.integrationPoints = {
       preCommit: false,
@@ -27,8 +31,14 @@ export class CICDIntegrationHook {
       // Load configuration
       const configPath = join(process.cwd(), '.claude', 'oversight', 'recursive-config.json');
       const config = JSON.parse(await readFile(configPath, 'utf8'));
-      
-      this.engine = new RecursiveSprintAccountabilityEngine(config);
+
+      // A storage section in the config moves all oversight state to that backend
+      if (config.storage) {
+        this.storage = resolveStorage(config.storage);
+        this.eventLog = new OversightEventLog({ storage: this.storage });
+      }
+
+      this.engine = new RecursiveSprintAccountabilityEngine({ ...config, storage: this.storage, eventLog: this.eventLog });
       await this.engine.initialize();
       
       // Detect existing CI/CD infrastructure
@@ -513,28 +523,8 @@ export class CICDIntegrationHook {
 
   async logValidationResult(type, validation) {
     try {
-      const logDir = join(process.cwd(), '.claude', 'oversight', 'validation-logs');
-      const logFile = join(logDir, `${type}-${new Date().toISOString().split('T')[0]}.json`);
-      
-      let logs = [];
-      try {
-        logs = JSON.parse(await readFile(logFile, 'utf8'));
-      } catch {
-        // File doesn't exist, start fresh
-      }
-
-      logs.push({
-        timestamp: new Date().toISOString(),
-        type: type,
-        validation: validation
-      });
-
-      // Keep only last 100 entries
-      if (logs.length > 100) {
-        logs = logs.slice(-100);
-      }
-
-      await writeFile(logFile, JSON.stringify(logs, null, 2));
+      // Daily validation logs (last 100 entries each) are projections of these events
+      await this.eventLog.record(EVENT_TYPES.CI_CHECK, { type, validation }, { source: 'cicd-integration' });
     } catch (error) {
       console.warn('⚠️  Could not log validation result:', error.message);
     }
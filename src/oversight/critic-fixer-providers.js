@@ -0,0 +1,532 @@
+/**
+ * Critic-Fixer Providers
+ * The critic scores a solution and says what is wrong with it; the fixer
+ * revises the solution to answer the critique. The heuristic providers are
+ * the built-in rules. The model provider asks a chat-completions endpoint
+ * (OpenAI-compatible) for both; model-stub-server.js is a deterministic
+ * local stand-in for one.
+ *
+ * Critic interface:
+ *   critique(solution, context) → { score, factors, strengths, weaknesses, improvementAreas, summary, issues }
+ *     score and factors are 0..1; issues are [{ area, severity: 'high' | 'medium' | 'low', message, suggestion }]
+ * Fixer interface:
+ *   fix(solution, critique, context) → { solution, changes: [{ area, description }] }
+ * Both:
+ *   name, describe() → configuration recorded with each critique
+ *
+ * context is the cycle's evaluation context: { sprintGoals, constraints, qualityStandards, glossary }
+ *   qualityStandards.solutionWeights: the sprint's factor weights for the score
+ */
+
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+
+const HEURISTIC_WEIGHTS = {
+  sprintAlignment: 0.3,
+  technicalQuality: 0.25,
+  implementationFeasibility: 0.25,
+  riskAssessment: 0.15,
+  innovationFactor: 0.05
+};
+
+const HEURISTIC_SUGGESTIONS = {
+  sprintAlignment: 'Tie the solution to the sprint goals it serves',
+  technicalQuality: 'Add technical details, the architecture, a testing strategy and error handling',
+  implementationFeasibility: 'Keep complexity down and give realistic resource requirements and timeline',
+  riskAssessment: 'List the risks with a mitigation for each',
+  innovationFactor: 'Describe what is new in the approach'
+};
+
+// The revision the heuristic fixer makes for each weak factor
+const HEURISTIC_REVISIONS = {
+  sprintAlignment: 'reviseSprintAlignment',
+  technicalQuality: 'reviseTechnicalQuality',
+  implementationFeasibility: 'reviseFeasibility',
+  riskAssessment: 'reviseRisks'
+};
+
+// Complexity the heuristic fixer scopes a solution down to
+const FEASIBLE_COMPLEXITY = 0.7;
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+const CRITIC_INSTRUCTIONS = [
+  'You review a proposed solution to a sprint task.',
+  'The user message is JSON: { task: "critique", solution, context: { sprintGoals, constraints, qualityStandards } }.',
+  'Judge what the solution actually proposes against the sprint goals, constraints and quality standards; do not reward fields for merely being present.',
+  'When qualityStandards.solutionWeights gives factor weights, score is the factors weighted by them.',
+  'Reply with only a JSON object: { "score": 0..1, "factors": { "<factor>": 0..1 }, "strengths": [string], "weaknesses": [string],',
+  '"improvementAreas": [string], "summary": string, "issues": [{ "area": string, "severity": "high" | "medium" | "low", "message": string, "suggestion": string }] }.'
+].join(' ');
+
+const FIXER_INSTRUCTIONS = [
+  'You revise a proposed solution to a sprint task so that it resolves the issues a reviewer found.',
+  'The user message is JSON: { task: "fix", solution, critique: { summary, issues, improvementAreas }, context: { sprintGoals, constraints, qualityStandards } }.',
+  'Change what the issues are about, specifically for this solution; do not add generic boilerplate.',
+  'Reply with only a JSON object: { "solution": { the revised solution, keeping its fields where they still hold }, "changes": [{ "area": string, "description": string }] }.'
+].join(' ');
+
+function clampScore(value) {
+  const score = Number(value);
+  return Number.isFinite(score) ? Math.max(0, Math.min(1, score)) : 0;
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined).map(String) : [];
+}
+
+/**
+ * A critique from outside the process, in the critic interface's shape
+ */
+export function normalizeCritique(raw = {}) {
+  const issues = (Array.isArray(raw.issues) ? raw.issues : [])
+    .filter(issue => issue && typeof issue === 'object')
+    .map(issue => ({
+      area: String(issue.area || 'general'),
+      severity: SEVERITIES.includes(issue.severity) ? issue.severity : 'medium',
+      message: String(issue.message || ''),
+      suggestion: issue.suggestion ? String(issue.suggestion) : null
+    }));
+  const improvementAreas = stringList(raw.improvementAreas);
+
+  return {
+    score: clampScore(raw.score),
+    factors: Object.fromEntries(Object.entries(raw.factors && typeof raw.factors === 'object' ? raw.factors : {})
+      .map(([factor, score]) => [factor, clampScore(score)])),
+    strengths: stringList(raw.strengths),
+    weaknesses: stringList(raw.weaknesses),
+    improvementAreas: improvementAreas.length > 0 ? improvementAreas : [...new Set(issues.map(issue => issue.area))],
+    summary: String(raw.summary || ''),
+    issues
+  };
+}
+
+/**
+ * The built-in critic: five weighted factors scored from the solution's fields
+ */
+export class HeuristicCriticProvider {
+  /**
+   * @param {Object} options - { weights, similarity }
+   */
+  constructor(options = {}) {
+    this.name = 'heuristic';
+    this.weights = { ...HEURISTIC_WEIGHTS, ...options.weights };
+    this.similarity = options.similarity || new TextSimilarityEngine();
+  }
+
+  /**
+   * The provider's factor weights with the sprint's qualityStandards.solutionWeights
+   * over them, rescaled to sum to 1. Each sprint weight must name a factor
+   * and be a finite number of at least 0.
+   */
+  sprintWeights(evaluationContext = {}) {
+    const overrides = evaluationContext.qualityStandards?.solutionWeights;
+    if (!overrides) return this.weights;
+
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error(`qualityStandards.solutionWeights must be an object of factor weights, got ${JSON.stringify(overrides)}`);
+    }
+    for (const [factor, weight] of Object.entries(overrides)) {
+      if (!(factor in this.weights)) {
+        throw new Error(`qualityStandards.solutionWeights.${factor} is not a factor (expected one of ${Object.keys(this.weights).join(', ')})`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`qualityStandards.solutionWeights.${factor} must be a finite number of at least 0, got ${typeof weight === 'number' ? weight : JSON.stringify(weight)}`);
+      }
+    }
+
+    const weights = { ...this.weights, ...overrides };
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      throw new Error('qualityStandards.solutionWeights must leave at least one positive weight');
+    }
+    return Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, weight / total]));
+  }
+
+  async critique(solution, evaluationContext = {}) {
+    const weights = this.sprintWeights(evaluationContext);
+
+    // Multi-factor solution evaluation
+    const factors = {
+      sprintAlignment: this.evaluateSprintAlignment(solution, evaluationContext),
+      technicalQuality: this.evaluateTechnicalQuality(solution),
+      implementationFeasibility: this.evaluateImplementationFeasibility(solution),
+      riskAssessment: this.evaluateRiskAssessment(solution),
+      innovationFactor: this.evaluateInnovationFactor(solution)
+    };
+
+    let totalScore = 0;
+    const strengths = [];
+    const weaknesses = [];
+    const improvementAreas = [];
+    const issues = [];
+
+    for (const [factor, score] of Object.entries(factors)) {
+      totalScore += score * (weights[factor] ?? 0);
+
+      if (score > 0.8) {
+        strengths.push(factor);
+      } else if (score < 0.6) {
+        weaknesses.push(factor);
+        improvementAreas.push(factor);
+        issues.push({
+          area: factor,
+          severity: score < 0.4 ? 'high' : 'medium',
+          message: `${factor} scored ${score.toFixed(2)}`,
+          suggestion: HEURISTIC_SUGGESTIONS[factor]
+        });
+      }
+    }
+
+    return {
+      score: totalScore,
+      factors,
+      weights,
+      strengths,
+      weaknesses,
+      improvementAreas,
+      summary: issues.length > 0
+        ? `Score ${totalScore.toFixed(2)}; weakest: ${issues.map(issue => issue.area).join(', ')}`
+        : `Score ${totalScore.toFixed(2)}; no weak factors`,
+      issues
+    };
+  }
+
+  evaluateSprintAlignment(solution, evaluationContext) {
+    // Evaluate how well solution aligns with sprint goals
+    if (!evaluationContext.sprintGoals) return 0.7; // Default if no goals provided
+    
+    this.similarity.indexSprintContext(evaluationContext);
+    const solutionText = collectText(solution).join('\n');
+
+    return this.similarity.alignment(solutionText, evaluationContext.sprintGoals).score;
+  }
+
+  evaluateTechnicalQuality(solution) {
+    // Evaluate technical soundness
+    let score = 0.5; // Base score
+
+    // Check for technical detail
+    if (solution.technicalDetails && solution.technicalDetails.length > 50) score += 0.2;
+    
+    // Check for architecture consideration
+    if (solution.architecture && Object.keys(solution.architecture).length > 0) score += 0.15;
+    
+    // Check for testing strategy
+    if (solution.testing && solution.testing.strategy) score += 0.1;
+    
+    // Check for error handling
+    if (solution.errorHandling) score += 0.05;
+
+    return Math.min(1.0, score);
+  }
+
+  evaluateImplementationFeasibility(solution) {
+    // Evaluate how realistic the implementation is
+    let score = 0.6; // Base score
+
+    // Complexity assessment
+    if (solution.complexity && solution.complexity <= 0.7) score += 0.2;
+    else if (solution.complexity && solution.complexity > 0.9) score -= 0.1;
+
+    // Resource requirements
+    if (solution.resourceRequirements && solution.resourceRequirements.realistic) score += 0.15;
+    
+    // Timeline feasibility
+    if (solution.timeline && solution.timeline.realistic) score += 0.05;
+
+    return Math.min(1.0, Math.max(0.1, score));
+  }
+
+  evaluateRiskAssessment(solution) {
+    // Evaluate risk factors
+    let score = 0.7; // Base score assuming moderate risk
+
+    if (solution.risks) {
+      const riskCount = solution.risks.length;
+      const mitigationCount = solution.risks.filter(risk => risk.mitigation).length;
+      
+      if (riskCount === 0) score += 0.2; // No identified risks might be unrealistic
+      else if (mitigationCount / riskCount > 0.8) score += 0.3; // Good risk management
+      else if (mitigationCount / riskCount < 0.5) score -= 0.2; // Poor risk management
+    }
+
+    return Math.min(1.0, Math.max(0.1, score));
+  }
+
+  evaluateInnovationFactor(solution) {
+    // Evaluate innovative aspects
+    let score = 0.5; // Base score
+
+    if (solution.innovative && solution.innovative.features) score += 0.3;
+    if (solution.novel && solution.novel.approach) score += 0.2;
+
+    return Math.min(1.0, score);
+  }
+
+  describe() {
+    return { provider: this.name, weights: this.weights };
+  }
+}
+
+/**
+ * The built-in fixer: revises the fields behind each weak factor from what
+ * the solution and the sprint goals already say. A factor it has nothing to
+ * revise from (innovation, a risk plan without risks) is left as it is.
+ */
+export class HeuristicFixerProvider {
+  /**
+   * @param {Object} options - { similarity }
+   */
+  constructor(options = {}) {
+    this.name = 'heuristic';
+    this.similarity = options.similarity || new TextSimilarityEngine();
+  }
+
+  async fix(solution, critique, evaluationContext = {}) {
+    let improvedSolution = { ...solution };
+    const changes = [];
+
+    for (const area of critique.improvementAreas || []) {
+      const method = HEURISTIC_REVISIONS[area];
+      if (!method) continue;
+
+      const revision = this[method](improvedSolution, evaluationContext);
+      if (!revision) continue;
+
+      improvedSolution = { ...improvedSolution, ...revision.fields };
+      changes.push({ area, description: revision.description });
+    }
+
+    return { solution: improvedSolution, changes };
+  }
+
+  subject(solution) {
+    return solution.description || solution.name || 'the change';
+  }
+
+  /**
+   * Tie the approach to the closest sprint goal, naming the goal's words it left out
+   */
+  reviseSprintAlignment(solution, evaluationContext) {
+    const goals = collectText(evaluationContext.sprintGoals || []);
+    if (goals.length === 0) return null;
+
+    this.similarity.indexSprintContext(evaluationContext);
+    const text = collectText(solution).join('\n');
+    const goal = this.similarity.alignment(text, goals).bestMatch.text;
+    const comparison = this.similarity.compare(text, goal);
+    const missing = comparison.missingTerms.map(term => [...comparison.sources.get(term)][0]);
+    if (missing.length === 0) return null;
+
+    const approach = solution.approach || this.subject(solution);
+    return {
+      fields: { approach: `${approach}, serving the sprint goal "${goal}"` },
+      description: `Approach tied to "${goal}", which it did not mention ${missing.join(', ')} of`
+    };
+  }
+
+  /**
+   * Testing strategy and error handling for what the solution does
+   */
+  reviseTechnicalQuality(solution) {
+    const subject = this.subject(solution);
+    const fields = {};
+    const revised = [];
+
+    if (!solution.testing?.strategy) {
+      fields.testing = { ...(solution.testing || {}), strategy: 'integration', cases: [`${subject}: expected path`, `${subject}: invalid input and failures`] };
+      revised.push('testing strategy');
+    }
+    if (!solution.errorHandling) {
+      fields.errorHandling = `Failures in ${subject} are reported with their input and leave no partial changes`;
+      revised.push('error handling');
+    }
+
+    return revised.length > 0 ? { fields, description: `Added a ${revised.join(' and ')} for ${subject}` } : null;
+  }
+
+  /**
+   * Scope an over-complex solution down to phases
+   */
+  reviseFeasibility(solution) {
+    if (!(solution.complexity > FEASIBLE_COMPLEXITY)) return null;
+
+    const subject = this.subject(solution);
+    return {
+      fields: {
+        complexity: FEASIBLE_COMPLEXITY,
+        phases: [`${subject}: the smallest path that works end to end`, `${subject}: the remaining cases`]
+      },
+      description: `Split ${subject} into two phases (complexity ${solution.complexity} → ${FEASIBLE_COMPLEXITY})`
+    };
+  }
+
+  /**
+   * A mitigation for every listed risk that has none
+   */
+  reviseRisks(solution) {
+    const risks = Array.isArray(solution.risks) ? solution.risks : [];
+    const unmitigated = risks.filter(risk => !risk.mitigation);
+    if (unmitigated.length === 0) return null;
+
+    return {
+      fields: {
+        risks: risks.map(risk => risk.mitigation ? risk : {
+          ...risk,
+          mitigation: `Test for ${String(risk.risk || 'this risk').toLowerCase()} before release and keep a rollback path`
+        })
+      },
+      description: `Mitigated ${unmitigated.map(risk => risk.risk).join(', ')}`
+    };
+  }
+
+  describe() {
+    return { provider: this.name };
+  }
+}
+
+/**
+ * Critic and fixer backed by a model behind a chat-completions endpoint. The
+ * request carries the solution as JSON and asks for a JSON reply in the
+ * provider interface's shape.
+ */
+export class ModelCriticFixerProvider {
+  /**
+   * @param {Object} options
+   *   endpoint: chat-completions URL (default OVERSIGHT_MODEL_ENDPOINT)
+   *   model: model name sent with each request (default OVERSIGHT_MODEL)
+   *   apiKey: bearer token (default OVERSIGHT_MODEL_API_KEY; none when unset)
+   *   timeoutMs: per request (default 30000)
+   *   temperature: (default 0)
+   */
+  constructor(options = {}) {
+    this.name = 'model';
+    this.endpoint = options.endpoint || process.env.OVERSIGHT_MODEL_ENDPOINT;
+    this.model = options.model || process.env.OVERSIGHT_MODEL || null;
+    this.apiKey = options.apiKey || process.env.OVERSIGHT_MODEL_API_KEY || null;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.temperature = options.temperature ?? 0;
+
+    if (!this.endpoint) {
+      throw new Error('The model critic-fixer provider needs an endpoint (options.endpoint or OVERSIGHT_MODEL_ENDPOINT)');
+    }
+  }
+
+  async critique(solution, evaluationContext = {}) {
+    const reply = await this.complete(CRITIC_INSTRUCTIONS, {
+      task: 'critique',
+      solution,
+      context: this.promptContext(evaluationContext)
+    });
+    return normalizeCritique(reply);
+  }
+
+  async fix(solution, critique, evaluationContext = {}) {
+    const reply = await this.complete(FIXER_INSTRUCTIONS, {
+      task: 'fix',
+      solution,
+      critique: { summary: critique.summary, issues: critique.issues, improvementAreas: critique.improvementAreas },
+      context: this.promptContext(evaluationContext)
+    });
+
+    if (!reply.solution || typeof reply.solution !== 'object' || Array.isArray(reply.solution)) {
+      throw new Error('Model fixer reply has no solution object');
+    }
+
+    return {
+      solution: reply.solution,
+      changes: (Array.isArray(reply.changes) ? reply.changes : [])
+        .filter(change => change && typeof change === 'object')
+        .map(change => ({ area: String(change.area || 'general'), description: String(change.description || '') }))
+    };
+  }
+
+  promptContext(evaluationContext) {
+    return {
+      sprintGoals: collectText(evaluationContext.sprintGoals || []),
+      constraints: evaluationContext.constraints || [],
+      qualityStandards: evaluationContext.qualityStandards || {}
+    };
+  }
+
+  async complete(instructions, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          ...(this.model ? { model: this.model } : {}),
+          temperature: this.temperature,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: instructions },
+            { role: 'user', content: JSON.stringify(payload) }
+          ]
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Model endpoint returned HTTP ${response.status}`);
+      }
+
+      const content = (await response.json()).choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error('Model endpoint returned no message');
+      }
+
+      // Some models wrap JSON replies in a code fence
+      return JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Model endpoint did not answer within ${this.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  describe() {
+    return { provider: this.name, endpoint: this.endpoint, model: this.model };
+  }
+}
+
+const PROVIDERS = {
+  heuristic: { critic: HeuristicCriticProvider, fixer: HeuristicFixerProvider },
+  model: { critic: ModelCriticFixerProvider, fixer: ModelCriticFixerProvider }
+};
+
+const ROLE_METHODS = { critic: 'critique', fixer: 'fix' };
+
+/**
+ * @param {string|Object} config - Provider name, { provider, ...options }, or a provider instance
+ * @param {string} role - 'critic' or 'fixer'
+ */
+export function createCriticFixerProvider(config = {}, role = 'critic') {
+  if (!ROLE_METHODS[role]) {
+    throw new Error(`Unknown critic-fixer role: ${role} (expected critic or fixer)`);
+  }
+  if (typeof config === 'string') {
+    config = { provider: config };
+  }
+  if (typeof config?.[ROLE_METHODS[role]] === 'function') {
+    return config;
+  }
+
+  const { provider = 'heuristic', ...options } = config || {};
+  const Provider = PROVIDERS[provider]?.[role];
+  if (!Provider) {
+    throw new Error(`Unknown ${role} provider: ${provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+export default createCriticFixerProvider;
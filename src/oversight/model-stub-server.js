@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Model Stub Server
+ * Deterministic local stand-in for a chat-completions endpoint, for running
+ * the model critic-fixer provider without a model. The critic scores a
+ * solution by how many sprint goal terms it covers and how much detail it
+ * gives; the fixer writes the missing goal terms and steps into the solution.
+ * The same request always gets the same reply.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+
+const DETAIL_WORDS = 80;
+
+const similarity = new TextSimilarityEngine();
+
+function goalCoverage(solution, context = {}) {
+  const solutionTerms = new Set(similarity.analyzeWords(collectText(solution).join('\n')).terms);
+  const goals = similarity.analyzeWords(collectText(context.sprintGoals || []).join('\n'));
+  const goalTerms = [...new Set(goals.terms)];
+  const missing = goalTerms.filter(term => !solutionTerms.has(term));
+
+  return {
+    coverage: goalTerms.length > 0 ? 1 - missing.length / goalTerms.length : 1,
+    // The goal's own wording for each missing term
+    missing: missing.map(term => [...goals.sources.get(term)][0])
+  };
+}
+
+function detail(solution) {
+  const words = similarity.tokenize(collectText(solution).join('\n')).length;
+  return { words, score: Math.min(1, words / DETAIL_WORDS) };
+}
+
+function critique(solution, context) {
+  const goals = goalCoverage(solution, context);
+  const size = detail(solution);
+  const factors = { goalCoverage: goals.coverage, detail: size.score };
+  const issues = [];
+
+  if (goals.missing.length > 0) {
+    issues.push({
+      area: 'goalCoverage',
+      severity: goals.coverage < 0.5 ? 'high' : 'medium',
+      message: `Does not address: ${goals.missing.join(', ')}`,
+      suggestion: `Explain how the solution handles ${goals.missing.join(', ')}`
+    });
+  }
+  if (size.score < 0.6) {
+    issues.push({
+      area: 'detail',
+      severity: size.score < 0.3 ? 'high' : 'medium',
+      message: `Only ${size.words} words describe the solution`,
+      suggestion: 'Describe the implementation steps and how each is verified'
+    });
+  }
+
+  const score = goals.coverage * 0.6 + size.score * 0.4;
+  return {
+    score: Number(score.toFixed(3)),
+    factors,
+    strengths: Object.keys(factors).filter(factor => factors[factor] >= 0.8),
+    weaknesses: issues.map(issue => issue.area),
+    improvementAreas: issues.map(issue => issue.area),
+    summary: issues.length > 0 ? issues.map(issue => issue.message).join('; ') : 'Covers the sprint goals in detail',
+    issues
+  };
+}
+
+function fix(solution, review = {}, context) {
+  const revised = { ...solution };
+  const changes = [];
+  const areas = review.improvementAreas || [];
+
+  if (areas.includes('goalCoverage')) {
+    const { missing } = goalCoverage(solution, context);
+    if (missing.length > 0) {
+      revised.goalCoverage = `Also handles ${missing.join(', ')} as the sprint goals require`;
+      changes.push({ area: 'goalCoverage', description: `Addressed ${missing.join(', ')}` });
+    }
+  }
+  if (areas.includes('detail')) {
+    const subject = collectText(solution.description || solution.approach || 'the change').join(' ');
+    revised.steps = [
+      'Write failing tests for the behaviour the solution describes',
+      `Implement: ${subject}`,
+      'Run the test suite and the linters, then review the diff against the sprint goals',
+      'Document the change and how to roll it back'
+    ];
+    changes.push({ area: 'detail', description: 'Added implementation steps' });
+  }
+
+  return { solution: revised, changes };
+}
+
+/**
+ * The reply to one chat-completions request body
+ */
+export function stubCompletion(body) {
+  const message = (body.messages || []).filter(entry => entry.role === 'user').at(-1);
+  const payload = JSON.parse(message?.content || '{}');
+
+  let reply;
+  switch (payload.task) {
+    case 'critique':
+      reply = critique(payload.solution || {}, payload.context);
+      break;
+    case 'fix':
+      reply = fix(payload.solution || {}, payload.critique, payload.context);
+      break;
+    default:
+      throw new Error(`Unknown task: ${payload.task}`);
+  }
+
+  return {
+    id: `stub-${createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 16)}`,
+    object: 'chat.completion',
+    model: body.model || 'stub',
+    choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(reply) }, finish_reason: 'stop' }]
+  };
+}
+
+/**
+ * @param {Object} options - { port (0: any free port), host ('127.0.0.1') }
+ * @returns {Promise<Object>} { url, port, close() }; url is the chat-completions endpoint
+ */
+export async function startModelStubServer(options = {}) {
+  const server = createServer((request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    if (request.method !== 'POST' || !request.url.endsWith('/chat/completions')) {
+      send(404, { error: { message: 'Only POST /v1/chat/completions is served' } });
+      return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      try {
+        send(200, stubCompletion(JSON.parse(Buffer.concat(chunks).toString('utf8'))));
+      } catch (error) {
+        send(400, { error: { message: error.message } });
+      }
+    });
+  });
+
+  const host = options.host || '127.0.0.1';
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, host, resolve);
+  });
+
+  const { port } = server.address();
+  return {
+    url: `http://${host}:${port}/v1/chat/completions`,
+    port,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startModelStubServer({ port: Number(process.argv[2] || 8787) })
+    .then(({ url }) => {
+      console.log(`🧪 Model stub server listening on ${url}`);
+      console.log(`   OVERSIGHT_MODEL_ENDPOINT=${url}`);
+    })
+    .catch(error => {
+      console.error('❌ Could not start model stub server:', error.message);
+      process.exit(1);
+    });
+}
+
+export default startModelStubServer;
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * Oversight Event Log
+ * Append-only JSONL log of every verification, rollback, rating change, audit,
+ * alert, validation and CI check. It is the source of truth for oversight
+ * history; the snapshot documents in storage are projections of it and can
+ * be rebuilt at any time with `replay`.
+ *
+ * Events are written to .claude/events/events-000001.jsonl, rotating to the
+ * next segment once a segment reaches maxSegmentBytes. Segments are never
+ * truncated or deleted. Documents stored before the log existed are seeded
+ * into it as snapshot events before the first event is recorded.
+ */
+
+import { readFile, readdir, appendFile, stat, mkdir, open } from 'fs/promises';
+import { join } from 'path';
+import { resolveStorage, withFileLock } from './oversight-storage.js';
+import { EVENT_TYPES, PROJECTIONS, projectionKeys } from './oversight-projections.js';
+import { VerificationMemory } from './verification-memory.js';
+
+export { EVENT_TYPES };
+
+export const EVENT_SCHEMA_VERSION = 1;
+
+const SEGMENT_PATTERN = /^events-(\d{6})\.jsonl$/;
+
+// Names of the projections whose pre-log documents have been seeded into the log
+const SEED_MARKER = 'oversight/event-log-seed';
+
+// In-memory logs, shared by every event log on the same memory storage
+const memoryLogs = new WeakMap();
+
+function segmentName(sequence) {
+  return `events-${String(sequence).padStart(6, '0')}.jsonl`;
+}
+
+async function endsWithPartialLine(path) {
+  let handle;
+  try {
+    handle = await open(path, 'r');
+    const { size } = await handle.stat();
+    if (size === 0) return false;
+
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+}
+
+export class OversightEventLog {
+  /**
+   * @param {Object} options - { storage, dir, maxSegmentBytes, projections }
+   *   With the in-memory storage backend events are kept in memory as well,
+   *   one log per storage instance.
+   */
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.dir = options.dir || join(process.cwd(), '.claude', 'events');
+    this.maxSegmentBytes = options.maxSegmentBytes ?? 10 * 1024 * 1024;
+    this.projections = options.projections || PROJECTIONS;
+    this.memoryEvents = null;
+    this.seeding = null;
+
+    if (this.storage.backend === 'memory') {
+      if (!memoryLogs.has(this.storage)) memoryLogs.set(this.storage, []);
+      this.memoryEvents = memoryLogs.get(this.storage);
+    }
+  }
+
+  /**
+   * Append a typed event and update every projection that consumes it
+   * @returns {Promise<Object>} The recorded event
+   */
+  async record(type, data, options = {}) {
+    if (!Object.values(EVENT_TYPES).includes(type)) {
+      throw new Error(`Unknown oversight event type: ${type}`);
+    }
+
+    const event = this.createEvent(type, data, options);
+
+    await this.seed();
+    await this.append(event);
+    await this.project(event);
+
+    return event;
+  }
+
+  createEvent(type, data, options = {}) {
+    return {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      schemaVersion: EVENT_SCHEMA_VERSION,
+      timestamp: options.timestamp || new Date().toISOString(),
+      source: options.source || null,
+      data
+    };
+  }
+
+  /**
+   * Record a snapshot of every stored document the log has no events for,
+   * once per projection, so a replay starts it from its history rather than
+   * from initial(). Runs once per event log before its first event.
+   * @returns {Promise<number>} Snapshots recorded
+   */
+  seed() {
+    if (!this.seeding) {
+      this.seeding = this.seedSnapshots().catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+    return this.seeding;
+  }
+
+  async seedSnapshots() {
+    const marker = await this.storage.read(SEED_MARKER, { projections: [] });
+    const pending = this.projections.filter(projection => !marker.projections.includes(projection.name));
+    if (pending.length === 0) return 0;
+
+    const logged = new Set();
+    for await (const event of this.events()) {
+      if (event.type === EVENT_TYPES.SNAPSHOT) {
+        logged.add(event.data.key);
+        continue;
+      }
+      for (const projection of pending) {
+        if (projection.types.includes(event.type)) {
+          projectionKeys(projection, event).forEach(key => logged.add(key));
+        }
+      }
+    }
+
+    let seeded = 0;
+    for (const projection of pending) {
+      const keys = projection.prefix ? await this.storage.list(projection.prefix) : [projection.key];
+      for (const key of keys) {
+        if (logged.has(key)) continue;
+
+        const document = await this.storage.read(key);
+        if (document === null) continue;
+
+        await this.append(this.createEvent(EVENT_TYPES.SNAPSHOT, { projection: projection.name, key, document }, {
+          source: 'event-log-seed'
+        }));
+        seeded++;
+      }
+    }
+
+    await this.storage.write(SEED_MARKER, {
+      projections: [...marker.projections, ...pending.map(projection => projection.name)],
+      seededAt: new Date().toISOString()
+    });
+    if (seeded > 0) {
+      console.log(`🌱 Seeded the oversight event log with ${seeded} documents stored before it`);
+    }
+
+    return seeded;
+  }
+
+  async append(event) {
+    const line = `${JSON.stringify(event)}\n`;
+
+    if (this.memoryEvents) {
+      this.memoryEvents.push(JSON.parse(line));
+      return;
+    }
+
+    await mkdir(this.dir, { recursive: true });
+    await withFileLock(join(this.dir, 'events.lock'), async () => {
+      const segment = await this.activeSegment(Buffer.byteLength(line));
+      const path = join(this.dir, segment);
+      // Terminate a torn line left by a crash so it does not swallow this event
+      await appendFile(path, await endsWithPartialLine(path) ? `\n${line}` : line);
+    });
+  }
+
+  async project(event) {
+    for (const projection of this.projections) {
+      if (!projection.types.includes(event.type)) continue;
+
+      for (const key of projectionKeys(projection, event)) {
+        if (projection.writeOnce && await this.storage.has(key)) continue;
+
+        await this.storage.update(key, doc => projection.apply(doc ?? projection.initial(), event, key), null);
+      }
+    }
+  }
+
+  async segments() {
+    try {
+      return (await readdir(this.dir)).filter(name => SEGMENT_PATTERN.test(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async activeSegment(incomingBytes) {
+    const segments = await this.segments();
+    const current = segments[segments.length - 1];
+    if (!current) return segmentName(1);
+
+    const { size } = await stat(join(this.dir, current));
+    if (size > 0 && size + incomingBytes > this.maxSegmentBytes) {
+      const next = segmentName(Number(current.match(SEGMENT_PATTERN)[1]) + 1);
+      console.log(`🗂️  Rotating oversight event log to ${next}`);
+      return next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Iterate events in log order
+   * @param {Object} filter - { types, since, until } (since and until are ISO timestamps, inclusive)
+   */
+  async *events(filter = {}) {
+    const matches = event =>
+      (!filter.types || filter.types.includes(event.type)) &&
+      (!filter.since || event.timestamp >= filter.since) &&
+      (!filter.until || event.timestamp <= filter.until);
+
+    if (this.memoryEvents) {
+      yield* this.memoryEvents.filter(matches);
+      return;
+    }
+
+    for (const segment of await this.segments()) {
+      const lines = (await readFile(join(this.dir, segment), 'utf8')).split('\n');
+
+      for (let index = 0; index < lines.length; index++) {
+        if (!lines[index].trim()) continue;
+
+        let event;
+        try {
+          event = JSON.parse(lines[index]);
+        } catch {
+          // A torn line from a crash mid-append; the rest of the log is intact
+          console.warn(`⚠️  Skipping malformed event at ${segment}:${index + 1}`);
+          continue;
+        }
+
+        if (matches(event)) yield event;
+      }
+    }
+  }
+
+  async readEvents(filter = {}) {
+    const events = [];
+    for await (const event of this.events(filter)) {
+      events.push(event);
+    }
+    return events;
+  }
+
+  /**
+   * Rebuild projections from the log, e.g. after a projection schema change.
+   * Documents are rebuilt from their latest snapshot (or initial()) and the
+   * events recorded after it; documents the log has no events for are left
+   * as they are, and nothing is deleted. A replay of the verification
+   * projections brings back records outside the verification memory's
+   * retention window; apply it afterwards with VerificationMemory.retainAfterReplay().
+   * @param {Object} options - { projections } names of the projections to rebuild (default all)
+   * @returns {Promise<Object>} { events, documents, seeded }
+   */
+  async replay(options = {}) {
+    const seeded = await this.seed();
+    const projections = options.projections
+      ? this.projections.filter(projection => options.projections.includes(projection.name))
+      : this.projections;
+    const names = new Set(projections.map(projection => projection.name));
+    const documents = new Map();
+    let eventCount = 0;
+
+    for await (const event of this.events()) {
+      eventCount++;
+      if (event.type === EVENT_TYPES.SNAPSHOT) {
+        if (names.has(event.data.projection)) documents.set(event.data.key, event.data.document);
+        continue;
+      }
+
+      for (const projection of projections) {
+        if (!projection.types.includes(event.type)) continue;
+
+        for (const key of projectionKeys(projection, event)) {
+          const current = documents.has(key) ? documents.get(key) : projection.initial();
+          documents.set(key, projection.apply(current, event, key));
+        }
+      }
+    }
+
+    for (const [key, document] of documents) {
+      await this.storage.write(key, document);
+    }
+
+    return { events: eventCount, documents: documents.size, seeded };
+  }
+
+  async getStats() {
+    const counts = {};
+    let first = null;
+    let last = null;
+
+    for await (const event of this.events()) {
+      counts[event.type] = (counts[event.type] || 0) + 1;
+      first = first || event.timestamp;
+      last = event.timestamp;
+    }
+
+    return {
+      segments: this.memoryEvents ? 0 : (await this.segments()).length,
+      totalEvents: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      eventsByType: counts,
+      firstEvent: first,
+      lastEvent: last
+    };
+  }
+}
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const eventLog = new OversightEventLog();
+  const command = process.argv[2];
+
+  switch (command) {
+    case 'replay':
+      console.log('🔁 Replaying oversight event log...');
+      eventLog.replay()
+        .then(async result => {
+          console.log(`✅ Rebuilt ${result.documents} documents from ${result.events} events`);
+          if (result.seeded > 0) {
+            console.log(`   Seeded ${result.seeded} documents stored before the log`);
+          }
+
+          const pruned = await new VerificationMemory({ storage: eventLog.storage }).retainAfterReplay();
+          if (pruned.partitions > 0 || pruned.payloads > 0) {
+            console.log(`   Pruned ${pruned.partitions} day partitions and ${pruned.payloads} payloads outside the verification memory retention`);
+          }
+        })
+        .catch(error => {
+          console.error('❌ Replay failed:', error.message);
+          process.exit(1);
+        });
+      break;
+
+    case 'stats':
+      eventLog.getStats()
+        .then(stats => {
+          console.log('=== Oversight Event Log ===');
+          console.log(`Segments: ${stats.segments}`);
+          console.log(`Total events: ${stats.totalEvents}`);
+          console.log(`Range: ${stats.firstEvent || '-'} → ${stats.lastEvent || '-'}`);
+          for (const [type, count] of Object.entries(stats.eventsByType)) {
+            console.log(`  ${type}: ${count}`);
+          }
+        })
+        .catch(error => {
+          console.error('❌ Could not read event log:', error.message);
+          process.exit(1);
+        });
+      break;
+
+    default:
+      console.log('Usage:');
+      console.log('  node oversight-event-log.js replay   Rebuild all snapshot documents from the log');
+      console.log('  node oversight-event-log.js stats    Show event counts per type');
+      break;
+  }
+}
+
+export default OversightEventLog;
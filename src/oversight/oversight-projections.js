@@ -0,0 +1,431 @@
+/**
+ * Oversight Projections
+ * Snapshot documents derived from the oversight event log. Each projection
+ * folds the events of its types into a storage document; the same reducer
+ * runs when an event is recorded and when the log is replayed.
+ *
+ * Projection shape: { name, types, key | keyFor(event) | keysFor(event), prefix, writeOnce, initial(), apply(doc, event, key) }
+ * Projections with a prefix own every document under it. writeOnce documents
+ * are not rewritten once stored. A snapshot event ({ projection, key, document })
+ * records a document as it stood when it was seeded into the log; replay
+ * starts the document from its latest snapshot instead of from initial().
+ */
+
+import {
+  MEMORY_PREFIX,
+  PAYLOAD_PREFIX,
+  SUCCESS_PATTERNS,
+  ROLLBACK_HISTORY,
+  partitionKey,
+  splitVerification
+} from './verification-memory.js';
+
+export const EVENT_TYPES = Object.freeze({
+  VERIFICATION: 'verification.completed',
+  ROLLBACK: 'rollback.executed',
+  RATING: 'elo.updated',
+  SEASON: 'elo.season.started',
+  MATCH: 'elo.match.recorded',
+  TEAM: 'elo.team.rated',
+  AUDIT: 'audit.recorded',
+  ALERT: 'alert.raised',
+  SPRINT_VALIDATION: 'sprint.validation.recorded',
+  PRE_TASK_VALIDATION: 'pretask.validation.recorded',
+  CI_CHECK: 'ci.check.recorded',
+  SNAPSHOT: 'projection.snapshot'
+});
+
+function appendBounded(list, entry, maxEntries) {
+  const next = [...(Array.isArray(list) ? list : []), entry];
+  return next.length > maxEntries ? next.slice(-maxEntries) : next;
+}
+
+// Verification memory: one record list per day plus content-addressed payloads
+const verificationIndex = {
+  name: 'verification-index',
+  types: [EVENT_TYPES.VERIFICATION],
+  prefix: MEMORY_PREFIX,
+  keyFor: event => partitionKey(event.data.result.timestamp),
+  initial: () => [],
+  apply(doc, event) {
+    const { record } = splitVerification(event.data.result);
+    return [...doc.filter(existing => existing.verificationId !== record.verificationId), record];
+  }
+};
+
+const verificationPayloads = {
+  name: 'verification-payloads',
+  types: [EVENT_TYPES.VERIFICATION],
+  prefix: PAYLOAD_PREFIX,
+  keysFor: event => Object.keys(splitVerification(event.data.result).payloads).map(hash => `${PAYLOAD_PREFIX}${hash}`),
+  // Content-addressed: a payload that is already stored never changes
+  writeOnce: true,
+  initial: () => null,
+  apply(doc, event, key) {
+    const hash = key.slice(PAYLOAD_PREFIX.length);
+    return doc ?? { hash, storedAt: event.timestamp, value: splitVerification(event.data.result).payloads[hash] };
+  }
+};
+
+const successPatterns = {
+  name: 'success-patterns',
+  types: [EVENT_TYPES.VERIFICATION],
+  key: SUCCESS_PATTERNS,
+  initial: () => ({ patterns: [], lastUpdated: null }),
+  apply(doc, event) {
+    const { successPattern } = event.data;
+    if (!successPattern) return doc;
+
+    const patterns = new Map(doc.patterns || []);
+    patterns.set(successPattern.type, successPattern.pattern);
+    return { patterns: Array.from(patterns.entries()), lastUpdated: event.timestamp };
+  }
+};
+
+const rollbackHistory = {
+  name: 'rollback-history',
+  types: [EVENT_TYPES.VERIFICATION],
+  key: ROLLBACK_HISTORY,
+  initial: () => [],
+  apply(doc, event) {
+    const { result } = event.data;
+    if (result.verified) return doc;
+
+    // Keep last 50 (migrated events may arrive out of time order)
+    return [...doc, splitVerification(result).record]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(-50);
+  }
+};
+
+const rollbackLog = {
+  name: 'rollback-log',
+  types: [EVENT_TYPES.ROLLBACK],
+  key: 'verification/rollback-log',
+  initial: () => [],
+  apply: (doc, event) => appendBounded(doc, event.data, 200)
+};
+
+export const SEASON_PREFIX = 'rankings/seasons/';
+
+export function seasonKey(sprintId) {
+  return `${SEASON_PREFIX}${encodeURIComponent(String(sprintId))}`;
+}
+
+export const MATCH_PREFIX = 'rankings/matches/';
+
+export function matchKey(taskId) {
+  return `${MATCH_PREFIX}${encodeURIComponent(String(taskId))}`;
+}
+
+export const TEAM_RANKINGS = 'rankings/team-rankings';
+
+const agentRankings = {
+  name: 'agent-rankings',
+  types: [EVENT_TYPES.RATING, EVENT_TYPES.SEASON, EVENT_TYPES.MATCH, EVENT_TYPES.TEAM],
+  key: 'rankings/agent-rankings',
+  initial: () => ({ agentRatings: [], agentStates: [], skillStates: [], performanceHistory: [], taskComplexityRatings: [], season: null, lastUpdated: null, systemInfo: null }),
+  apply(doc, event) {
+    if (event.type === EVENT_TYPES.SEASON) {
+      // The event carries every agent's state after the soft reset
+      const { season, agentStates, skillStates } = event.data;
+      return {
+        ...doc,
+        agentRatings: agentStates.map(([agentId, state]) => [agentId, state.rating]),
+        agentStates,
+        skillStates,
+        season,
+        lastUpdated: event.timestamp
+      };
+    }
+
+    if (event.type === EVENT_TYPES.MATCH || event.type === EVENT_TYPES.TEAM) {
+      // Head-to-head or team task: every agent in it gets its new state and a performance record
+      const { taskType, results, performance, systemInfo } = event.data;
+      const ratings = new Map(doc.agentRatings || []);
+      const states = new Map(doc.agentStates || []);
+      const skillStates = new Map(doc.skillStates || []);
+      const history = new Map(doc.performanceHistory || []);
+      const records = new Map(performance || []);
+
+      for (const result of results) {
+        ratings.set(result.agentId, result.state.rating);
+        states.set(result.agentId, result.state);
+        if (taskType) {
+          const skills = new Map(skillStates.get(result.agentId) || []);
+          skills.set(taskType, result.skillState);
+          skillStates.set(result.agentId, Array.from(skills.entries()));
+        }
+        if (records.has(result.agentId)) {
+          history.set(result.agentId, appendBounded(history.get(result.agentId), records.get(result.agentId), 50));
+        }
+      }
+
+      return {
+        ...doc,
+        agentRatings: Array.from(ratings.entries()),
+        agentStates: Array.from(states.entries()),
+        skillStates: Array.from(skillStates.entries()),
+        performanceHistory: Array.from(history.entries()),
+        lastUpdated: event.timestamp,
+        systemInfo: systemInfo || doc.systemInfo
+      };
+    }
+
+    const { agentId, state, skill, difficulty, performance, systemInfo } = event.data;
+
+    const ratings = new Map(doc.agentRatings || []);
+    ratings.set(agentId, state.rating);
+    const states = new Map(doc.agentStates || []);
+    states.set(agentId, state);
+
+    // Per task type skill ratings
+    const skillStates = new Map(doc.skillStates || []);
+    if (skill) {
+      const skills = new Map(skillStates.get(agentId) || []);
+      skills.set(skill.taskType, skill.state);
+      skillStates.set(agentId, Array.from(skills.entries()));
+    }
+
+    // Learned task category difficulty
+    const taskComplexityRatings = new Map(doc.taskComplexityRatings || []);
+    if (difficulty) {
+      taskComplexityRatings.set(difficulty.category, difficulty);
+    }
+
+    // Keep only last 50 performance records per agent
+    const history = new Map(doc.performanceHistory || []);
+    history.set(agentId, appendBounded(history.get(agentId), performance, 50));
+
+    return {
+      ...doc,
+      agentRatings: Array.from(ratings.entries()),
+      agentStates: Array.from(states.entries()),
+      skillStates: Array.from(skillStates.entries()),
+      performanceHistory: Array.from(history.entries()),
+      taskComplexityRatings: Array.from(taskComplexityRatings.entries()),
+      lastUpdated: event.timestamp,
+      systemInfo: systemInfo || doc.systemInfo
+    };
+  }
+};
+
+// Final leaderboard of each ended season
+const seasonLeaderboards = {
+  name: 'season-leaderboards',
+  types: [EVENT_TYPES.SEASON],
+  prefix: SEASON_PREFIX,
+  keysFor: event => event.data.previous ? [seasonKey(event.data.previous.sprintId)] : [],
+  initial: () => null,
+  apply: (_, event) => event.data.previous
+};
+
+// Head-to-head contests per task
+const matchHistory = {
+  name: 'match-history',
+  types: [EVENT_TYPES.MATCH],
+  prefix: MATCH_PREFIX,
+  keyFor: event => matchKey(event.data.taskId),
+  initial: () => [],
+  apply: (doc, event) => {
+    const { performance, systemInfo, ...match } = event.data;
+    return [...doc, match];
+  }
+};
+
+// Team ratings per composition, overall and per task type
+const teamRankings = {
+  name: 'team-rankings',
+  types: [EVENT_TYPES.TEAM],
+  key: TEAM_RANKINGS,
+  initial: () => ({ teams: [], lastUpdated: null }),
+  apply(doc, event) {
+    const { teamId, name, members, taskType, team } = event.data;
+    const teams = new Map(doc.teams || []);
+    const current = teams.get(teamId);
+
+    const skills = new Map(current?.skills || []);
+    if (taskType) {
+      skills.set(taskType, { state: team.skillState, tasks: (skills.get(taskType)?.tasks || 0) + 1 });
+    }
+
+    teams.set(teamId, {
+      teamId,
+      members: members.map(member => member.agentId),
+      names: [...new Set([...(current?.names || []), ...(name ? [name] : [])])],
+      state: team.state,
+      tasks: (current?.tasks || 0) + 1,
+      skills: Array.from(skills.entries()),
+      lastActive: event.timestamp
+    });
+
+    return { teams: Array.from(teams.entries()), lastUpdated: event.timestamp };
+  }
+};
+
+const accountabilityDatabase = {
+  name: 'accountability-database',
+  types: [EVENT_TYPES.AUDIT],
+  key: 'audit/accountability-database',
+  initial: () => ({
+    agents: [],
+    tasks: [],
+    violations: [],
+    metrics: {
+      lastUpdated: null,
+      totalTasks: 0,
+      complianceRate: 0,
+      averageAccountabilityScore: 0
+    }
+  }),
+  apply(database, event) {
+    const audit = event.data;
+    database.agents = database.agents || [];
+    database.tasks = database.tasks || [];
+    database.metrics = database.metrics || {};
+
+    // Update or add agent record
+    const agent = database.agents.find(a => a.agentId === audit.agentId);
+    if (agent) {
+      agent.lastAudit = audit.timestamp;
+      agent.lastScore = audit.overallScore;
+      agent.taskCount = (agent.taskCount || 0) + 1;
+    } else {
+      database.agents.push({
+        agentId: audit.agentId,
+        firstSeen: audit.timestamp,
+        lastAudit: audit.timestamp,
+        lastScore: audit.overallScore,
+        taskCount: 1
+      });
+    }
+
+    // Add task record, keeping only the last 1000
+    database.tasks = appendBounded(database.tasks, {
+      taskId: audit.taskId,
+      agentId: audit.agentId,
+      timestamp: audit.timestamp,
+      score: audit.overallScore,
+      complianceLevel: audit.complianceLevel,
+      violationCount: audit.violations.length,
+      requiresOversight: audit.requiresOversight
+    }, 1000);
+
+    // Update metrics
+    database.metrics.lastUpdated = audit.timestamp;
+    database.metrics.totalTasks = database.tasks.length;
+    database.metrics.complianceRate = database.tasks.filter(t => t.complianceLevel !== 'non-compliant').length / database.tasks.length;
+    database.metrics.averageAccountabilityScore = database.tasks.reduce((sum, t) => sum + t.score, 0) / database.tasks.length;
+
+    return database;
+  }
+};
+
+const oversightAlerts = {
+  name: 'oversight-alerts',
+  types: [EVENT_TYPES.ALERT],
+  key: 'audit/oversight-alerts',
+  initial: () => [],
+  apply: (doc, event) => appendBounded(doc, event.data, 100)
+};
+
+const sprintValidations = {
+  name: 'agent-sprint-validations',
+  types: [EVENT_TYPES.SPRINT_VALIDATION],
+  key: 'sprint/audit/agent-sprint-validations',
+  initial: () => [],
+  apply: (doc, event) => appendBounded(doc, event.data, 1000)
+};
+
+const validationSessions = {
+  name: 'validation-sessions',
+  types: [EVENT_TYPES.PRE_TASK_VALIDATION],
+  prefix: 'validation/sessions/',
+  keyFor: event => `validation/sessions/${event.data.sessionId}`,
+  initial: () => null,
+  apply: (_, event) => event.data
+};
+
+const validationMetrics = {
+  name: 'validation-metrics',
+  types: [EVENT_TYPES.PRE_TASK_VALIDATION],
+  key: 'validation/metrics/validation-metrics',
+  initial: () => ({
+    totalValidations: 0,
+    approvedValidations: 0,
+    blockedValidations: 0,
+    oversightRequired: 0,
+    averageScores: {
+      sprintAlignment: 0,
+      accountabilityScore: 0,
+      taskComplexity: 0
+    },
+    commonIssues: {},
+    lastUpdated: null
+  }),
+  apply(metrics, event) {
+    const result = event.data.validationResult;
+
+    metrics.totalValidations++;
+    if (result.approved) metrics.approvedValidations++;
+    else metrics.blockedValidations++;
+    if (result.requiresOversight) metrics.oversightRequired++;
+
+    // Running averages
+    const total = metrics.totalValidations;
+    for (const score of ['sprintAlignment', 'accountabilityScore', 'taskComplexity']) {
+      metrics.averageScores[score] = ((metrics.averageScores[score] * (total - 1)) + result.conditions[score]) / total;
+    }
+
+    // Track common issues
+    (result.blockingIssues || []).forEach(issue => {
+      metrics.commonIssues[issue] = (metrics.commonIssues[issue] || 0) + 1;
+    });
+
+    metrics.lastUpdated = event.timestamp;
+    return metrics;
+  }
+};
+
+const ciValidationLogs = {
+  name: 'ci-validation-logs',
+  types: [EVENT_TYPES.CI_CHECK],
+  prefix: 'oversight/validation-logs/',
+  keyFor: event => `oversight/validation-logs/${event.data.type}-${event.timestamp.split('T')[0]}`,
+  initial: () => [],
+  // Keep only last 100 entries per type and day
+  apply: (doc, event) => appendBounded(doc, {
+    timestamp: event.timestamp,
+    type: event.data.type,
+    validation: event.data.validation
+  }, 100)
+};
+
+export const PROJECTIONS = [
+  verificationIndex,
+  verificationPayloads,
+  successPatterns,
+  rollbackHistory,
+  rollbackLog,
+  agentRankings,
+  seasonLeaderboards,
+  matchHistory,
+  teamRankings,
+  accountabilityDatabase,
+  oversightAlerts,
+  sprintValidations,
+  validationSessions,
+  validationMetrics,
+  ciValidationLogs
+];
+
+// Projections that together make up the verification memory
+export const VERIFICATION_PROJECTIONS = [verificationIndex, verificationPayloads, successPatterns, rollbackHistory]
+  .map(projection => projection.name);
+
+export function projectionKeys(projection, event) {
+  if (projection.keysFor) return projection.keysFor(event);
+  return [projection.keyFor ? projection.keyFor(event) : projection.key];
+}
+
+export default PROJECTIONS;
@@ -0,0 +1,615 @@
+/**
+ * Oversight Storage
+ * One storage interface for the .claude/* oversight state with JSON file,
+ * in-memory and embedded SQLite backends, selected by configuration
+ *
+ * Documents are addressed by slash-separated keys without extension, e.g.
+ * 'rankings/agent-rankings' → .claude/rankings/agent-rankings.json
+ */
+
+import { readFile, mkdir, readdir, unlink, open, rename, stat, link } from 'fs/promises';
+import { join, dirname, relative, sep } from 'path';
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+
+const BACKENDS = ['json', 'memory', 'sqlite'];
+const MAX_UPDATE_RETRIES = 20;
+
+function validateKey(key) {
+  if (typeof key !== 'string' || key === '' || key.split('/').some(part => part === '' || part === '.' || part === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoff(attempt, baseMs) {
+  return Math.min(baseMs * 2 ** attempt, 250) * (0.5 + Math.random());
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function corruptDocumentError(key, cause, quarantinedAs) {
+  const error = new Error(`Corrupt storage document ${key} (${cause.message}); quarantined as ${quarantinedAs}`);
+  error.code = 'ESTORAGECORRUPT';
+  error.key = key;
+  error.quarantinedAs = quarantinedAs;
+  return error;
+}
+
+/**
+ * Run fn while holding an advisory cross-process lock file, created
+ * exclusively and retried with backoff on contention. Locks whose owner died
+ * (same host) or that outlived staleMs are broken.
+ * @param {Object} options - { timeoutMs, retryDelayMs, staleMs }
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  await mkdir(dirname(lockPath), { recursive: true });
+
+  const token = await acquireFileLock(lockPath, {
+    timeoutMs: options.timeoutMs ?? 10000,
+    retryDelayMs: options.retryDelayMs ?? 10,
+    staleMs: options.staleMs ?? 30000
+  });
+
+  try {
+    return await fn();
+  } finally {
+    await releaseFileLock(lockPath, token);
+  }
+}
+
+async function acquireFileLock(lockPath, { timeoutMs, retryDelayMs, staleMs }) {
+  const token = `${process.pid}-${randomBytes(6).toString('hex')}`;
+  const deadline = Date.now() + timeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const handle = await open(lockPath, 'wx');
+      try {
+        await handle.writeFile(JSON.stringify({ token, pid: process.pid, host: hostname(), acquiredAt: new Date().toISOString() }));
+      } finally {
+        await handle.close();
+      }
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await breakStaleLock(lockPath, staleMs)) continue;
+
+    if (Date.now() >= deadline) {
+      const error = new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+      error.code = 'ESTORAGELOCKED';
+      throw error;
+    }
+
+    await sleep(backoff(attempt, retryDelayMs));
+  }
+}
+
+async function readLockOwner(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    // Owner is still writing the lock file
+    return {};
+  }
+}
+
+async function breakStaleLock(lockPath, staleMs) {
+  let info;
+  let owner;
+  try {
+    info = await stat(lockPath);
+    owner = await readLockOwner(lockPath);
+  } catch (error) {
+    // Lock released between attempts
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+
+  const ownerDied = owner.pid && owner.host === hostname() && !isProcessAlive(owner.pid);
+  const expired = Date.now() - info.mtimeMs > staleMs;
+  if (!ownerDied && !expired) return false;
+
+  // Another process may have broken the stale lock and taken a fresh one
+  // since the check above: move the lock file aside first and only delete
+  // it if it is still the stale owner's (its token, or the same unwritten file)
+  const claimed = `${lockPath}.stale-${process.pid}-${randomBytes(6).toString('hex')}`;
+  try {
+    await rename(lockPath, claimed);
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+
+  const [claimedInfo, claimedOwner] = await Promise.all([stat(claimed), readLockOwner(claimed)]);
+  const stale = owner.token
+    ? claimedOwner.token === owner.token
+    : !claimedOwner.token && claimedInfo.ino === info.ino && claimedInfo.mtimeMs === info.mtimeMs;
+
+  if (stale) {
+    await unlink(claimed);
+    console.warn(`⚠️  Removed stale lock ${lockPath}`);
+    return true;
+  }
+
+  // A fresh lock: hand it back, unless yet another process has locked since
+  try {
+    await link(claimed, lockPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  await unlink(claimed);
+  return false;
+}
+
+async function releaseFileLock(lockPath, token) {
+  try {
+    const owner = JSON.parse(await readFile(lockPath, 'utf8'));
+    if (owner.token === token) {
+      await unlink(lockPath);
+    }
+  } catch {
+    // Already removed as stale
+  }
+}
+
+/**
+ * Shared behaviour. Backends implement readDocument, writeDocument, delete
+ * and list, and may provide withLock for cross-process exclusion; writes and
+ * read-modify-write updates are serialized per key in-process and run under
+ * that lock.
+ */
+export class OversightStorage {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  /**
+   * Run fn after every pending operation on the same key has finished
+   */
+  async serialize(key, fn) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const settled = run.catch(() => {});
+
+    this.queues.set(key, settled);
+    settled.then(() => {
+      if (this.queues.get(key) === settled) this.queues.delete(key);
+    });
+
+    return run;
+  }
+
+  async withLock(key, fn) {
+    return fn();
+  }
+
+  /**
+   * Read a document. A corrupt document is quarantined and reported with an
+   * ESTORAGECORRUPT error rather than read as empty state.
+   */
+  async read(key, fallback = null) {
+    return this.readDocument(validateKey(key), fallback);
+  }
+
+  async has(key) {
+    return (await this.read(key)) !== null;
+  }
+
+  async write(key, value) {
+    validateKey(key);
+    return this.serialize(key, () => this.withLock(key, () => this.writeDocument(key, value)));
+  }
+
+  /**
+   * Read-modify-write a document. The updater may mutate the current value
+   * in place or return a new one. A corrupt document has already been
+   * quarantined by the read, so the update starts again from the fallback.
+   */
+  async update(key, updater, fallback = null) {
+    validateKey(key);
+    return this.serialize(key, () => this.withLock(key, async () => {
+      const current = await this.readForUpdate(key, fallback);
+      const result = await updater(current);
+      const next = result === undefined ? current : result;
+
+      await this.writeDocument(key, next);
+      return next;
+    }));
+  }
+
+  async readForUpdate(key, fallback) {
+    try {
+      return await this.readDocument(key, clone(fallback));
+    } catch (error) {
+      if (error.code !== 'ESTORAGECORRUPT') throw error;
+      return clone(fallback);
+    }
+  }
+
+  /**
+   * Append entries to a list document, keeping at most maxEntries
+   */
+  async append(key, entries, { maxEntries = null } = {}) {
+    const items = Array.isArray(entries) ? entries : [entries];
+
+    return this.update(key, (list) => {
+      const next = [...(Array.isArray(list) ? list : []), ...items];
+      return maxEntries ? next.slice(-maxEntries) : next;
+    }, []);
+  }
+
+  async close() {}
+}
+
+/**
+ * Backend: one pretty-printed JSON file per key under the .claude root
+ */
+export class JsonFileStorage extends OversightStorage {
+  /**
+   * @param {Object} options - { root, lockTimeoutMs, lockRetryDelayMs, staleLockMs }
+   */
+  constructor(options = {}) {
+    super();
+    this.backend = 'json';
+    this.root = options.root || join(process.cwd(), '.claude');
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 10000;
+    this.lockRetryDelayMs = options.lockRetryDelayMs ?? 10;
+    this.staleLockMs = options.staleLockMs ?? 30000;
+  }
+
+  pathFor(key) {
+    return join(this.root, `${validateKey(key)}.json`);
+  }
+
+  async readDocument(key, fallback = null) {
+    const path = this.pathFor(key);
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const quarantinedAs = `${path}.corrupt-${Date.now()}`;
+      await rename(path, quarantinedAs);
+      console.warn(`⚠️  Quarantined corrupt storage document ${key} to ${quarantinedAs}`);
+      throw corruptDocumentError(key, error, quarantinedAs);
+    }
+  }
+
+  /**
+   * Crash-safe write: temp file in the same directory, fsync, then rename
+   * over the target so readers only ever see a complete document
+   */
+  async writeDocument(key, value) {
+    const path = this.pathFor(key);
+    const tempPath = `${path}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await mkdir(dirname(path), { recursive: true });
+
+    try {
+      const handle = await open(tempPath, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(value, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await rename(tempPath, path);
+    } catch (error) {
+      await unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Advisory cross-process lock on <document>.json.lock
+   */
+  async withLock(key, fn) {
+    return withFileLock(`${this.pathFor(key)}.lock`, fn, {
+      timeoutMs: this.lockTimeoutMs,
+      retryDelayMs: this.lockRetryDelayMs,
+      staleMs: this.staleLockMs
+    });
+  }
+
+  async has(key) {
+    try {
+      await stat(this.pathFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await unlink(this.pathFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(path);
+        } else if (entry.name.endsWith('.json')) {
+          keys.push(relative(this.root, path).slice(0, -'.json'.length).split(sep).join('/'));
+        }
+      }
+    };
+
+    await walk(this.root);
+    return keys.filter(key => key.startsWith(prefix)).sort();
+  }
+}
+
+/**
+ * Backend: process-local Map, for tests and dry runs. Values are copied on
+ * the way in and out so callers see the same semantics as the file backend.
+ */
+export class MemoryStorage extends OversightStorage {
+  constructor(options = {}) {
+    super();
+    this.backend = 'memory';
+    this.documents = new Map(Object.entries(options.documents || {}).map(([key, value]) => [key, clone(value)]));
+  }
+
+  async readDocument(key, fallback = null) {
+    return this.documents.has(key) ? clone(this.documents.get(key)) : fallback;
+  }
+
+  async writeDocument(key, value) {
+    this.documents.set(key, clone(value));
+  }
+
+  async has(key) {
+    return this.documents.has(validateKey(key));
+  }
+
+  async delete(key) {
+    return this.documents.delete(validateKey(key));
+  }
+
+  async list(prefix = '') {
+    return Array.from(this.documents.keys()).filter(key => key.startsWith(prefix)).sort();
+  }
+}
+
+/**
+ * Backend: embedded SQLite database (node:sqlite on Node 22.5+, or the
+ * better-sqlite3 package), one row per key. Writes are single statements;
+ * updates use a per-row version so concurrent processes retry instead of
+ * overwriting each other.
+ */
+export class SqliteStorage extends OversightStorage {
+  /**
+   * @param {Object} options - { path, busyTimeoutMs, retryDelayMs }
+   */
+  constructor(options = {}) {
+    super();
+    this.backend = 'sqlite';
+    this.path = options.path || join(process.cwd(), '.claude', 'oversight.db');
+    this.busyTimeoutMs = options.busyTimeoutMs ?? 5000;
+    this.retryDelayMs = options.retryDelayMs ?? 10;
+    this.db = null;
+    this.opening = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = (async () => {
+        await mkdir(dirname(this.path), { recursive: true });
+        const db = await openSqliteDatabase(this.path);
+        db.exec(`PRAGMA busy_timeout = ${Number(this.busyTimeoutMs)}`);
+        db.exec('PRAGMA journal_mode = WAL');
+        db.exec(`CREATE TABLE IF NOT EXISTS documents (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          version INTEGER NOT NULL DEFAULT 1
+        )`);
+
+        const columns = db.prepare('PRAGMA table_info(documents)').all().map(column => column.name);
+        if (!columns.includes('version')) {
+          db.exec('ALTER TABLE documents ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        }
+
+        this.db = db;
+        return db;
+      })();
+    }
+    return this.opening;
+  }
+
+  async readDocument(key, fallback = null) {
+    const db = await this.open();
+    const row = db.prepare('SELECT value, version FROM documents WHERE key = ?').get(key);
+    return row ? this.parseRow(db, key, row) : fallback;
+  }
+
+  parseRow(db, key, row) {
+    try {
+      return JSON.parse(row.value);
+    } catch (error) {
+      // Move the row aside under quarantine/ so it can be inspected and repaired
+      const quarantinedAs = `quarantine/${key}/${Date.now()}`;
+      db.prepare('UPDATE documents SET key = ? WHERE key = ? AND version = ?').run(quarantinedAs, key, row.version);
+      console.warn(`⚠️  Quarantined corrupt storage document ${key} to ${quarantinedAs}`);
+      throw corruptDocumentError(key, error, quarantinedAs);
+    }
+  }
+
+  async writeDocument(key, value) {
+    const db = await this.open();
+    db.prepare(`INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, version = version + 1`)
+      .run(key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  /**
+   * Optimistic read-modify-write: the row is only replaced if its version is
+   * unchanged since the read, otherwise the updater runs again on fresh data
+   */
+  async update(key, updater, fallback = null) {
+    validateKey(key);
+    const db = await this.open();
+
+    return this.serialize(key, async () => {
+      for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+        const row = db.prepare('SELECT value, version FROM documents WHERE key = ?').get(key);
+        let exists = Boolean(row);
+        let current;
+        try {
+          current = row ? this.parseRow(db, key, row) : clone(fallback);
+        } catch (error) {
+          if (error.code !== 'ESTORAGECORRUPT') throw error;
+          exists = false;
+          current = clone(fallback);
+        }
+
+        const result = await updater(current);
+        const next = result === undefined ? current : result;
+        const value = JSON.stringify(next);
+        const now = new Date().toISOString();
+
+        const changes = exists
+          ? db.prepare('UPDATE documents SET value = ?, updated_at = ?, version = version + 1 WHERE key = ? AND version = ?')
+            .run(value, now, key, row.version).changes
+          : db.prepare('INSERT OR IGNORE INTO documents (key, value, updated_at) VALUES (?, ?, ?)')
+            .run(key, value, now).changes;
+
+        if (changes > 0) return next;
+        await sleep(backoff(attempt, this.retryDelayMs));
+      }
+
+      const error = new Error(`Gave up updating storage document ${key} after ${MAX_UPDATE_RETRIES} conflicting writes`);
+      error.code = 'ESTORAGELOCKED';
+      throw error;
+    });
+  }
+
+  async has(key) {
+    const db = await this.open();
+    return db.prepare('SELECT 1 FROM documents WHERE key = ?').get(validateKey(key)) !== undefined;
+  }
+
+  async delete(key) {
+    const db = await this.open();
+    return db.prepare('DELETE FROM documents WHERE key = ?').run(validateKey(key)).changes > 0;
+  }
+
+  async list(prefix = '') {
+    const db = await this.open();
+    return db.prepare('SELECT key FROM documents WHERE substr(key, 1, length(?)) = ? ORDER BY key')
+      .all(prefix, prefix)
+      .map(row => row.key);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+}
+
+async function openSqliteDatabase(path) {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(path);
+  } catch {
+    // Fall through to better-sqlite3
+  }
+
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return new Database(path);
+  } catch {
+    throw new Error('SQLite storage requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+/**
+ * Create a storage backend from configuration
+ * @param {Object} config - { backend: 'json' | 'memory' | 'sqlite', root, path }
+ *   Defaults come from OVERSIGHT_STORAGE_BACKEND / OVERSIGHT_STORAGE_PATH
+ */
+export function createStorage(config = {}) {
+  const backend = config.backend || process.env.OVERSIGHT_STORAGE_BACKEND || 'json';
+
+  switch (backend) {
+    case 'json':
+      return new JsonFileStorage({ ...config, root: config.root || process.env.OVERSIGHT_STORAGE_PATH });
+    case 'memory':
+      return new MemoryStorage(config);
+    case 'sqlite':
+      return new SqliteStorage({ ...config, path: config.path || process.env.OVERSIGHT_STORAGE_PATH });
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected one of ${BACKENDS.join(', ')})`);
+  }
+}
+
+let defaultStorage = null;
+
+export function getDefaultStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+export function setDefaultStorage(storage) {
+  defaultStorage = storage ? resolveStorage(storage) : null;
+}
+
+/**
+ * Accept a storage instance, a backend config or nothing (shared default)
+ */
+export function resolveStorage(storage) {
+  if (!storage) return getDefaultStorage();
+  if (typeof storage.read === 'function' && typeof storage.write === 'function') return storage;
+  return createStorage(storage);
+}
+
+export default createStorage;
@@ -0,0 +1,120 @@
+/**
+ * Pareto Ranking
+ * Ranks critiqued solutions on every critic factor at once. A solution is on
+ * the Pareto front when no other solution scores at least as well on every
+ * factor and better on one. The weighted score picks one winner from a fixed
+ * trade-off between the factors; the front shows every trade-off worth
+ * making, and what each front solution gives up for it.
+ */
+
+const EPSILON = 1e-9;
+
+/**
+ * Whether factor scores `a` are at least `b` on every factor and above it on one
+ */
+export function dominates(a, b, factors) {
+  let better = false;
+  for (const factor of factors) {
+    const difference = (a[factor] ?? 0) - (b[factor] ?? 0);
+    if (difference < -EPSILON) return false;
+    if (difference > EPSILON) better = true;
+  }
+  return better;
+}
+
+// Evolved solutions share their first parent's name; their lineage id tells them apart
+function label(solution, index) {
+  const name = solution.name || `solution ${index}`;
+  return solution.critique?.lineage ? `${name} (${solution.critique.lineage.id})` : name;
+}
+
+/**
+ * @param {Array} solutions - Solutions carrying solution.critique: { score, factors }
+ * @returns {Object} { factors, weightedWinner, front }
+ *   weightedWinner: { index, name, score, onFront }
+ *   front: [{ index, name, score, factors, dominated, equivalents, leads, givesUp, explanation }], highest score first
+ *     dominated: how many solutions it dominates; equivalents: indices of solutions with the same factor scores
+ *     leads: factors on which no front solution does better
+ *     givesUp: [{ factor, value, best, gap, bestIndex, bestName }] for the factors where another front solution does better
+ */
+export function paretoFront(solutions) {
+  if (solutions.length === 0) {
+    return { factors: [], weightedWinner: null, front: [] };
+  }
+
+  const entries = solutions.map((solution, index) => ({
+    index,
+    name: label(solution, index),
+    score: solution.critique?.score ?? 0,
+    factors: solution.critique?.factors || {}
+  }));
+  const factors = [...new Set(entries.flatMap(entry => Object.keys(entry.factors)))];
+  const profile = entry => JSON.stringify(factors.map(factor => Number((entry.factors[factor] ?? 0).toFixed(9))));
+
+  // Non-dominated solutions, one per factor profile; the others with that profile are its equivalents
+  const byScore = [...entries].sort((a, b) => b.score - a.score || a.index - b.index);
+  const front = [];
+  const profiles = new Map();
+  for (const entry of byScore) {
+    if (entries.some(other => dominates(other.factors, entry.factors, factors))) continue;
+
+    const key = profile(entry);
+    if (profiles.has(key)) {
+      profiles.get(key).equivalents.push(entry.index);
+      continue;
+    }
+    const member = {
+      ...entry,
+      dominated: entries.filter(other => dominates(entry.factors, other.factors, factors)).length,
+      equivalents: []
+    };
+    profiles.set(key, member);
+    front.push(member);
+  }
+
+  for (const member of front) {
+    member.leads = [];
+    member.givesUp = [];
+    for (const factor of factors) {
+      const best = front.reduce((top, other) => (other.factors[factor] ?? 0) > (top.factors[factor] ?? 0) + EPSILON ? other : top, member);
+      if (best === member) {
+        member.leads.push(factor);
+      } else {
+        const value = member.factors[factor] ?? 0;
+        const bestValue = best.factors[factor] ?? 0;
+        member.givesUp.push({ factor, value, best: bestValue, gap: bestValue - value, bestIndex: best.index, bestName: best.name });
+      }
+    }
+    member.givesUp.sort((a, b) => b.gap - a.gap);
+    member.explanation = explainTradeOff(member, front.length);
+  }
+
+  const winner = byScore[0];
+  return {
+    factors,
+    weightedWinner: {
+      index: winner.index,
+      name: winner.name,
+      score: winner.score,
+      onFront: front.some(member => member.index === winner.index || member.equivalents.includes(winner.index))
+    },
+    front
+  };
+}
+
+function explainTradeOff(member, frontSize) {
+  if (frontSize === 1) {
+    return `${member.name} is at least as good as every other solution on every factor`;
+  }
+
+  const leads = member.leads.length > 0 ? `best on ${member.leads.join(', ')}` : 'best on no single factor, but no other solution beats it on all of them';
+  const givesUp = member.givesUp
+    .map(entry => `${entry.gap.toFixed(2)} ${entry.factor} (${entry.value.toFixed(2)} vs ${entry.best.toFixed(2)} for ${entry.bestName})`)
+    .join(', ');
+
+  return givesUp
+    ? `${member.name}: ${leads}; gives up ${givesUp}`
+    : `${member.name}: ${leads}; gives up nothing`;
+}
+
+export default paretoFront;
@@ -12,7 +12,6 @@
  *   node src/oversight/pre-task-validation-hook.js --agent-id=<id> --task="<description>"
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 
@@ -45,10 +44,11 @@ class PreTaskValidationHook {
       }
     };
     
-    this.sprintValidator = new SprintContextValidator();
-    this.accountabilityAuditor = new AgentAccountabilityAuditor();
+    this.storageConfig = options.storage;
+    this.sprintValidator = new SprintContextValidator({ storage: options.storage });
+    this.accountabilityAuditor = new AgentAccountabilityAuditor({ storage: options.storage });
     
-    this.initializeValidationSystem();
+    this.initialized = this.initializeValidationSystem();
   }
 
   generateAgentId() {
@@ -59,20 +59,14 @@ class PreTaskValidationHook {
 
   async initializeValidationSystem() {
     try {
-      // Ensure validation directories exist
-      const dirs = [
-        path.join(this.workspaceRoot, '.claude', 'validation', 'sessions'),
-        path.join(this.workspaceRoot, '.claude', 'validation', 'audit-logs'),
-        path.join(this.workspaceRoot, '.claude', 'validation', 'metrics')
-      ];
-      
-      for (const dir of dirs) {
-        await fs.mkdir(dir, { recursive: true });
-      }
+      // Oversight storage is an ES module; unless configured, state lives under the workspace's .claude
+      const { resolveStorage } = await import('./oversight-storage.js');
+      const { OversightEventLog } = await import('./oversight-event-log.js');
+      this.storage = resolveStorage(this.storageConfig || { root: path.join(this.workspaceRoot, '.claude') });
+      this.eventLog = new OversightEventLog({ storage: this.storage, dir: path.join(this.workspaceRoot, '.claude', 'events') });
       
       // Initialize validation session
       this.sessionId = `session_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-      this.sessionPath = path.join(this.workspaceRoot, '.claude', 'validation', 'sessions', `${this.sessionId}.json`);
       
     } catch (error) {
       console.warn('⚠️  Warning: Could not initialize validation system:', error.message);
@@ -228,16 +222,45 @@ class PreTaskValidationHook {
       complexityFactors.interdependencyComplexity * 0.2
     );
     
+    // Blend in what rated outcomes have taught about this kind of task
+    const learned = await this.learnedTaskDifficulty(this.inferTaskType(taskDescription), overallComplexity);
+    const complexity = learned ? learned.complexity : overallComplexity;
+    
     return {
-      complexity: overallComplexity,
+      complexity: complexity,
+      heuristicComplexity: overallComplexity,
+      learnedDifficulty: learned,
       factors: complexityFactors,
-      requiresSpecialist: overallComplexity > this.validationConfig.taskComplexity.requiresSpecialistThreshold,
-      requiresOversight: overallComplexity > this.validationConfig.taskComplexity.maxComplexityWithoutOversight,
-      estimatedEffort: this.estimateEffortFromComplexity(overallComplexity),
-      recommendedApproach: this.recommendApproachFromComplexity(overallComplexity)
+      requiresSpecialist: complexity > this.validationConfig.taskComplexity.requiresSpecialistThreshold,
+      requiresOversight: complexity > this.validationConfig.taskComplexity.maxComplexityWithoutOversight,
+      estimatedEffort: this.estimateEffortFromComplexity(complexity),
+      recommendedApproach: this.recommendApproachFromComplexity(complexity)
     };
   }
 
+  /**
+   * Learned difficulty of the task's category from the agent rankings, or
+   * null when nothing has been learned yet
+   */
+  async learnedTaskDifficulty(taskType, estimatedComplexity) {
+    try {
+      await this.initialized;
+      if (!this.storage) return null;
+
+      const rankings = await this.storage.read('rankings/agent-rankings');
+      if (!rankings || !rankings.taskComplexityRatings || rankings.taskComplexityRatings.length === 0) return null;
+
+      const { TaskDifficultyModel } = await import('./task-difficulty.js');
+      const model = new TaskDifficultyModel(null, { ratings: new Map(rankings.taskComplexityRatings) });
+      const blended = model.blendComplexity(taskType, estimatedComplexity);
+
+      return blended.ratedTasks > 0 ? blended : null;
+    } catch (error) {
+      console.warn('⚠️  Warning: Could not read learned task difficulty:', error.message);
+      return null;
+    }
+  }
+
   calculateKeywordComplexity(taskDescription) {
     const complexKeywords = [
       'architecture', 'system', 'integration', 'security', 'performance',
@@ -254,6 +277,13 @@ class PreTaskValidationHook {
   }
 
   calculateDomainComplexity(taskDescription) {
+    return Math.min(this.detectDomains(taskDescription).length / 3, 1);
+  }
+
+  /**
+   * Technical domains a task description touches
+   */
+  detectDomains(taskDescription) {
     const domainPatterns = {
       'machine-learning': /\b(ml|ai|neural|model|training|algorithm|prediction)\b/gi,
       'security': /\b(auth|security|encryption|oauth|jwt|certificate|vulnerability)\b/gi,
@@ -263,14 +293,9 @@ class PreTaskValidationHook {
       'backend': /\b(api|server|microservice|endpoint|middleware|service)\b/gi
     };
     
-    let domainCount = 0;
-    for (const [domain, pattern] of Object.entries(domainPatterns)) {
-      if (pattern.test(taskDescription)) {
-        domainCount++;
-      }
-    }
-    
-    return Math.min(domainCount / 3, 1);
+    return Object.entries(domainPatterns)
+      .filter(([, pattern]) => pattern.test(taskDescription))
+      .map(([domain]) => domain);
   }
 
   calculateInterdependencyComplexity(taskDescription) {
@@ -438,6 +463,8 @@ class PreTaskValidationHook {
    */
   async logValidationSession(result) {
     try {
+      await this.initialized;
+
       const sessionData = {
         sessionId: this.sessionId,
         agentId: this.agentId,
@@ -450,73 +477,15 @@ class PreTaskValidationHook {
         }
       };
       
-      await fs.writeFile(this.sessionPath, JSON.stringify(sessionData, null, 2));
-      
-      // Update metrics
-      await this.updateValidationMetrics(result);
+      // Session documents and validation metrics are projections of this event
+      const { EVENT_TYPES } = await import('./oversight-event-log.js');
+      await this.eventLog.record(EVENT_TYPES.PRE_TASK_VALIDATION, sessionData, { source: 'pre-task-validation-hook' });
       
     } catch (error) {
       console.warn('⚠️  Warning: Could not log validation session:', error.message);
     }
   }
 
-  /**
-   * Update validation metrics
-   */
-  async updateValidationMetrics(result) {
-    try {
-      const metricsPath = path.join(this.workspaceRoot, '.claude', 'validation', 'metrics', 'validation-metrics.json');
-      
-      let metrics = {
-        totalValidations: 0,
-        approvedValidations: 0,
-        blockedValidations: 0,
-        oversightRequired: 0,
-        averageScores: {
-          sprintAlignment: 0,
-          accountabilityScore: 0,
-          taskComplexity: 0
-        },
-        commonIssues: {},
-        lastUpdated: new Date().toISOString()
-      };
-      
-      try {
-        const existingMetrics = await fs.readFile(metricsPath, 'utf8');
-        metrics = { ...metrics, ...JSON.parse(existingMetrics) };
-      } catch (error) {
-        // File doesn't exist yet, use defaults
-      }
-      
-      // Update metrics
-      metrics.totalValidations++;
-      if (result.approved) metrics.approvedValidations++;
-      else metrics.blockedValidations++;
-      if (result.requiresOversight) metrics.oversightRequired++;
-      
-      // Update average scores
-      const total = metrics.totalValidations;
-      metrics.averageScores.sprintAlignment = 
-        ((metrics.averageScores.sprintAlignment * (total - 1)) + result.conditions.sprintAlignment) / total;
-      metrics.averageScores.accountabilityScore = 
-        ((metrics.averageScores.accountabilityScore * (total - 1)) + result.conditions.accountabilityScore) / total;
-      metrics.averageScores.taskComplexity = 
-        ((metrics.averageScores.taskComplexity * (total - 1)) + result.conditions.taskComplexity) / total;
-      
-      // Track common issues
-      result.blockingIssues.forEach(issue => {
-        metrics.commonIssues[issue] = (metrics.commonIssues[issue] || 0) + 1;
-      });
-      
-      metrics.lastUpdated = new Date().toISOString();
-      
-      await fs.writeFile(metricsPath, JSON.stringify(metrics, null, 2));
-      
-    } catch (error) {
-      console.warn('⚠️  Warning: Could not update validation metrics:', error.message);
-    }
-  }
-
   /**
    * Handle validation errors
    */
@@ -0,0 +1,297 @@
+/**
+ * Rating Backends
+ * Rating algorithms for AgentELORankingSystem. Each task is rated as a game
+ * between the agent and the task's difficulty, with the task score as the
+ * game result.
+ *
+ * Backend interface:
+ *   initialState(rating) → state ({ rating, ... })
+ *   normalizeState(state) → state with any missing fields filled in
+ *   priorState(state) → starting state for a new skill of an agent with this overall state
+ *   expectedScore(rating, opponent) → 0..1, opponent is { rating, deviation }
+ *   update(state, opponent, score) → new state
+ *   updateMatches(state, games) → new state after several games at once, games are [{ opponent, score }]
+ *   confidenceInterval(state, z) → { low, high } or null when the backend has no uncertainty
+ *   isUncertain(state) → true while the rating is still provisional
+ *   decay(state, periods, rate) → state after `periods` idle periods, pulled toward the mean by `rate` per period
+ *   softReset(state, fraction) → state pulled `fraction` of the way back to a new player's
+ *   describe() → configuration recorded with the rankings
+ */
+
+/**
+ * Classic Elo: fixed K-factor, ratings clamped to [minRating, maxRating]
+ */
+export class EloRatingBackend {
+  constructor(options = {}) {
+    this.name = 'elo';
+    this.initialRating = options.initialRating ?? 1500;
+    this.kFactor = options.kFactor ?? 32;
+    this.minRating = options.minRating ?? 800;
+    this.maxRating = options.maxRating ?? 2400;
+  }
+
+  initialState(rating = this.initialRating) {
+    return { rating };
+  }
+
+  normalizeState(state = {}) {
+    return { rating: state.rating ?? this.initialRating };
+  }
+
+  priorState(state) {
+    return { rating: state.rating };
+  }
+
+  expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, -(rating - opponent.rating) / 400));
+  }
+
+  update(state, opponent, score) {
+    return this.updateMatches(state, [{ opponent, score }]);
+  }
+
+  updateMatches(state, games) {
+    const change = games.reduce((sum, game) => sum + this.kFactor * (game.score - this.expectedScore(state.rating, game.opponent)), 0);
+    return { rating: Math.max(this.minRating, Math.min(this.maxRating, state.rating + change)) };
+  }
+
+  decay(state, periods, rate) {
+    return this.softReset(state, 1 - Math.pow(1 - rate, periods));
+  }
+
+  softReset(state, fraction) {
+    return { rating: state.rating + (this.initialRating - state.rating) * fraction };
+  }
+
+  confidenceInterval() {
+    return null;
+  }
+
+  isUncertain() {
+    return false;
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      initialRating: this.initialRating,
+      kFactor: this.kFactor,
+      minRating: this.minRating,
+      maxRating: this.maxRating
+    };
+  }
+}
+
+// Glicko-2 works on its own scale: μ = (r - 1500) / 173.7178, φ = RD / 173.7178
+const GLICKO2_SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+/**
+ * Glicko-2 (Glickman, 2012): every agent carries a rating deviation (RD) and a
+ * volatility. New and erratic agents move quickly; established agents with
+ * consistent results move slowly. Each task is one rating period.
+ */
+export class Glicko2RatingBackend {
+  /**
+   * @param {Object} options
+   *   initialRating (1500), initialDeviation (350), initialVolatility (0.06)
+   *   tau: volatility constraint, 0.3–1.2 (0.5)
+   *   minDeviation: floor on RD so ratings never freeze (30)
+   *   provisionalDeviation: ratings with a larger RD count as uncertain (110)
+   *   priorDeviation: minimum RD of a new skill rating seeded from the overall rating (200)
+   */
+  constructor(options = {}) {
+    this.name = 'glicko2';
+    this.initialRating = options.initialRating ?? 1500;
+    this.initialDeviation = options.initialDeviation ?? 350;
+    this.initialVolatility = options.initialVolatility ?? 0.06;
+    this.tau = options.tau ?? 0.5;
+    this.minDeviation = options.minDeviation ?? 30;
+    this.provisionalDeviation = options.provisionalDeviation ?? 110;
+    this.priorDeviation = options.priorDeviation ?? 200;
+  }
+
+  initialState(rating = this.initialRating) {
+    return { rating, deviation: this.initialDeviation, volatility: this.initialVolatility };
+  }
+
+  normalizeState(state = {}) {
+    return {
+      rating: state.rating ?? this.initialRating,
+      deviation: state.deviation ?? this.initialDeviation,
+      volatility: state.volatility ?? this.initialVolatility
+    };
+  }
+
+  /**
+   * A skill starts at the overall rating, but how an agent does on one task
+   * type is less certain than its overall standing
+   */
+  priorState(state) {
+    const { rating, deviation, volatility } = this.normalizeState(state);
+    return { rating, deviation: Math.max(deviation, this.priorDeviation), volatility };
+  }
+
+  g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  }
+
+  expectedScore(rating, opponent) {
+    const mu = (rating - 1500) / GLICKO2_SCALE;
+    const muOpponent = (opponent.rating - 1500) / GLICKO2_SCALE;
+    const phiOpponent = (opponent.deviation || 0) / GLICKO2_SCALE;
+
+    return 1 / (1 + Math.exp(-this.g(phiOpponent) * (mu - muOpponent)));
+  }
+
+  update(state, opponent, score) {
+    return this.updateMatches(state, [{ opponent, score }]);
+  }
+
+  /**
+   * All games of one rating period (steps 3–8 of the Glicko-2 paper)
+   */
+  updateMatches(state, games) {
+    const { rating, deviation, volatility } = this.normalizeState(state);
+    const mu = (rating - 1500) / GLICKO2_SCALE;
+    const phi = deviation / GLICKO2_SCALE;
+
+    let information = 0;
+    let improvement = 0;
+    for (const { opponent, score } of games) {
+      const g = this.g((opponent.deviation || 0) / GLICKO2_SCALE);
+      const expected = this.expectedScore(rating, opponent);
+      information += g * g * expected * (1 - expected);
+      improvement += g * (score - expected);
+    }
+
+    const variance = 1 / information;
+    const delta = variance * improvement;
+    const newVolatility = this.updateVolatility(phi, volatility, variance, delta);
+
+    const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+      rating: GLICKO2_SCALE * newMu + 1500,
+      deviation: Math.max(this.minDeviation, Math.min(this.initialDeviation, GLICKO2_SCALE * newPhi)),
+      volatility: newVolatility
+    };
+  }
+
+  /**
+   * New volatility σ' via the Illinois algorithm (step 5 of the Glicko-2 paper)
+   */
+  updateVolatility(phi, volatility, variance, delta) {
+    const a = Math.log(volatility * volatility);
+    const tau2 = this.tau * this.tau;
+    const f = x => {
+      const ex = Math.exp(x);
+      const denominator = phi * phi + variance + ex;
+      return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denominator * denominator) - (x - a) / tau2;
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+      B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+      let k = 1;
+      while (f(a - k * this.tau) < 0) k++;
+      B = a - k * this.tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+
+  /**
+   * Idle periods pull the rating toward the mean and, as in Glicko-2's
+   * step 6 for players who do not compete, widen the RD by σ per period
+   */
+  decay(state, periods, rate) {
+    const { rating, deviation, volatility } = this.normalizeState(state);
+    const phi = deviation / GLICKO2_SCALE;
+    const phiStar = Math.sqrt(phi * phi + periods * volatility * volatility);
+
+    return {
+      rating: rating + (this.initialRating - rating) * (1 - Math.pow(1 - rate, periods)),
+      deviation: Math.min(this.initialDeviation, GLICKO2_SCALE * phiStar),
+      volatility
+    };
+  }
+
+  softReset(state, fraction) {
+    const { rating, deviation, volatility } = this.normalizeState(state);
+
+    return {
+      rating: rating + (this.initialRating - rating) * fraction,
+      deviation: deviation + (this.initialDeviation - deviation) * fraction,
+      volatility
+    };
+  }
+
+  confidenceInterval(state, z = 1.96) {
+    const { rating, deviation } = this.normalizeState(state);
+    return { low: rating - z * deviation, high: rating + z * deviation };
+  }
+
+  isUncertain(state) {
+    return this.normalizeState(state).deviation > this.provisionalDeviation;
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      initialRating: this.initialRating,
+      initialDeviation: this.initialDeviation,
+      initialVolatility: this.initialVolatility,
+      tau: this.tau,
+      minDeviation: this.minDeviation,
+      provisionalDeviation: this.provisionalDeviation,
+      priorDeviation: this.priorDeviation
+    };
+  }
+}
+
+const BACKENDS = {
+  elo: EloRatingBackend,
+  glicko2: Glicko2RatingBackend
+};
+
+/**
+ * @param {string|Object} config - Backend name, { backend, ...options }, or a backend instance
+ */
+export function createRatingBackend(config = {}) {
+  if (typeof config === 'string') {
+    config = { backend: config };
+  }
+  if (typeof config?.update === 'function') {
+    return config;
+  }
+
+  const { backend = 'elo', ...options } = config || {};
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown rating backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return new Backend(options);
+}
+
+export default createRatingBackend;
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Rating History
+ * Agent ratings over time, read from the oversight event log. The rankings
+ * document keeps only each agent's last 50 records; the log keeps every
+ * rated task, head-to-head match, team task and season reset. Series export
+ * as CSV, JSON and terminal sparklines.
+ */
+
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
+
+const SPARKLINE_CHARSETS = {
+  ascii: '_.-=+*#@',
+  blocks: '▁▂▃▄▅▆▇█'
+};
+
+const CSV_COLUMNS = ['timestamp', 'agentId', 'taskType', 'rating', 'deviation', 'ratingChange', 'source', 'taskId', 'sprintId'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const RELATIVE_UNITS = { h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+
+function round(value) {
+  return typeof value === 'number' ? Number(value.toFixed(1)) : null;
+}
+
+/**
+ * ISO timestamp from a date, an epoch timestamp or an age such as '12h', '7d' or '4w'
+ */
+export function parseTime(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const age = typeof value === 'string' && value.match(/^(\d+)([hdw])$/);
+  if (age) {
+    return new Date(now - Number(age[1]) * RELATIVE_UNITS[age[2]]).toISOString();
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * One character per value, scaled between the smallest and largest value.
+ * Series longer than `width` are resampled to the last value of each bucket.
+ * @param {Object} options - { width (20), charset: 'ascii' (default), 'blocks' or a string of levels }
+ */
+export function sparkline(values, options = {}) {
+  const levels = SPARKLINE_CHARSETS[options.charset] || options.charset || SPARKLINE_CHARSETS.ascii;
+  const width = options.width ?? 20;
+  if (values.length === 0) return '';
+
+  const sampled = values.length > width
+    ? Array.from({ length: width }, (_, index) => values[Math.ceil((index + 1) * values.length / width) - 1])
+    : values;
+  const min = Math.min(...sampled);
+  const range = Math.max(...sampled) - min;
+
+  return sampled
+    .map(value => levels[range === 0 ? Math.floor(levels.length / 2) : Math.round((value - min) / range * (levels.length - 1))])
+    .join('');
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rating points as CSV, one row per point
+ */
+export function toCSV(points) {
+  return [
+    CSV_COLUMNS.join(','),
+    ...points.map(point => CSV_COLUMNS.map(column => csvField(point[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+export class RatingHistory {
+  /**
+   * @param {Object} options - { eventLog, storage, dir }
+   *   Without an eventLog one is opened on the given storage and event directory.
+   */
+  constructor(options = {}) {
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: options.storage, dir: options.dir });
+  }
+
+  /**
+   * Rating points, oldest first
+   * @param {Object} filter - { agentId, taskType, since, until }
+   *   agentId: one agent id or a list of them (default every agent)
+   *   taskType: follow the skill rating for this task type instead of the overall rating
+   *   since, until: inclusive range, as accepted by parseTime
+   * @returns {Promise<Array>} [{ timestamp, agentId, taskType, rating, deviation, ratingChange, source, taskId, sprintId }]
+   *   ratingChange is the change since the agent's previous point, which may lie before `since`;
+   *   source is 'task', 'match', 'team' or 'season'; sprintId is the sprint of the season the point falls in
+   */
+  async query(filter = {}) {
+    const since = parseTime(filter.since);
+    const until = parseTime(filter.until);
+    const agents = filter.agentId ? new Set([].concat(filter.agentId)) : null;
+    const taskType = filter.taskType || null;
+    const lastRatings = new Map();
+    const points = [];
+    // Events recorded before they carried their sprint belong to the season started last
+    let seasonSprintId = null;
+
+    // Read from the start of the log so the first point in range still knows its change
+    const types = [EVENT_TYPES.RATING, EVENT_TYPES.MATCH, EVENT_TYPES.TEAM, EVENT_TYPES.SEASON];
+    for await (const event of this.eventLog.events({ types, until })) {
+      if (event.type === EVENT_TYPES.SEASON) seasonSprintId = event.data.season?.sprintId ?? null;
+
+      for (const point of this.eventPoints(event, taskType)) {
+        if (agents && !agents.has(point.agentId)) continue;
+
+        const previous = lastRatings.get(point.agentId);
+        lastRatings.set(point.agentId, point.rating);
+        if (since && point.timestamp < since) continue;
+
+        points.push({
+          ...point,
+          sprintId: point.sprintId ?? seasonSprintId,
+          rating: round(point.rating),
+          deviation: round(point.deviation),
+          ratingChange: previous === undefined ? null : round(point.rating - previous)
+        });
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Points one event contributes: the agent after a rated task, every
+   * agent after a head-to-head match or team task, every agent after a season reset
+   */
+  eventPoints(event, taskType) {
+    const { data, timestamp } = event;
+    const point = (agentId, state, source, extra = {}) => state
+      ? { timestamp, agentId, taskType, rating: state.rating, deviation: state.deviation ?? null, source, taskId: null, sprintId: data.sprintId ?? null, ...extra }
+      : null;
+
+    switch (event.type) {
+      case EVENT_TYPES.RATING: {
+        const taskId = data.performance?.taskResult?.taskId ?? null;
+        if (taskType) {
+          return data.skill?.taskType === taskType ? [point(data.agentId, data.skill.state, 'task', { taskId })] : [];
+        }
+        const state = data.state || (data.performance && { rating: data.performance.newRating });
+        return [point(data.agentId, state, 'task', { taskType: data.performance?.taskType ?? null, taskId })].filter(Boolean);
+      }
+
+      case EVENT_TYPES.MATCH:
+      case EVENT_TYPES.TEAM: {
+        if (taskType && data.taskType !== taskType) return [];
+        const source = event.type === EVENT_TYPES.MATCH ? 'match' : 'team';
+        return (data.results || [])
+          .map(result => point(result.agentId, taskType ? result.skillState : result.state, source, { taskType: data.taskType ?? null, taskId: data.taskId }))
+          .filter(Boolean);
+      }
+
+      case EVENT_TYPES.SEASON: {
+        const states = taskType
+          ? (data.skillStates || []).flatMap(([agentId, skills]) => skills
+            .filter(([type]) => type === taskType)
+            .map(([, state]) => [agentId, state]))
+          : data.agentStates || [];
+        return states.map(([agentId, state]) => point(agentId, state, 'season', { sprintId: data.season?.sprintId ?? null }));
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Points grouped per agent, with a summary of each series
+   * @param {Object} filter - As for query
+   * @returns {Promise<Array>} [{ agentId, taskType, points, first, last, change, min, max }], highest last rating first
+   */
+  async series(filter = {}) {
+    const byAgent = new Map();
+    for (const point of await this.query(filter)) {
+      if (!byAgent.has(point.agentId)) byAgent.set(point.agentId, []);
+      byAgent.get(point.agentId).push(point);
+    }
+
+    return Array.from(byAgent.entries())
+      .map(([agentId, points]) => {
+        const ratings = points.map(point => point.rating);
+        return {
+          agentId,
+          taskType: filter.taskType || null,
+          points,
+          first: ratings[0],
+          last: ratings.at(-1),
+          change: round(ratings.at(-1) - ratings[0]),
+          min: Math.min(...ratings),
+          max: Math.max(...ratings)
+        };
+      })
+      .sort((a, b) => b.last - a.last);
+  }
+
+  /**
+   * @param {string} format - 'csv' (one row per point) or 'json' (series per agent)
+   * @param {Object} filter - As for query
+   */
+  async export(format, filter = {}) {
+    switch (format) {
+      case 'csv':
+        return toCSV(await this.query(filter));
+      case 'json':
+        return JSON.stringify({
+          taskType: filter.taskType || null,
+          since: parseTime(filter.since),
+          until: parseTime(filter.until),
+          series: await this.series(filter)
+        }, null, 2);
+      default:
+        throw new Error(`Unknown export format: ${format} (expected csv or json)`);
+    }
+  }
+
+  /**
+   * Agents ranked by their latest rating in the range, each with a sparkline of the range
+   * @param {Object} options - Query filter plus { limit (10), width, charset }
+   * @returns {Promise<Array>} [{ rank, agentId, rating, deviation, change, points, sparkline }]
+   */
+  async leaderboard(options = {}) {
+    const series = await this.series(options);
+
+    return series.slice(0, options.limit ?? 10).map((entry, index) => ({
+      rank: index + 1,
+      agentId: entry.agentId,
+      rating: entry.last,
+      deviation: entry.points.at(-1).deviation,
+      change: entry.change,
+      points: entry.points.length,
+      sparkline: sparkline(entry.points.map(point => point.rating), options)
+    }));
+  }
+}
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const command = process.argv[2];
+  const option = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const filter = {
+    agentId: option('agent'),
+    taskType: option('type'),
+    since: option('since'),
+    until: option('until')
+  };
+  const history = new RatingHistory();
+
+  switch (command) {
+    case 'leaderboard':
+      history.leaderboard({ ...filter, limit: Number(option('limit') || 10), width: Number(option('width') || 20), charset: option('charset') })
+        .then(rows => {
+          console.log(`=== Rating History: ${filter.taskType || 'overall'} ===`);
+          if (filter.since || filter.until) {
+            console.log(`Range: ${parseTime(filter.since) || '-'} → ${parseTime(filter.until) || '-'}`);
+          }
+          if (rows.length === 0) {
+            console.log('No ratings in range');
+          }
+          for (const row of rows) {
+            const deviation = row.deviation !== null ? ` ±${row.deviation.toFixed(0)}` : '';
+            const change = `${row.change > 0 ? '+' : ''}${row.change.toFixed(0)}`;
+            console.log(`${String(row.rank).padStart(3)}. ${row.agentId.padEnd(24)} ${row.rating.toFixed(0).padStart(5)}${deviation.padEnd(5)} ${row.sparkline} ${change} (${row.points} points)`);
+          }
+        })
+        .catch(error => {
+          console.error('❌ Could not read rating history:', error.message);
+          process.exit(1);
+        });
+      break;
+
+    case 'export':
+      history.export(option('format') || 'csv', filter)
+        .then(output => process.stdout.write(output.endsWith('\n') ? output : `${output}\n`))
+        .catch(error => {
+          console.error('❌ Export failed:', error.message);
+          process.exit(1);
+        });
+      break;
+
+    default:
+      console.log('Usage:');
+      console.log('  node rating-history.js leaderboard [--type=] [--since=] [--until=] [--limit=10] [--width=20] [--charset=ascii|blocks]');
+      console.log('  node rating-history.js export [--format=csv|json] [--agent=] [--type=] [--since=] [--until=]');
+      console.log('  Dates are ISO dates or ages such as 12h, 7d, 4w');
+      break;
+  }
+}
+
+export default RatingHistory;
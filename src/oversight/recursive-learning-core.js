@@ -4,66 +4,270 @@
  * Implements critic-fixer cycles, ELO ranking, and verification layers
  */
 
-import { readFile, writeFile, access, mkdir } from 'fs/promises';
-import { join } from 'path';
+import { VerificationCheckRegistry } from './verification-check-registry.js';
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+import { loadSprintGlossary } from './sprint-glossary.js';
+import { VerificationExplainer } from './verification-explainer.js';
+import { RollbackManager } from './rollback-manager.js';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
+import { VERIFICATION_PROJECTIONS, SEASON_PREFIX, TEAM_RANKINGS, seasonKey, matchKey } from './oversight-projections.js';
+import { VerificationMemory, SUCCESS_PATTERNS, ROLLBACK_HISTORY, LEGACY_MEMORY } from './verification-memory.js';
+import { createRatingBackend } from './rating-backends.js';
+import { TaskDifficultyModel } from './task-difficulty.js';
+import { RatingHistory } from './rating-history.js';
+import { HeuristicCriticProvider, HeuristicFixerProvider, createCriticFixerProvider } from './critic-fixer-providers.js';
+import { SolutionEvolution } from './solution-evolution.js';
+import { paretoFront } from './pareto-ranking.js';
+
+// Built-in scoring profiles; each may also carry per-check weights and minimums
+const DEFAULT_SCORING_PROFILES = {
+  strict: { threshold: 0.9, weights: {}, minimums: {} },
+  moderate: { threshold: 0.7, weights: {}, minimums: {} },
+  dev: { threshold: 0.5, weights: {}, minimums: {} }
+};
+
+// Cross-agent consistency compares against at most this many recent verified outputs
+const CONSISTENCY_SAMPLE_SIZE = 200;
 
 /**
  * Verification Layer - "Truth is enforced, not assumed"
  */
 export class VerificationLayer {
-  constructor(mode = 'moderate') {
-    this.mode = mode; // strict, moderate, dev
-    this.verificationMemory = new Map();
+  /**
+   * @param {Object} options - { checks, scoringProfiles, similarity, storage, eventLog, rollback,
+   *   memory: { maxAgeDays, maxRecords } retention of verification memory }
+   */
+  constructor(mode = 'moderate', options = {}) {
     this.successPatterns = new Map();
     this.rollbackHistory = [];
     
-    this.thresholds = {
-      strict: 0.9,
-      moderate: 0.7,
-      dev: 0.5
+    this.scoringProfiles = new Map();
+    for (const [name, profile] of Object.entries(DEFAULT_SCORING_PROFILES)) {
+      this.registerScoringProfile(name, profile);
+    }
+    for (const [name, profile] of Object.entries(options.scoringProfiles || {})) {
+      this.registerScoringProfile(name, profile);
+    }
+
+    // mode names a scoring profile (strict, moderate, dev or a registered one),
+    // or is a full profile object
+    if (mode && typeof mode === 'object') {
+      const profile = this.registerScoringProfile(mode.name || 'custom', mode);
+      this.mode = profile.name;
+    } else {
+      this.mode = mode;
+    }
+
+    this.similarity = new TextSimilarityEngine(options.similarity);
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
+    this.memory = new VerificationMemory({ storage: this.storage, ...options.memory });
+
+    this.checkRegistry = new VerificationCheckRegistry();
+    this.registerBuiltInChecks();
+
+    if (options.checks) {
+      this.checkRegistry.applyConfig(options.checks);
+    }
+
+    this.explainer = new VerificationExplainer(this.similarity, this.checkRegistry);
+    this.rollbackManager = new RollbackManager({ storage: this.storage, eventLog: this.eventLog, ...options.rollback });
+  }
+
+  registerBuiltInChecks() {
+    this.checkRegistry.register('sprintAlignment', {
+      verify: (agentOutput, sprintContext) => this.verifySprintAlignment(agentOutput, sprintContext),
+      threshold: 0.6,
+      label: 'Improve sprint alignment',
+      guidance: 'Review sprint goals and ensure task directly supports them',
+      builtIn: true
+    });
+
+    this.checkRegistry.register('qualityStandards', {
+      verify: (agentOutput) => this.verifyQualityStandards(agentOutput),
+      threshold: 0.75,
+      label: 'Enhance quality standards',
+      guidance: 'Provide detailed description, proper type, and complexity estimate',
+      builtIn: true
+    });
+
+    this.checkRegistry.register('crossAgentConsistency', {
+      verify: (agentOutput) => this.verifyCrossAgentConsistency(agentOutput),
+      threshold: 0.5,
+      label: 'Improve consistency with team',
+      guidance: 'Review recent agent outputs for alignment',
+      builtIn: true
+    });
+
+    this.checkRegistry.register('historicalCompliance', {
+      verify: (agentOutput) => this.verifyHistoricalCompliance(agentOutput),
+      threshold: 0.6,
+      label: 'Learn from historical patterns',
+      guidance: 'Study successful similar tasks',
+      builtIn: true
+    });
+
+    this.checkRegistry.register('contextAccuracy', {
+      verify: (agentOutput, sprintContext) => this.verifyContextAccuracy(agentOutput, sprintContext),
+      threshold: 0.6,
+      label: 'Improve context accuracy',
+      guidance: 'Verify understanding of sprint context',
+      builtIn: true
+    });
+  }
+
+  registerScoringProfile(name, profile = {}) {
+    if (typeof profile.threshold !== 'number') {
+      throw new Error(`Scoring profile "${name}" requires a numeric threshold`);
+    }
+
+    const normalized = {
+      name,
+      threshold: profile.threshold,
+      weights: { ...(profile.weights || {}) },
+      minimums: { ...(profile.minimums || {}) }
     };
+
+    this.scoringProfiles.set(name, normalized);
+    return normalized;
+  }
+
+  /**
+   * Pick the scoring profile for a run: the sprint context may name a
+   * registered profile or carry an inline one, otherwise the layer mode applies
+   */
+  resolveScoringProfile(sprintContext = {}) {
+    const requested = sprintContext.scoringProfile;
+
+    if (requested && typeof requested === 'object') {
+      return {
+        name: requested.name || 'sprint',
+        threshold: requested.threshold ?? this.getScoringProfile(this.mode).threshold,
+        weights: { ...(requested.weights || {}) },
+        minimums: { ...(requested.minimums || {}) }
+      };
+    }
+
+    if (requested && this.scoringProfiles.has(requested)) {
+      return this.scoringProfiles.get(requested);
+    }
+
+    if (requested) {
+      console.warn(`⚠️  Unknown scoring profile "${requested}", using ${this.mode}`);
+    }
+
+    return this.getScoringProfile(this.mode);
+  }
+
+  getScoringProfile(name) {
+    return this.scoringProfiles.get(name) || this.scoringProfiles.get('moderate');
   }
 
-  async enforceVerification(agentOutput, sprintContext) {
+  registerCheck(name, definition) {
+    return this.checkRegistry.register(name, definition);
+  }
+
+  configureCheck(name, overrides) {
+    return this.checkRegistry.configure(name, overrides);
+  }
+
+  unregisterCheck(name) {
+    return this.checkRegistry.unregister(name);
+  }
+
+  async runChecks(agentOutput, sprintContext, profile = this.resolveScoringProfile(sprintContext)) {
+    const results = {};
+
+    // All alignment scores in this run share one corpus built from the sprint documents,
+    // expanded through the sprint glossary (from the context or the sprint folder)
+    const glossary = sprintContext.glossary ?? await loadSprintGlossary();
+    this.similarity.indexSprintContext({ ...sprintContext, glossary });
+
+    // Profile weights apply before the weight > 0 filter, so a profile can drop or add checks
+    const weights = profile?.weights || {};
+
+    for (const check of this.checkRegistry.getEnabledChecks(weights)) {
+      let checkResult;
+
+      try {
+        checkResult = await check.verify(agentOutput, sprintContext, this);
+      } catch (error) {
+        checkResult = { score: 0, details: { error: error.message } };
+      }
+
+      const score = Math.max(0, Math.min(1, Number(checkResult?.score) || 0));
+
+      // The registered threshold decides pass/fail so reconfigured checks take effect
+      results[check.name] = {
+        ...checkResult,
+        score,
+        passed: score > check.threshold,
+        weight: weights[check.name] ?? check.weight,
+        threshold: check.threshold
+      };
+    }
+
+    return results;
+  }
+
+  /**
+   * @param {Object} options - { checkpoint, agentId } checkpoint captured through
+   *   rollbackManager.captureCheckpoint before the task ran; agentId indexes the result by agent
+   */
+  async enforceVerification(agentOutput, sprintContext, options = {}) {
     const verificationId = `verify_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    console.log(`🔍 Verification Layer: Enforcing verification (mode: ${this.mode})`);
+    const profile = this.resolveScoringProfile(sprintContext);
+    console.log(`🔍 Verification Layer: Enforcing verification (mode: ${this.mode}, profile: ${profile.name})`);
     
-    const verificationChecks = {
-      sprintAlignment: await this.verifySprintAlignment(agentOutput, sprintContext),
-      qualityStandards: await this.verifyQualityStandards(agentOutput),
-      crossAgentConsistency: await this.verifyCrossAgentConsistency(agentOutput),
-      historicalCompliance: await this.verifyHistoricalCompliance(agentOutput),
-      contextAccuracy: await this.verifyContextAccuracy(agentOutput, sprintContext)
-    };
+    const verificationChecks = await this.runChecks(agentOutput, sprintContext, profile);
 
-    const verificationScore = this.calculateVerificationScore(verificationChecks);
-    const threshold = this.thresholds[this.mode];
+    const verificationScore = this.calculateVerificationScore(verificationChecks, profile);
+    const threshold = profile.threshold;
+    const minimumViolations = this.findMinimumViolations(verificationChecks, profile);
     
     const result = {
       verificationId,
       timestamp: new Date().toISOString(),
+      agentId: options.agentId ?? agentOutput.agentId ?? null,
       mode: this.mode,
+      profile: profile.name,
       score: verificationScore,
       threshold,
-      verified: verificationScore >= threshold,
+      verified: verificationScore >= threshold && minimumViolations.length === 0,
+      minimumViolations,
       checks: verificationChecks,
       agentOutput,
       sprintContext
     };
 
+    // Explanation artifact: closest context, matched/missing terms, contributions and minimum change
+    result.explanation = this.explainer.explain(result, profile);
+
     if (!result.verified) {
-      console.log(`🚫 Verification failed (${verificationScore.toFixed(3)} < ${threshold})`);
-      await this.triggerRollback(result);
-      this.rollbackHistory.push(result);
+      if (minimumViolations.length > 0) {
+        console.log(`🚫 Verification failed: ${minimumViolations.map(v => `${v.check} ${v.score.toFixed(3)} < ${v.minimum}`).join(', ')}`);
+      } else {
+        console.log(`🚫 Verification failed (${verificationScore.toFixed(3)} < ${threshold})`);
+      }
+      result.rollback = await this.triggerRollback(result, options.checkpoint);
     } else {
       console.log(`✅ Verification passed (${verificationScore.toFixed(3)} >= ${threshold})`);
-      await this.storeSuccessPattern(result);
     }
 
-    // Store verification result
-    this.verificationMemory.set(verificationId, result);
-    await this.persistVerificationMemory();
+    const successPattern = result.verified ? await this.storeSuccessPattern(result) : null;
+
+    // Index the result; the event's projections persist its record and payloads
+    const record = this.memory.add(result);
+    if (!result.verified) {
+      this.rollbackHistory = [...this.rollbackHistory, record].slice(-50);
+    }
+    try {
+      await this.eventLog.record(EVENT_TYPES.VERIFICATION, { result, successPattern }, { source: 'verification-layer' });
+    } catch (error) {
+      console.warn('⚠️  Could not record verification event:', error.message);
+    }
 
     return result;
   }
@@ -71,10 +275,12 @@ export class VerificationLayer {
   async verifySprintAlignment(agentOutput, sprintContext) {
     // Check if agent output aligns with sprint goals
     const sprintGoals = sprintContext.goals || [];
-    const outputKeywords = this.extractKeywords(agentOutput.description || '');
-    const goalKeywords = sprintGoals.flatMap(goal => this.extractKeywords(goal));
+    const description = agentOutput.description || '';
+    const outputKeywords = this.surfaceKeywords(description);
+    const goalKeywords = [...new Set(sprintGoals.flatMap(goal => this.surfaceKeywords(goal)))];
     
-    const alignmentScore = this.calculateKeywordAlignment(outputKeywords, goalKeywords);
+    const alignment = this.similarity.alignment(description, sprintGoals);
+    const alignmentScore = sprintGoals.length > 0 ? alignment.score : 0.5;
     
     return {
       score: alignmentScore,
@@ -82,6 +288,10 @@ export class VerificationLayer {
       details: {
         outputKeywords: outputKeywords.slice(0, 10),
         goalKeywords: goalKeywords.slice(0, 10),
+        closestGoal: alignment.bestMatch?.text || null,
+        matchedTerms: alignment.matchedTerms,
+        missingTerms: alignment.missingTerms,
+        glossaryMatches: alignment.glossaryMatches,
         alignmentScore
       }
     };
@@ -107,9 +317,11 @@ export class VerificationLayer {
 
   async verifyCrossAgentConsistency(agentOutput) {
     // Check consistency with other agent outputs
-    const recentOutputs = Array.from(this.verificationMemory.values())
-      .filter(v => v.verified && Date.now() - new Date(v.timestamp).getTime() < 24 * 60 * 60 * 1000)
-      .map(v => v.agentOutput);
+    const recentOutputs = this.memory.query({
+      since: Date.now() - 24 * 60 * 60 * 1000,
+      verified: true,
+      limit: CONSISTENCY_SAMPLE_SIZE
+    }).map(record => record.output);
 
     if (recentOutputs.length === 0) {
       return { score: 1.0, passed: true, details: { reason: 'No recent outputs to compare' } };
@@ -174,12 +386,27 @@ export class VerificationLayer {
     };
   }
 
-  calculateVerificationScore(checks) {
-    const scores = Object.values(checks).map(check => check.score);
-    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  calculateVerificationScore(checks, profile = null) {
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    for (const [name, check] of Object.entries(checks)) {
+      // Profile weights take precedence over the weight registered with the check
+      const weight = profile?.weights?.[name] ?? check.weight ?? 1;
+      totalScore += check.score * weight;
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? totalScore / totalWeight : 0;
+  }
+
+  findMinimumViolations(checks, profile) {
+    return Object.entries(profile?.minimums || {})
+      .filter(([name, minimum]) => checks[name] && checks[name].score < minimum)
+      .map(([name, minimum]) => ({ check: name, score: checks[name].score, minimum }));
   }
 
-  async triggerRollback(verificationResult) {
+  async triggerRollback(verificationResult, checkpoint = null) {
     console.log(`🔄 Triggering rollback for verification ${verificationResult.verificationId}`);
     
     // Generate improvement guidance based on failed checks
@@ -192,37 +419,31 @@ export class VerificationLayer {
         .filter(([_, check]) => !check.passed)
         .map(([name, check]) => ({ name, score: check.score, details: check.details })),
       improvementGuidance: guidance,
+      explanation: verificationResult.explanation,
+      explanationMarkdown: verificationResult.explanation
+        ? this.explainer.toMarkdown(verificationResult.explanation)
+        : null,
       requiresReexecution: true
     };
 
     console.log('📋 Improvement Guidance:');
     guidance.forEach(item => console.log(`   • ${item}`));
 
+    rollbackAction.execution = await this.rollbackManager.executeRollback(verificationResult, checkpoint);
+    console.log(`↩️  Rollback ${rollbackAction.execution.status} (strategy: ${rollbackAction.execution.strategy})`);
+
     return rollbackAction;
   }
 
   generateImprovementGuidance(verificationResult) {
-    const guidance = [];
-    const { checks } = verificationResult;
-
-    if (!checks.sprintAlignment.passed) {
-      guidance.push(`Improve sprint alignment (${(checks.sprintAlignment.score * 100).toFixed(1)}%) - Review sprint goals and ensure task directly supports them`);
-    }
+    const guidance = Object.entries(verificationResult.checks)
+      .filter(([_, check]) => !check.passed)
+      .map(([name, check]) => this.checkRegistry.formatGuidance(name, check));
 
-    if (!checks.qualityStandards.passed) {
-      guidance.push(`Enhance quality standards (${(checks.qualityStandards.score * 100).toFixed(1)}%) - Provide detailed description, proper type, and complexity estimate`);
-    }
-
-    if (!checks.crossAgentConsistency.passed) {
-      guidance.push(`Improve consistency with team (${(checks.crossAgentConsistency.score * 100).toFixed(1)}%) - Review recent agent outputs for alignment`);
-    }
-
-    if (!checks.historicalCompliance.passed) {
-      guidance.push(`Learn from historical patterns (${(checks.historicalCompliance.score * 100).toFixed(1)}%) - Study successful similar tasks`);
-    }
-
-    if (!checks.contextAccuracy.passed) {
-      guidance.push(`Improve context accuracy (${(checks.contextAccuracy.score * 100).toFixed(1)}%) - Verify understanding of sprint context`);
+    for (const violation of verificationResult.minimumViolations || []) {
+      if (verificationResult.checks[violation.check]?.passed) {
+        guidance.push(`Raise ${violation.check} to at least ${(violation.minimum * 100).toFixed(1)}% (${(violation.score * 100).toFixed(1)}%) - Required by the ${verificationResult.profile} scoring profile`);
+      }
     }
 
     return guidance;
@@ -260,6 +481,8 @@ export class VerificationLayer {
     // Update summary
     pattern.summary = this.calculatePatternSummary(pattern.examples);
     this.successPatterns.set(type, pattern);
+
+    return { type, pattern };
   }
 
   calculatePatternSummary(examples) {
@@ -284,18 +507,21 @@ export class VerificationLayer {
   }
 
   extractKeywords(text) {
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 20);
+    return this.similarity.extractKeywords(text);
+  }
+
+  /**
+   * The text's keywords as it writes them ("authentication"), not as the stems they are ranked by ("authent")
+   */
+  surfaceKeywords(text) {
+    const { sources } = this.similarity.analyze(text);
+    return this.extractKeywords(text).map(term => sources.has(term) ? [...sources.get(term)][0] : term);
   }
 
-  calculateKeywordAlignment(outputKeywords, goalKeywords) {
-    if (goalKeywords.length === 0) return 0.5;
+  calculateKeywordAlignment(outputTerms, goalTerms) {
+    if (goalTerms.length === 0) return 0.5;
     
-    const matches = outputKeywords.filter(keyword => goalKeywords.includes(keyword));
-    return matches.length / Math.max(outputKeywords.length, goalKeywords.length, 1);
+    return this.similarity.termSimilarity(outputTerms, goalTerms);
   }
 
   validateOutputStructure(output) {
@@ -321,9 +547,9 @@ export class VerificationLayer {
     factors += 0.4;
 
     // Description similarity
-    const outputKeywords = this.extractKeywords(output.description || '');
-    const recentKeywords = recentOutputs.flatMap(recent => this.extractKeywords(recent.description || ''));
-    const similarity = this.calculateKeywordAlignment(outputKeywords, recentKeywords);
+    const outputTerms = this.similarity.terms(output.description || '');
+    const recentTerms = recentOutputs.flatMap(recent => this.similarity.terms(recent.description || ''));
+    const similarity = this.calculateKeywordAlignment(outputTerms, recentTerms);
     consistencyScore += similarity * 0.3;
     factors += 0.3;
 
@@ -351,53 +577,100 @@ export class VerificationLayer {
   }
 
   calculateContextElementAccuracy(output, contextElement) {
-    // Simple accuracy check based on keyword presence
-    const outputKeywords = this.extractKeywords(output.description || '');
-    const contextKeywords = this.extractKeywords(JSON.stringify(contextElement));
+    // Alignment with the closest entry of the context element
+    const entries = collectText(contextElement);
+    if (entries.length === 0) return 0.5;
     
-    return this.calculateKeywordAlignment(outputKeywords, contextKeywords);
+    return this.similarity.alignment(output.description || '', entries).score;
   }
 
+  /**
+   * Verifications are persisted as they happen through the event log; this
+   * applies the retention policy to what is stored
+   */
   async persistVerificationMemory() {
     try {
-      const memoryDir = join(process.cwd(), '.claude', 'verification');
-      await mkdir(memoryDir, { recursive: true });
-      
-      const memoryData = {
-        verificationMemory: Array.from(this.verificationMemory.entries()),
-        successPatterns: Array.from(this.successPatterns.entries()),
-        rollbackHistory: this.rollbackHistory.slice(-50), // Keep last 50
-        lastUpdated: new Date().toISOString()
-      };
-
-      await writeFile(
-        join(memoryDir, 'verification-memory.json'),
-        JSON.stringify(memoryData, null, 2)
-      );
+      const pruned = await this.memory.prune(this.rollbackHistory);
+      if (pruned.partitions > 0 || pruned.payloads > 0) {
+        console.log(`🧹 Pruned verification memory: ${pruned.partitions} day partitions, ${pruned.payloads} payloads`);
+      }
     } catch (error) {
-      console.warn('⚠️  Could not persist verification memory:', error.message);
+      console.warn('⚠️  Could not prune verification memory:', error.message);
     }
   }
 
   async loadVerificationMemory() {
     try {
-      const memoryFile = join(process.cwd(), '.claude', 'verification', 'verification-memory.json');
-      const data = JSON.parse(await readFile(memoryFile, 'utf8'));
-      
-      this.verificationMemory = new Map(data.verificationMemory || []);
-      this.successPatterns = new Map(data.successPatterns || []);
-      this.rollbackHistory = data.rollbackHistory || [];
+      await this.migrateLegacyMemory();
+
+      const [records, patterns, rollbackHistory] = await Promise.all([
+        this.memory.load(),
+        this.storage.read(SUCCESS_PATTERNS),
+        this.storage.read(ROLLBACK_HISTORY, [])
+      ]);
+
+      if (records === 0 && !patterns) {
+        console.log('📚 No existing verification memory found, starting fresh');
+        return;
+      }
+
+      this.successPatterns = new Map(patterns?.patterns || []);
+      this.rollbackHistory = rollbackHistory;
       
-      console.log(`📚 Loaded verification memory: ${this.verificationMemory.size} records`);
+      console.log(`📚 Loaded verification memory: ${records} records`);
     } catch (error) {
-      console.log('📚 No existing verification memory found, starting fresh');
+      console.warn('⚠️  Could not load verification memory, starting fresh:', error.message);
+    }
+  }
+
+  /**
+   * Move a single-document verification memory into the indexed layout.
+   * Results missing from the event log are recorded into it first, then the
+   * verification projections are rebuilt from the log and the retention
+   * policy is applied to the result.
+   */
+  async migrateLegacyMemory() {
+    const legacy = await this.storage.read(LEGACY_MEMORY);
+    if (!legacy) return;
+
+    const logged = new Set();
+    for await (const event of this.eventLog.events({ types: [EVENT_TYPES.VERIFICATION] })) {
+      logged.add(event.data.result?.verificationId);
+    }
+
+    const results = (legacy.verificationMemory || [])
+      .map(([_, result]) => result)
+      .filter(result => !logged.has(result.verificationId))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    // A stored pattern is the state after the latest verified result of its type
+    const patterns = new Map(legacy.successPatterns || []);
+    const latestVerified = new Map();
+    for (const result of results.filter(r => r.verified)) {
+      latestVerified.set(result.agentOutput?.type || 'general', result.verificationId);
     }
+
+    for (const result of results) {
+      const type = result.agentOutput?.type || 'general';
+      const successPattern = latestVerified.get(type) === result.verificationId && patterns.has(type)
+        ? { type, pattern: patterns.get(type) }
+        : null;
+
+      await this.eventLog.record(EVENT_TYPES.VERIFICATION, { result, successPattern }, {
+        timestamp: result.timestamp,
+        source: 'verification-memory-migration'
+      });
+    }
+
+    await this.eventLog.replay({ projections: VERIFICATION_PROJECTIONS });
+    await this.memory.retainAfterReplay();
+    await this.storage.delete(LEGACY_MEMORY);
+    console.log(`📦 Migrated verification memory to the indexed layout (${results.length} records added to the event log)`);
   }
 
   getStats() {
-    const totalVerifications = this.verificationMemory.size;
-    const successfulVerifications = Array.from(this.verificationMemory.values())
-      .filter(v => v.verified).length;
+    const totalVerifications = this.memory.size;
+    const successfulVerifications = this.memory.verifiedCount;
     const rollbacks = this.rollbackHistory.length;
     
     return {
@@ -406,39 +679,162 @@ export class VerificationLayer {
       rollbacks,
       successRate: totalVerifications > 0 ? successfulVerifications / totalVerifications : 0,
       patterns: this.successPatterns.size,
-      mode: this.mode
+      mode: this.mode,
+      profiles: Array.from(this.scoringProfiles.keys()),
+      checks: this.checkRegistry.list()
     };
   }
 }
 
+// Task types rated as separate skills; other types only count toward the overall rating
+export const TASK_TYPES = ['implementation', 'debugging', 'testing', 'documentation', 'refactoring', 'analysis', 'deployment'];
+
+/**
+ * The season that started last; another process may have started a newer one
+ */
+function laterSeason(a, b) {
+  if (!a || !b) return a || b || null;
+  return b.startedAt > a.startedAt ? b : a;
+}
+
+/**
+ * Union of two performance histories (deduplicated, oldest first, last 50)
+ */
+function mergePerformanceHistory(stored, local) {
+  const records = new Map();
+  for (const record of [...stored, ...local]) {
+    records.set(`${record.timestamp}:${record.newRating}`, record);
+  }
+
+  return Array.from(records.values())
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .slice(-50);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Teams are rated per composition: the same agents make the same team whatever it is called
+ */
+function teamId(agentIds) {
+  return [...new Set(agentIds)].sort().join('+');
+}
+
+/**
+ * A rating state part of the way from `from` to `to`, for updates that count as a fraction of a game
+ */
+function interpolateState(from, to, weight) {
+  return Object.fromEntries(Object.entries(to).map(([field, value]) => [
+    field,
+    typeof value === 'number' && typeof from[field] === 'number' ? from[field] + (value - from[field]) * weight : value
+  ]));
+}
+
 /**
  * ELO Ranking System for Agent Performance
  */
 export class AgentELORankingSystem {
-  constructor() {
+  /**
+   * @param {Object} options - { storage, eventLog, rating, decay, seasons }
+   *   rating: 'elo' (default) | 'glicko2' | { backend, ...backend options } | backend instance
+   *   decay: { graceDays, periodDays, rate } inactivity decay (default 14, 7, 0.05), or false to disable
+   *   seasons: { resetFraction } how far a new sprint's season pulls ratings back to the mean (default 0.25)
+   */
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
+    this.backend = createRatingBackend(options.rating);
+    this.decay = options.decay === false ? null : { graceDays: 14, periodDays: 7, rate: 0.05, ...options.decay };
+    this.seasonResetFraction = options.seasons?.resetFraction ?? 0.25;
+    this.season = null;
     this.agentRatings = new Map();
+    this.agentStates = new Map();
+    this.skillStates = new Map();
     this.performanceHistory = new Map();
-    this.taskComplexityRatings = new Map();
-    this.initialRating = 1500;
-    this.kFactor = 32;
+    this.taskDifficulty = new TaskDifficultyModel(this.backend);
+    this.ratingHistory = new RatingHistory({ eventLog: this.eventLog });
+    this.teams = new Map();
+    this.initialRating = this.backend.initialRating;
+    this.dirtyAgents = new Set();
+    this.dirtyCategories = new Set();
+  }
+
+  /**
+   * Learned task category ratings: category → { category, state, tasks, lastUpdated }
+   */
+  get taskComplexityRatings() {
+    return this.taskDifficulty.ratings;
+  }
+
+  set taskComplexityRatings(ratings) {
+    this.taskDifficulty.ratings = ratings;
+  }
+
+  getAgentState(agentId) {
+    return this.agentStates.get(agentId) || this.backend.initialState();
+  }
+
+  setAgentState(agentId, state) {
+    this.agentStates.set(agentId, state);
+    this.agentRatings.set(agentId, state.rating);
+  }
+
+  normalizeTaskType(taskType) {
+    const type = typeof taskType === 'string' ? taskType.toLowerCase() : null;
+    return TASK_TYPES.includes(type) ? type : null;
+  }
+
+  hasSkillRating(agentId, taskType) {
+    return !!this.skillStates.get(agentId)?.has(taskType);
+  }
+
+  /**
+   * Rating state for one task type. Types the agent has not done yet start
+   * from the prior its overall rating gives.
+   */
+  getSkillState(agentId, taskType) {
+    return this.skillStates.get(agentId)?.get(taskType) || this.backend.priorState(this.getAgentState(agentId));
+  }
+
+  setSkillState(agentId, taskType, state) {
+    if (!this.skillStates.has(agentId)) {
+      this.skillStates.set(agentId, new Map());
+    }
+    this.skillStates.get(agentId).set(taskType, state);
   }
 
   async updateAgentRating(agentId, taskResult, sprintCompliance) {
-    const currentRating = this.agentRatings.get(agentId) || this.initialRating;
+    if (taskResult.sprintId && taskResult.sprintId !== this.season?.sprintId) {
+      await this.startSeason(taskResult.sprintId);
+    }
+
+    // Decay from inactivity becomes part of the rating when the agent plays again
+    const currentState = this.effectiveState(agentId, this.getAgentState(agentId));
+    const currentRating = currentState.rating;
     
     // Calculate expected performance based on task complexity and agent rating
     const taskComplexity = taskResult.complexity || 0.5;
-    const expectedScore = this.calculateExpectedScore(currentRating, taskComplexity);
+    const taskType = this.normalizeTaskType(taskResult.taskType);
+    const expectedScore = this.calculateExpectedScore(currentRating, taskComplexity, taskType);
     
     // Calculate actual performance score
     const actualScore = this.calculateActualScore(taskResult, sprintCompliance);
     
-    // ELO rating update
-    const ratingChange = this.kFactor * (actualScore - expectedScore);
-    const newRating = Math.max(800, Math.min(2400, currentRating + ratingChange));
+    // Rating update through the configured backend: overall, then the task type's skill
+    const opponent = this.taskOpponent(taskComplexity, taskType);
+    const newState = this.backend.update(currentState, opponent, actualScore);
+    const newRating = newState.rating;
+    const ratingChange = newRating - currentRating;
+
+    const skill = taskType ? this.updateSkillRating(agentId, taskType, opponent, actualScore) : null;
+
+    // The task's category plays the other side of the game
+    const difficulty = this.taskDifficulty.recordOutcome(taskType, taskComplexity, currentState, actualScore);
+    this.dirtyCategories.add(difficulty.category);
     
     // Update rating
-    this.agentRatings.set(agentId, newRating);
+    this.setAgentState(agentId, newState);
+    this.dirtyAgents.add(agentId);
     
     // Store performance history
     await this.storePerformanceHistory(agentId, {
@@ -446,6 +842,12 @@ export class AgentELORankingSystem {
       previousRating: currentRating,
       newRating: newRating,
       ratingChange: ratingChange,
+      ratingState: newState,
+      taskType: taskType,
+      skillRatingChange: skill ? skill.ratingChange : null,
+      skillState: skill ? skill.state : null,
+      taskCategory: difficulty.category,
+      taskDifficultyRating: opponent.rating,
       taskResult: taskResult,
       sprintCompliance: sprintCompliance,
       expectedScore: expectedScore,
@@ -453,14 +855,24 @@ export class AgentELORankingSystem {
     });
 
     const performanceClass = this.classifyPerformance(newRating);
+    const deviation = newState.deviation !== undefined ? ` ±${newState.deviation.toFixed(0)}` : '';
+    const skillChange = skill ? `, ${taskType} ${skill.previousRating.toFixed(0)} → ${skill.newRating.toFixed(0)}` : '';
     
-    console.log(`🏆 Agent ${agentId} rating: ${currentRating.toFixed(0)} → ${newRating.toFixed(0)} (${ratingChange > 0 ? '+' : ''}${ratingChange.toFixed(0)}) [${performanceClass}]`);
+    console.log(`🏆 Agent ${agentId} rating: ${currentRating.toFixed(0)} → ${newRating.toFixed(0)}${deviation} (${ratingChange > 0 ? '+' : ''}${ratingChange.toFixed(0)}${skillChange}) [${performanceClass}]`);
 
     return {
       agentId,
       previousRating: currentRating,
       newRating: newRating,
       ratingChange: ratingChange,
+      ratingState: newState,
+      skill,
+      taskDifficulty: {
+        category: difficulty.category,
+        previousRating: opponent.rating,
+        rating: difficulty.state.rating,
+        learned: opponent.learned
+      },
       performanceClass: performanceClass,
       expectedScore: expectedScore,
       actualScore: actualScore,
@@ -468,14 +880,202 @@ export class AgentELORankingSystem {
     };
   }
 
-  calculateExpectedScore(agentRating, taskComplexity) {
+  updateSkillRating(agentId, taskType, opponent, actualScore) {
+    const previous = this.effectiveState(agentId, this.getSkillState(agentId, taskType));
+    const state = this.backend.update(previous, opponent, actualScore);
+    this.setSkillState(agentId, taskType, state);
+
+    return {
+      taskType,
+      previousRating: previous.rating,
+      newRating: state.rating,
+      ratingChange: state.rating - previous.rating,
+      state
+    };
+  }
+
+  getSkillStates(agentId) {
+    return Array.from(this.skillStates.get(agentId)?.entries() || []);
+  }
+
+  lastActive(agentId) {
+    const history = this.performanceHistory.get(agentId) || [];
+    return history.length > 0 ? history[history.length - 1].timestamp : null;
+  }
+
+  /**
+   * Whole decay periods an agent has been idle past the grace period. Decay
+   * before the current season started was applied by the season's reset.
+   */
+  idlePeriods(agentId, now = Date.now()) {
+    const lastActive = this.lastActive(agentId);
+    if (!this.decay || !lastActive) return 0;
+
+    const decayFrom = Math.max(
+      Date.parse(lastActive) + this.decay.graceDays * DAY_MS,
+      this.season ? Date.parse(this.season.startedAt) : 0
+    );
+    return Math.max(0, Math.floor((now - decayFrom) / (this.decay.periodDays * DAY_MS)));
+  }
+
+  /**
+   * A rating state as of now, with inactivity decay applied
+   */
+  effectiveState(agentId, state, now = Date.now()) {
+    const periods = this.idlePeriods(agentId, now);
+    return periods > 0 ? this.backend.decay(state, periods, this.decay.rate) : state;
+  }
+
+  /**
+   * Start the season of a new sprint: archive the ending season's leaderboard
+   * and softly reset every rating toward the mean. Ratings carry over, so a
+   * strong agent starts ahead, but the gap has to be defended each sprint.
+   * @param {string} sprintId - Sprint the season belongs to
+   * @param {Object} options - { startedAt }
+   */
+  async startSeason(sprintId, options = {}) {
+    // Work from the stored rankings; another process may already have started this season
+    await this.persistRankings();
+    if (this.season?.sprintId === sprintId) return this.season;
+
+    const startedAt = options.startedAt || new Date().toISOString();
+    const now = Date.parse(startedAt);
+    const previous = this.season
+      ? { ...this.season, endedAt: startedAt, leaderboard: this.buildLeaderboard(now) }
+      : null;
+
+    const reset = (agentId, state) => this.backend.softReset(this.effectiveState(agentId, state, now), this.seasonResetFraction);
+    const agentStates = Array.from(this.agentStates.entries())
+      .map(([agentId, state]) => [agentId, reset(agentId, state)]);
+    const skillStates = Array.from(this.skillStates.entries())
+      .map(([agentId, skills]) => [agentId, Array.from(skills.entries()).map(([taskType, state]) => [taskType, reset(agentId, state)])]);
+    const season = { sprintId, startedAt };
+    let recorded = false;
+
+    try {
+      await this.eventLog.record(EVENT_TYPES.SEASON, {
+        season,
+        previous,
+        agentStates,
+        skillStates,
+        resetFraction: this.seasonResetFraction
+      }, { timestamp: startedAt, source: 'elo-ranking' });
+      recorded = true;
+    } catch (error) {
+      console.warn('⚠️  Could not record season start:', error.message);
+    }
+
+    this.restoreAgentStates({ agentRatings: agentStates.map(([agentId, state]) => [agentId, state.rating]), agentStates, skillStates });
+    this.season = season;
+
+    // Without the event no projection stored the reset, so the next persistRankings has to
+    if (!recorded) {
+      agentStates.forEach(([agentId]) => this.dirtyAgents.add(agentId));
+      skillStates.forEach(([agentId]) => this.dirtyAgents.add(agentId));
+    }
+
+    console.log(`🏁 Season started for sprint ${sprintId}${previous ? ` (archived sprint ${previous.sprintId})` : ''}: ${agentStates.length} ratings reset ${(this.seasonResetFraction * 100).toFixed(0)}% toward the mean`);
+    return season;
+  }
+
+  /**
+   * Current standings, ranked by rating with decay applied
+   */
+  buildLeaderboard(now = Date.now()) {
+    const seasonStart = this.season?.startedAt || '';
+
+    return Array.from(this.agentStates.entries())
+      .map(([agentId, state]) => ({ agentId, state: this.effectiveState(agentId, state, now) }))
+      .sort((a, b) => b.state.rating - a.state.rating)
+      .map(({ agentId, state }, index) => ({
+        rank: index + 1,
+        agentId,
+        rating: Number(state.rating.toFixed(0)),
+        deviation: state.deviation !== undefined ? Number(state.deviation.toFixed(0)) : null,
+        provisional: this.backend.isUncertain(state),
+        tasks: (this.performanceHistory.get(agentId) || []).filter(record => record.timestamp >= seasonStart).length
+      }));
+  }
+
+  /**
+   * Archived seasons, oldest first (leaderboards left out)
+   */
+  async getSeasons() {
+    const seasons = await this.readSeasonArchives();
+    return seasons.map(({ leaderboard, ...season }) => ({ ...season, agents: leaderboard.length }));
+  }
+
+  async readSeasonArchives() {
+    const seasons = [];
+    for (const key of await this.storage.list(SEASON_PREFIX)) {
+      const season = await this.storage.read(key);
+      if (season) seasons.push(season);
+    }
+    return seasons.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Leaderboard of a sprint's season: live for the current season, archived for ended ones
+   */
+  async getSeasonLeaderboard(sprintId = this.season?.sprintId) {
+    if (sprintId === undefined || sprintId === this.season?.sprintId) {
+      return { ...this.season, current: true, leaderboard: this.buildLeaderboard() };
+    }
+
+    const season = await this.storage.read(seasonKey(sprintId));
+    return season ? { ...season, current: false } : null;
+  }
+
+  /**
+   * An agent's standing at the end of each season it was ranked in, with the
+   * change from its previous season, followed by the current season
+   */
+  async getSeasonHistory(agentId) {
+    const seasons = [...await this.readSeasonArchives()];
+    if (this.season) {
+      seasons.push({ ...this.season, endedAt: null, current: true, leaderboard: this.buildLeaderboard() });
+    }
+
+    const history = [];
+    for (const season of seasons) {
+      const entry = season.leaderboard.find(standing => standing.agentId === agentId);
+      if (!entry) continue;
+
+      const previous = history[history.length - 1];
+      history.push({
+        sprintId: season.sprintId,
+        startedAt: season.startedAt,
+        endedAt: season.endedAt,
+        current: !!season.current,
+        rank: entry.rank,
+        agents: season.leaderboard.length,
+        rating: entry.rating,
+        tasks: entry.tasks,
+        ratingChange: previous ? entry.rating - previous.rating : null,
+        // Positive when the agent climbed
+        rankChange: previous ? previous.rank - entry.rank : null
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * The task as the agent's opponent: the learned rating of its category, or
+   * its complexity scaled to the rating range while the category is unrated
+   */
+  taskOpponent(taskComplexity, taskType = null) {
+    return this.taskDifficulty.opponentFor(taskType, taskComplexity);
+  }
+
+  calculateExpectedScore(agentRating, taskComplexity, taskType = null) {
     // Expected score based on agent capability vs task difficulty
     // Higher rated agents expected to perform better on complex tasks
-    const taskDifficultyRating = 1500 + (taskComplexity - 0.5) * 800; // Scale complexity to ELO range
-    const ratingDifference = agentRating - taskDifficultyRating;
-    
-    // Standard ELO expected score formula
-    return 1 / (1 + Math.pow(10, -ratingDifference / 400));
+    return this.backend.expectedScore(agentRating, this.taskOpponent(taskComplexity, taskType));
+  }
+
+  getTaskDifficulties() {
+    return this.taskDifficulty.getCategories();
   }
 
   calculateActualScore(taskResult, sprintCompliance) {
@@ -496,6 +1096,19 @@ export class AgentELORankingSystem {
     if (taskResult.helpedOthers) score += 0.05;
     if (taskResult.documentation) score += 0.05;
 
+    // Integrity: scores the score integrity detector flagged as gamed
+    if (taskResult.integrityPenalty) score -= taskResult.integrityPenalty;
+
+    // Re-executions: each retry costs a little, progress across attempts earns some back
+    if (taskResult.attempts > 1) {
+      score -= Math.min(0.2, 0.05 * (taskResult.attempts - 1));
+
+      const history = taskResult.attemptHistory || [];
+      if (history.length > 1) {
+        score += Math.max(0, Math.min(0.1, (history[history.length - 1] - history[0]) * 0.2));
+      }
+    }
+
     return Math.max(0, Math.min(1, score));
   }
 
@@ -510,6 +1123,27 @@ export class AgentELORankingSystem {
   }
 
   async storePerformanceHistory(agentId, performanceData) {
+    this.appendPerformance(agentId, performanceData);
+
+    // Rating events carry the agent's resulting rating state so replays need no recomputation
+    try {
+      await this.eventLog.record(EVENT_TYPES.RATING, {
+        agentId,
+        state: this.getAgentState(agentId),
+        skill: performanceData.taskType ? { taskType: performanceData.taskType, state: performanceData.skillState } : null,
+        difficulty: this.taskComplexityRatings.get(performanceData.taskCategory) || null,
+        performance: performanceData,
+        sprintId: this.season?.sprintId ?? null,
+        systemInfo: this.backend.describe()
+      }, { source: 'elo-ranking' });
+      this.dirtyAgents.delete(agentId);
+      this.dirtyCategories.delete(performanceData.taskCategory);
+    } catch (error) {
+      console.warn('⚠️  Could not record rating event:', error.message);
+    }
+  }
+
+  appendPerformance(agentId, performanceData) {
     if (!this.performanceHistory.has(agentId)) {
       this.performanceHistory.set(agentId, []);
     }
@@ -521,94 +1155,641 @@ export class AgentELORankingSystem {
     if (history.length > 50) {
       history.splice(0, history.length - 50);
     }
+  }
 
-    this.performanceHistory.set(agentId, history);
-    await this.persistRankings();
+  /**
+   * Head-to-head update for agents that solved the same task. Every pair of
+   * agents is a game won by the better ranked solution (a draw when their
+   * scores are within tieMargin). Each agent's games are rated together from
+   * the pre-match ratings, so the order of the pairs does not matter.
+   * @param {string} taskId - Task the agents competed on
+   * @param {Array} ranking - [{ agentId, score }] e.g. critic scores; an agent's best entry counts
+   * @param {Object} options - { taskType, tieMargin (default 0.02) }
+   * @returns {Promise<Object|null>} The match record, or null with fewer than two agents
+   */
+  async recordMatches(taskId, ranking, options = {}) {
+    const entries = [];
+    for (const entry of [...ranking].sort((a, b) => b.score - a.score)) {
+      if (!entries.some(existing => existing.agentId === entry.agentId)) entries.push(entry);
+    }
+    if (entries.length < 2) {
+      console.warn(`⚠️  Head-to-head for task ${taskId} needs at least two agents`);
+      return null;
+    }
+
+    const taskType = this.normalizeTaskType(options.taskType);
+    const tieMargin = options.tieMargin ?? 0.02;
+    const timestamp = new Date().toISOString();
+
+    const before = new Map(entries.map(({ agentId }) => [agentId, {
+      state: this.effectiveState(agentId, this.getAgentState(agentId)),
+      skillState: taskType ? this.effectiveState(agentId, this.getSkillState(agentId, taskType)) : null,
+      games: [],
+      skillGames: [],
+      record: { wins: 0, losses: 0, draws: 0 }
+    }]));
+    const asOpponent = state => ({ rating: state.rating, deviation: state.deviation || 0 });
+
+    const matches = [];
+    entries.forEach((a, i) => entries.slice(i + 1).forEach(b => {
+      const difference = a.score - b.score;
+      const scoreA = Math.abs(difference) <= tieMargin ? 0.5 : difference > 0 ? 1 : 0;
+      const sideA = before.get(a.agentId);
+      const sideB = before.get(b.agentId);
+
+      matches.push({
+        agentA: a.agentId,
+        agentB: b.agentId,
+        scoreA,
+        criticScoreA: a.score,
+        criticScoreB: b.score,
+        expectedA: Number(this.backend.expectedScore(sideA.state.rating, asOpponent(sideB.state)).toFixed(3))
+      });
+
+      sideA.games.push({ opponent: asOpponent(sideB.state), score: scoreA });
+      sideB.games.push({ opponent: asOpponent(sideA.state), score: 1 - scoreA });
+      if (taskType) {
+        sideA.skillGames.push({ opponent: asOpponent(sideB.skillState), score: scoreA });
+        sideB.skillGames.push({ opponent: asOpponent(sideA.skillState), score: 1 - scoreA });
+      }
+
+      const outcome = scoreA === 0.5 ? ['draws', 'draws'] : scoreA === 1 ? ['wins', 'losses'] : ['losses', 'wins'];
+      sideA.record[outcome[0]]++;
+      sideB.record[outcome[1]]++;
+    }));
+
+    const results = entries.map(({ agentId, score }, index) => {
+      const side = before.get(agentId);
+      const state = this.backend.updateMatches(side.state, side.games);
+      const skillState = taskType ? this.backend.updateMatches(side.skillState, side.skillGames) : null;
+
+      this.setAgentState(agentId, state);
+      if (taskType) this.setSkillState(agentId, taskType, skillState);
+      this.dirtyAgents.add(agentId);
+
+      const result = {
+        agentId,
+        rank: index + 1,
+        criticScore: score,
+        previousRating: side.state.rating,
+        newRating: state.rating,
+        ratingChange: state.rating - side.state.rating,
+        ...side.record,
+        state,
+        skillState
+      };
+
+      this.appendPerformance(agentId, {
+        timestamp,
+        previousRating: result.previousRating,
+        newRating: result.newRating,
+        ratingChange: result.ratingChange,
+        ratingState: state,
+        taskType,
+        skillRatingChange: taskType ? skillState.rating - side.skillState.rating : null,
+        skillState,
+        match: { taskId, rank: result.rank, of: entries.length, wins: result.wins, losses: result.losses, draws: result.draws }
+      });
+
+      return result;
+    });
+
+    const match = { taskId, taskType, timestamp, matches, results };
+
+    try {
+      await this.eventLog.record(EVENT_TYPES.MATCH, {
+        ...match,
+        performance: results.map(({ agentId }) => [agentId, this.performanceHistory.get(agentId).at(-1)]),
+        sprintId: this.season?.sprintId ?? null,
+        systemInfo: this.backend.describe()
+      }, { timestamp, source: 'elo-ranking' });
+      results.forEach(({ agentId }) => this.dirtyAgents.delete(agentId));
+    } catch (error) {
+      console.warn('⚠️  Could not record head-to-head match:', error.message);
+    }
+
+    console.log(`⚔️  Head-to-head on ${taskId}: ${results.map(result => `${result.agentId} ${result.previousRating.toFixed(0)} → ${result.newRating.toFixed(0)}`).join(', ')}`);
+    return match;
+  }
+
+  /**
+   * Every head-to-head contest recorded for a task, oldest first
+   */
+  async getMatchHistory(taskId) {
+    return this.storage.read(matchKey(taskId), []);
+  }
+
+  /**
+   * Members of a team with their share of the work
+   * @param {Array|Object} team - [agentId | { agentId, contribution }] or { members }; contributions default to 1
+   * @returns {Array} [{ agentId, share, weight }]: share sums to 1, weight is share relative to the largest
+   */
+  teamMembers(team) {
+    const contributions = new Map();
+    for (const member of (Array.isArray(team) ? team : team?.members) || []) {
+      const agentId = typeof member === 'string' ? member : member?.agentId;
+      if (!agentId) continue;
+
+      const contribution = typeof member === 'object' ? Math.max(0, Number(member.contribution ?? 1) || 0) : 1;
+      contributions.set(agentId, (contributions.get(agentId) || 0) + contribution);
+    }
+
+    const total = Array.from(contributions.values()).reduce((sum, contribution) => sum + contribution, 0);
+    const shares = Array.from(contributions.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([agentId, contribution]) => [agentId, total > 0 ? contribution / total : 1 / contributions.size]);
+    const largest = Math.max(...shares.map(([, share]) => share));
+
+    return shares.map(([agentId, share]) => ({ agentId, share, weight: share / largest }));
+  }
+
+  /**
+   * Starting state of a team not rated before: the mean of its members' states,
+   * as uncertain as a new skill
+   */
+  teamPrior(members) {
+    const states = members.map(({ agentId }) => this.backend.normalizeState(this.effectiveState(agentId, this.getAgentState(agentId))));
+    const mean = Object.fromEntries(Object.keys(states[0]).map(field => [
+      field,
+      states.reduce((sum, state) => sum + state[field], 0) / states.length
+    ]));
+    return this.backend.priorState(mean);
+  }
+
+  /**
+   * Rate a team, such as a swarm, as one unit and feed the outcome back to its
+   * members in proportion to their contribution: the largest contributor takes
+   * the whole individual update, the others the part their share is of the largest.
+   * @param {Array|Object} team - { name, members } or a member list, see teamMembers
+   * @param {Object} taskResult - As for updateAgentRating; taskResult.taskType is the kind of work rated
+   * @returns {Promise<Object>} { teamId, name, taskType, previousRating, newRating, ratingChange, expectedScore, actualScore, members }
+   */
+  async updateTeamRating(team, taskResult, sprintCompliance) {
+    const members = this.teamMembers(team);
+    if (members.length === 0) {
+      throw new Error('A team needs at least one member');
+    }
+
+    if (taskResult.sprintId && taskResult.sprintId !== this.season?.sprintId) {
+      await this.startSeason(taskResult.sprintId);
+    }
+    // Other processes may have rated the team since it was loaded
+    await this.loadTeamRankings();
+
+    const id = teamId(members.map(member => member.agentId));
+    const name = (!Array.isArray(team) && team?.name) || null;
+    const taskType = this.normalizeTaskType(taskResult.taskType);
+    const opponent = this.taskOpponent(taskResult.complexity || 0.5, taskType);
+    const actualScore = this.calculateActualScore(taskResult, sprintCompliance);
+    const timestamp = new Date().toISOString();
+
+    const current = this.teams.get(id);
+    const teamState = current ? current.state : this.teamPrior(members);
+    const teamSkillState = taskType ? current?.skills.get(taskType)?.state || this.backend.priorState(teamState) : null;
+    const expectedScore = this.backend.expectedScore(teamState.rating, opponent);
+    const newTeamState = this.backend.update(teamState, opponent, actualScore);
+    const newTeamSkillState = taskType ? this.backend.update(teamSkillState, opponent, actualScore) : null;
+
+    const results = members.map(({ agentId, share, weight }) => {
+      const state = this.effectiveState(agentId, this.getAgentState(agentId));
+      const newState = interpolateState(state, this.backend.update(state, opponent, actualScore), weight);
+      const skillState = taskType ? this.effectiveState(agentId, this.getSkillState(agentId, taskType)) : null;
+      const newSkillState = taskType
+        ? interpolateState(skillState, this.backend.update(skillState, opponent, actualScore), weight)
+        : null;
+
+      this.setAgentState(agentId, newState);
+      if (taskType) this.setSkillState(agentId, taskType, newSkillState);
+      this.dirtyAgents.add(agentId);
+
+      const result = {
+        agentId,
+        share,
+        weight,
+        previousRating: state.rating,
+        newRating: newState.rating,
+        ratingChange: newState.rating - state.rating,
+        state: newState,
+        skillState: newSkillState
+      };
+
+      this.appendPerformance(agentId, {
+        timestamp,
+        previousRating: result.previousRating,
+        newRating: result.newRating,
+        ratingChange: result.ratingChange,
+        ratingState: newState,
+        taskType,
+        skillRatingChange: taskType ? newSkillState.rating - skillState.rating : null,
+        skillState: newSkillState,
+        taskResult,
+        sprintCompliance,
+        expectedScore: this.backend.expectedScore(state.rating, opponent),
+        actualScore,
+        team: { teamId: id, name, share, weight }
+      });
+
+      return result;
+    });
+
+    const skills = new Map(current?.skills || []);
+    if (taskType) {
+      skills.set(taskType, { state: newTeamSkillState, tasks: (skills.get(taskType)?.tasks || 0) + 1 });
+    }
+    this.teams.set(id, {
+      teamId: id,
+      members: members.map(member => member.agentId),
+      names: [...new Set([...(current?.names || []), ...(name ? [name] : [])])],
+      state: newTeamState,
+      tasks: (current?.tasks || 0) + 1,
+      skills,
+      lastActive: timestamp
+    });
+
+    try {
+      await this.eventLog.record(EVENT_TYPES.TEAM, {
+        teamId: id,
+        name,
+        members: members.map(({ agentId, share, weight }) => ({ agentId, share, weight })),
+        taskId: taskResult.taskId ?? null,
+        taskType,
+        timestamp,
+        expectedScore,
+        actualScore,
+        team: { previousRating: teamState.rating, state: newTeamState, skillState: newTeamSkillState },
+        results,
+        performance: results.map(({ agentId }) => [agentId, this.performanceHistory.get(agentId).at(-1)]),
+        sprintId: this.season?.sprintId ?? null,
+        systemInfo: this.backend.describe()
+      }, { timestamp, source: 'elo-ranking' });
+      results.forEach(({ agentId }) => this.dirtyAgents.delete(agentId));
+    } catch (error) {
+      console.warn('⚠️  Could not record team rating:', error.message);
+    }
+
+    console.log(`👥 Team ${name || id} rating: ${teamState.rating.toFixed(0)} → ${newTeamState.rating.toFixed(0)} (${results.map(result => `${result.agentId} ${result.ratingChange > 0 ? '+' : ''}${result.ratingChange.toFixed(0)}`).join(', ')})`);
+
+    return {
+      teamId: id,
+      name,
+      taskType,
+      previousRating: teamState.rating,
+      newRating: newTeamState.rating,
+      ratingChange: newTeamState.rating - teamState.rating,
+      ratingState: newTeamState,
+      skillState: newTeamSkillState,
+      expectedScore,
+      actualScore,
+      members: results
+    };
+  }
+
+  /**
+   * Team compositions ranked by team rating, or by their rating for one task type
+   * @param {Object} options - { limit (10), minTasks (1) }
+   * @returns {Array} [{ rank, teamId, members, names, taskType, rating, tasks, memberRating, synergy, ... }]
+   *   synergy: team rating minus its members' mean rating; above 0 the team does better than its members suggest
+   */
+  getTeamLeaderboard(taskType = null, options = {}) {
+    if (taskType && typeof taskType === 'object') {
+      options = taskType;
+      taskType = null;
+    }
+
+    const type = this.normalizeTaskType(taskType);
+    const minTasks = options.minTasks ?? 1;
+
+    return Array.from(this.teams.values())
+      .map(team => {
+        const skill = type ? team.skills.get(type) : null;
+        return { team, state: skill ? skill.state : team.state, tasks: type ? skill?.tasks || 0 : team.tasks };
+      })
+      .filter(entry => entry.tasks >= minTasks)
+      .sort((a, b) => b.state.rating - a.state.rating)
+      .slice(0, options.limit ?? 10)
+      .map(({ team, state, tasks }, index) => {
+        const memberRating = team.members
+          .map(agentId => this.effectiveState(agentId, type ? this.getSkillState(agentId, type) : this.getAgentState(agentId)).rating)
+          .reduce((sum, rating) => sum + rating, 0) / team.members.length;
+
+        return {
+          rank: index + 1,
+          teamId: team.teamId,
+          members: team.members,
+          names: team.names,
+          taskType: type,
+          rating: Number(state.rating.toFixed(0)),
+          tasks,
+          memberRating: Number(memberRating.toFixed(0)),
+          synergy: Number((state.rating - memberRating).toFixed(0)),
+          performanceClass: this.classifyPerformance(state.rating),
+          ...this.describeRating(state),
+          lastActive: team.lastActive
+        };
+      });
+  }
+
+  async loadTeamRankings() {
+    try {
+      const data = await this.storage.read(TEAM_RANKINGS);
+      this.teams = new Map((data?.teams || []).map(([id, team]) => [id, {
+        ...team,
+        names: team.names || [],
+        state: this.backend.normalizeState(team.state),
+        skills: new Map((team.skills || []).map(([type, skill]) => [type, {
+          state: this.backend.normalizeState(skill.state),
+          tasks: skill.tasks || 0
+        }]))
+      }]));
+    } catch (error) {
+      console.warn('⚠️  Could not load team rankings:', error.message);
+    }
   }
 
   async persistRankings() {
     try {
-      const rankingDir = join(process.cwd(), '.claude', 'rankings');
-      await mkdir(rankingDir, { recursive: true });
-      
-      const rankingData = {
-        agentRatings: Array.from(this.agentRatings.entries()),
-        performanceHistory: Array.from(this.performanceHistory.entries()),
-        taskComplexityRatings: Array.from(this.taskComplexityRatings.entries()),
-        lastUpdated: new Date().toISOString(),
-        systemInfo: {
-          initialRating: this.initialRating,
-          kFactor: this.kFactor
+      const persistedAgents = new Set(this.dirtyAgents);
+      const persistedCategories = new Set(this.dirtyCategories);
+
+      // Agents only rated by other processes keep their stored state
+      const rankingData = await this.storage.update('rankings/agent-rankings', (stored) => {
+        const agentRatings = new Map(stored?.agentRatings || []);
+        const agentStates = new Map(stored?.agentStates || []);
+        const skillStates = new Map(stored?.skillStates || []);
+        const performanceHistory = new Map(stored?.performanceHistory || []);
+        const taskComplexityRatings = new Map(stored?.taskComplexityRatings || []);
+
+        for (const agentId of persistedAgents) {
+          agentRatings.set(agentId, this.agentRatings.get(agentId));
+          agentStates.set(agentId, this.getAgentState(agentId));
+          skillStates.set(agentId, this.getSkillStates(agentId));
+          performanceHistory.set(agentId, mergePerformanceHistory(
+            performanceHistory.get(agentId) || [],
+            this.performanceHistory.get(agentId) || []
+          ));
         }
-      };
+        for (const category of persistedCategories) {
+          taskComplexityRatings.set(category, this.taskComplexityRatings.get(category));
+        }
+
+        return {
+          agentRatings: Array.from(agentRatings.entries()),
+          agentStates: Array.from(agentStates.entries()),
+          skillStates: Array.from(skillStates.entries()),
+          performanceHistory: Array.from(performanceHistory.entries()),
+          taskComplexityRatings: Array.from(taskComplexityRatings.entries()),
+          season: laterSeason(stored?.season, this.season),
+          lastUpdated: new Date().toISOString(),
+          systemInfo: this.backend.describe()
+        };
+      });
 
-      await writeFile(
-        join(rankingDir, 'agent-rankings.json'),
-        JSON.stringify(rankingData, null, 2)
-      );
+      persistedAgents.forEach(agentId => this.dirtyAgents.delete(agentId));
+      persistedCategories.forEach(category => this.dirtyCategories.delete(category));
+      this.restoreAgentStates(rankingData);
+      this.performanceHistory = new Map(rankingData.performanceHistory);
+      this.restoreTaskDifficulty(rankingData);
+      this.season = rankingData.season;
     } catch (error) {
       console.warn('⚠️  Could not persist agent rankings:', error.message);
     }
   }
 
   async loadRankings() {
+    await this.loadTeamRankings();
+
     try {
-      const rankingFile = join(process.cwd(), '.claude', 'rankings', 'agent-rankings.json');
-      const data = JSON.parse(await readFile(rankingFile, 'utf8'));
-      
-      this.agentRatings = new Map(data.agentRatings || []);
+      const data = await this.storage.read('rankings/agent-rankings');
+      if (!data) {
+        console.log('🏆 No existing rankings found, starting fresh');
+        return;
+      }
+
+      this.restoreAgentStates(data);
       this.performanceHistory = new Map(data.performanceHistory || []);
-      this.taskComplexityRatings = new Map(data.taskComplexityRatings || []);
+      this.restoreTaskDifficulty(data);
+      this.season = data.season || null;
       
-      console.log(`🏆 Loaded agent rankings: ${this.agentRatings.size} agents`);
+      console.log(`🏆 Loaded agent rankings: ${this.agentRatings.size} agents (${this.backend.name})`);
     } catch (error) {
-      console.log('🏆 No existing rankings found, starting fresh');
+      console.warn('⚠️  Could not load agent rankings, starting fresh:', error.message);
     }
   }
 
-  getTopPerformers(limit = 10) {
-    return Array.from(this.agentRatings.entries())
-      .sort(([,a], [,b]) => b - a)
+  /**
+   * Rebuild per-agent rating state from stored rankings. Ratings stored
+   * without state (or by another backend) keep their rating and get the
+   * backend's defaults for everything else.
+   */
+  restoreAgentStates(data) {
+    const states = new Map(data.agentStates || []);
+    this.agentRatings = new Map();
+    this.agentStates = new Map();
+
+    for (const [agentId, rating] of data.agentRatings || []) {
+      this.setAgentState(agentId, this.backend.normalizeState(states.get(agentId) || { rating }));
+    }
+
+    this.skillStates = new Map();
+    for (const [agentId, skills] of data.skillStates || []) {
+      for (const [taskType, state] of skills) {
+        this.setSkillState(agentId, taskType, this.backend.normalizeState(state));
+      }
+    }
+  }
+
+  /**
+   * Category ratings from stored rankings. Entries from before category
+   * ratings (or from another backend) get the backend's state defaults.
+   */
+  restoreTaskDifficulty(data) {
+    this.taskComplexityRatings = new Map((data.taskComplexityRatings || [])
+      .filter(([, entry]) => entry && typeof entry === 'object')
+      .map(([category, entry]) => [category, {
+        category,
+        state: this.backend.normalizeState(entry.state),
+        tasks: entry.tasks || 0,
+        lastUpdated: entry.lastUpdated || null
+      }]));
+  }
+
+  /**
+   * Rating, deviation and 95% confidence interval for display (null where the backend has none)
+   */
+  describeRating(state) {
+    const interval = this.backend.confidenceInterval(state);
+
+    return {
+      deviation: state.deviation !== undefined ? Number(state.deviation.toFixed(0)) : null,
+      volatility: state.volatility ?? null,
+      confidenceInterval: interval
+        ? { low: Number(interval.low.toFixed(0)), high: Number(interval.high.toFixed(0)) }
+        : null,
+      provisional: this.backend.isUncertain(state)
+    };
+  }
+
+  /**
+   * @param {string} taskType - Rank by this task type's skill rating (only agents that have done it)
+   * @param {Object} options - { hideUncertain } leave out agents whose rating is still provisional
+   */
+  getTopPerformers(limit = 10, taskType = null, options = {}) {
+    if (taskType && typeof taskType === 'object') {
+      options = taskType;
+      taskType = null;
+    }
+
+    const type = this.normalizeTaskType(taskType);
+    const states = (type
+      ? Array.from(this.skillStates.entries())
+        .filter(([, skills]) => skills.has(type))
+        .map(([agentId, skills]) => [agentId, skills.get(type)])
+      : Array.from(this.agentStates.entries()))
+      .map(([agentId, state]) => [agentId, this.effectiveState(agentId, state)]);
+
+    return states
+      .filter(([, state]) => !options.hideUncertain || !this.backend.isUncertain(state))
+      .sort(([, a], [, b]) => b.rating - a.rating)
       .slice(0, limit)
-      .map(([agentId, rating]) => ({
+      .map(([agentId, state]) => ({
         agentId,
-        rating: rating.toFixed(0),
-        performanceClass: this.classifyPerformance(rating)
+        taskType: type,
+        rating: state.rating.toFixed(0),
+        performanceClass: this.classifyPerformance(state.rating),
+        ...this.describeRating(state)
       }));
   }
 
-  getAgentStats(agentId) {
-    const rating = this.agentRatings.get(agentId) || this.initialRating;
-    const history = this.performanceHistory.get(agentId) || [];
+  /**
+   * @param {string} taskType - Report the skill rating for this task type instead of the overall rating
+   */
+  getAgentStats(agentId, taskType = null) {
+    const type = this.normalizeTaskType(taskType);
+    const state = this.effectiveState(agentId, type ? this.getSkillState(agentId, type) : this.getAgentState(agentId));
+    const rating = state.rating;
+    const history = (this.performanceHistory.get(agentId) || [])
+      .filter(record => !type || record.taskType === type);
     
     const recentHistory = history.slice(-10);
     const recentAvgRatingChange = recentHistory.length > 0 
-      ? recentHistory.reduce((sum, h) => sum + h.ratingChange, 0) / recentHistory.length
+      ? recentHistory.reduce((sum, h) => sum + ((type ? h.skillRatingChange : h.ratingChange) || 0), 0) / recentHistory.length
       : 0;
 
     return {
       agentId,
+      taskType: type,
+      // No tasks of this type yet: the rating is the prior from the overall rating
+      fromPrior: type ? !this.hasSkillRating(agentId, type) : false,
       currentRating: rating.toFixed(0),
       performanceClass: this.classifyPerformance(rating),
+      ...this.describeRating(state),
+      skills: Object.fromEntries(this.getSkillStates(agentId)
+        .map(([skillType, skillState]) => [skillType, this.effectiveState(agentId, skillState)])
+        .map(([skillType, skillState]) => [
+          skillType,
+          { rating: Number(skillState.rating.toFixed(0)), ...this.describeRating(skillState) }
+        ])),
+      lastActive: this.lastActive(agentId),
+      idlePeriods: this.idlePeriods(agentId),
       totalTasks: history.length,
       recentTasks: recentHistory.length,
       recentAvgRatingChange: recentAvgRatingChange.toFixed(1),
       trending: recentAvgRatingChange > 5 ? 'up' : recentAvgRatingChange < -5 ? 'down' : 'stable'
     };
   }
+
+  /**
+   * Rating over time from the event log; unlike performanceHistory it is never truncated
+   * @param {Object} filter - { agentId, taskType, since, until }, see RatingHistory.query
+   * @returns {Promise<Array>} One series per agent, see RatingHistory.series
+   */
+  async getRatingHistory(filter = {}) {
+    return this.ratingHistory.series({ ...filter, taskType: this.normalizeTaskType(filter.taskType) });
+  }
+}
+
+/**
+ * A solution without the critique the critic-fixer cycle attached to it
+ */
+function solutionContent(solution) {
+  const { critique, ...content } = solution || {};
+  return content;
+}
+
+// Sections the heuristic fixer used to attach to every weak solution: template text, never a revision
+const BOILERPLATE_FIELDS = ['sprintAlignmentEnhancement', 'technicalEnhancements', 'feasibilityImprovements', 'riskMitigations', 'innovativeEnhancements'];
+
+/**
+ * A solution's content without the fixer padding its critique records:
+ * critique.generatedFields, and the list entries in critique.generatedEntries ({ field: [entry JSON] })
+ */
+function withoutPadding(solution) {
+  const fields = solution?.critique?.generatedFields || [];
+  const entries = solution?.critique?.generatedEntries || {};
+
+  return Object.fromEntries(Object.entries(solutionContent(solution))
+    .filter(([field]) => !fields.includes(field))
+    .map(([field, value]) => Array.isArray(value) && entries[field]
+      ? [field, value.filter(entry => !entries[field].includes(JSON.stringify(entry)))]
+      : [field, value]));
+}
+
+function mergePaddedEntries(before = {}, added = {}) {
+  const merged = { ...before };
+  for (const [field, entries] of Object.entries(added)) {
+    merged[field] = [...new Set([...(merged[field] || []), ...entries])];
+  }
+  return merged;
+}
+
+/**
+ * Change of every factor score from one critique to the next
+ */
+function factorDeltas(before = {}, after = {}) {
+  return Object.fromEntries([...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(factor => [factor, (after[factor] ?? 0) - (before[factor] ?? 0)]));
 }
 
 /**
  * Critic-Fixer Cycle Implementation
  */
 export class CriticFixerCycle {
-  constructor() {
-    this.maxCycles = 3;
-    this.improvementThreshold = 0.1;
+  /**
+   * @param {Object} options
+   *   critic: 'heuristic' (default) | 'model' | { provider, ...provider options } | provider instance
+   *   fixer: likewise; see critic-fixer-providers.js
+   *   maxCycles (3), improvementThreshold (0.1)
+   *   mode: 'patch' fixes each solution on its own (default); 'evolve' breeds a population, see solution-evolution.js
+   *   evolution: SolutionEvolution options for evolve mode
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'patch';
+    if (!['patch', 'evolve'].includes(this.mode)) {
+      throw new Error(`Unknown critic-fixer mode: ${this.mode} (expected patch or evolve)`);
+    }
+    this.maxCycles = options.maxCycles ?? 3;
+    this.improvementThreshold = options.improvementThreshold ?? 0.1;
+    this.evolution = new SolutionEvolution(options.evolution);
+    this.similarity = new TextSimilarityEngine();
+    // The heuristics also stand in when a configured provider fails
+    this.heuristicCritic = new HeuristicCriticProvider({ similarity: this.similarity });
+    this.heuristicFixer = new HeuristicFixerProvider({ similarity: this.similarity });
+    this.critic = options.critic ? createCriticFixerProvider(options.critic, 'critic') : this.heuristicCritic;
+    this.fixer = options.fixer ? createCriticFixerProvider(options.fixer, 'fixer') : this.heuristicFixer;
   }
 
+  /**
+   * @returns {Promise<Object>} finalSolutions carry the critic's last critique
+   *   and the fixes applied, as solution.critique: { provider, score, factors, summary, issues, ..., generatedFields, generatedEntries, fixes };
+   *   improvements record per-factor deltas of every cycle; weightedWinner and
+   *   paretoFront rank finalSolutions (see pareto-ranking.js), by index
+   */
   async evaluateAndImprove(solutions, evaluationContext) {
-    console.log(`🔄 Starting critic-fixer cycle with ${solutions.length} solutions`);
+    if (this.mode === 'evolve') {
+      return this.evolve(solutions, evaluationContext);
+    }
+
+    console.log(`🔄 Starting critic-fixer cycle with ${solutions.length} solutions (critic: ${this.critic.name}, fixer: ${this.fixer.name})`);
     
     let currentSolutions = [...solutions];
     let cycle = 0;
@@ -628,8 +1809,10 @@ export class CriticFixerCycle {
       const improvement = this.calculateImprovement(criticResults, fixedSolutions);
       improvements.push(improvement);
       
+      // Every fix that raised its solution's score is kept, also from the cycle that converges
+      currentSolutions = fixedSolutions.map((fs, index) => fs.improvement > 0 ? fs.solution : criticResults[index].solution);
+
       if (improvement.significantImprovement) {
-        currentSolutions = fixedSolutions.map(fs => fs.solution);
         console.log(`   ✨ Cycle ${cycle} improved solutions by ${(improvement.avgImprovement * 100).toFixed(1)}%`);
       } else {
         console.log(`   ⏹️  Cycle ${cycle} converged (improvement < ${this.improvementThreshold})`);
@@ -639,17 +1822,93 @@ export class CriticFixerCycle {
 
     // Final evaluation
     const finalEvaluation = await this.criticPhase(currentSolutions, evaluationContext);
+    const finalSolutions = currentSolutions.map((solution, index) => ({
+      ...solutionContent(solution),
+      critique: {
+        ...finalEvaluation.find(evaluation => evaluation.solutionIndex === index).critique,
+        fixes: solution.critique?.fixes || []
+      }
+    }));
 
     return {
       originalSolutions: solutions,
-      finalSolutions: currentSolutions,
+      finalSolutions,
       cycles: cycle,
       improvements: improvements,
+      ...this.rankSolutions(finalSolutions),
       finalScores: finalEvaluation.map(cr => cr.score),
       avgImprovement: improvements.reduce((sum, imp) => sum + imp.avgImprovement, 0) / improvements.length
     };
   }
 
+  /**
+   * Evolve mode: the critic scores every generation; the fixer is not used
+   * @returns {Promise<Object>} As evaluateAndImprove, with finalSolutions the
+   *   final population best first and cycles the generations run, plus
+   *   { mode, stopReason, lineage }. Each final solution's critique carries its
+   *   lineage: { id, generation, origin, parents, inherited, mutations, ancestors };
+   *   lineage lists the entry of every ancestor of a final solution.
+   */
+  async evolve(solutions, evaluationContext) {
+    console.log(`🧬 Evolving ${solutions.length} solutions (critic: ${this.critic.name}, up to ${this.evolution.generations} generations)`);
+
+    const run = await this.evolution.run(solutions, solution => this.evaluateSolution(solution, evaluationContext));
+    const improvements = run.history.slice(1).map((summary, index) => {
+      const previous = run.history[index];
+      return {
+        generation: summary.generation,
+        originalAverage: previous.averageScore,
+        improvedAverage: summary.averageScore,
+        avgImprovement: summary.averageScore - previous.averageScore,
+        bestScore: summary.bestScore,
+        bestImprovement: summary.bestScore - previous.bestScore,
+        significantImprovement: summary.bestScore - previous.bestScore >= this.evolution.minGain,
+        improvementCount: summary.improvedOffspring,
+        offspring: summary.offspring
+      };
+    });
+
+    const finalSolutions = run.population.map(member => ({
+      ...solutionContent(member.solution),
+      critique: {
+        ...member.critique,
+        fixes: member.solution.critique?.fixes || [],
+        lineage: { ...member.lineage, id: member.id, ancestors: SolutionEvolution.ancestry(run.lineage, member.id) }
+      }
+    }));
+    const ancestors = new Set(finalSolutions.flatMap(solution => [solution.critique.lineage.id, ...solution.critique.lineage.ancestors]));
+
+    const best = run.population[0];
+    console.log(`   🏁 ${run.stopReason === 'converged' ? 'Converged' : 'Stopped'} after ${run.generations} generations: best ${best.critique.score.toFixed(2)} (${best.id}, ${best.lineage.origin})`);
+
+    return {
+      mode: 'evolve',
+      originalSolutions: solutions,
+      finalSolutions,
+      cycles: run.generations,
+      stopReason: run.stopReason,
+      improvements,
+      lineage: Array.from(run.lineage.values()).filter(entry => ancestors.has(entry.id)),
+      ...this.rankSolutions(finalSolutions),
+      finalScores: run.population.map(member => member.critique.score),
+      avgImprovement: improvements.length > 0
+        ? improvements.reduce((sum, imp) => sum + imp.avgImprovement, 0) / improvements.length
+        : 0
+    };
+  }
+
+  /**
+   * The weighted winner and the Pareto front over the critic's factors
+   * @returns {Object} { weightedWinner, paretoFront }
+   */
+  rankSolutions(finalSolutions) {
+    const ranking = paretoFront(finalSolutions);
+    if (ranking.front.length > 1) {
+      console.log(`   🧭 Pareto front: ${ranking.front.map(entry => entry.name).join(', ')} (weighted winner: ${ranking.weightedWinner.name})`);
+    }
+    return { weightedWinner: ranking.weightedWinner, paretoFront: ranking.front };
+  }
+
   async criticPhase(solutions, evaluationContext) {
     console.log(`     🔍 Critic phase: Evaluating ${solutions.length} solutions`);
     
@@ -665,7 +1924,8 @@ export class CriticFixerCycle {
         score: evaluation.score,
         strengths: evaluation.strengths,
         weaknesses: evaluation.weaknesses,
-        improvementAreas: evaluation.improvementAreas
+        improvementAreas: evaluation.improvementAreas,
+        critique: evaluation
       });
     }
 
@@ -685,34 +1945,58 @@ export class CriticFixerCycle {
     for (const criticResult of criticResults) {
       if (criticResult.score < 0.8 && criticResult.improvementAreas.length > 0) {
         // Apply fixes to low-scoring solutions
-        const improvedSolution = await this.applySolutionFixes(
+        const fix = await this.applySolutionFixes(
           criticResult.solution, 
-          criticResult.improvementAreas, 
+          criticResult.critique, 
           evaluationContext
         );
+
+        // Padding the fix added is left out of the score; revisions and additions about this solution count
+        const content = solutionContent(criticResult.solution);
+        const addedFields = Object.keys(fix.solution).filter(field => !(field in content));
+        const padding = this.findPadding(withoutPadding(criticResult.solution), fix.solution, evaluationContext);
+        const generatedFields = [...new Set([...criticResult.critique.generatedFields, ...padding.fields])];
+        const generatedEntries = mergePaddedEntries(criticResult.critique.generatedEntries, padding.entries);
+        const fixes = [...(criticResult.solution.critique?.fixes || []), {
+          provider: fix.provider,
+          changes: fix.changes,
+          addedFields,
+          paddedFields: padding.fields,
+          paddedEntries: padding.entries
+        }];
         
         // Re-evaluate improved solution
-        const newEvaluation = await this.evaluateSolution(improvedSolution, evaluationContext);
+        const newEvaluation = await this.evaluateSolution({ ...fix.solution, critique: { generatedFields, generatedEntries } }, evaluationContext);
         
         fixedSolutions.push({
           originalScore: criticResult.score,
           improvedScore: newEvaluation.score,
           improvement: newEvaluation.score - criticResult.score,
-          solution: improvedSolution,
-          appliedFixes: criticResult.improvementAreas
+          scoreWithGenerated: newEvaluation.withGenerated?.score ?? newEvaluation.score,
+          factorDeltas: factorDeltas(criticResult.critique.factors, newEvaluation.factors),
+          solution: { ...fix.solution, critique: { ...newEvaluation, fixes } },
+          appliedFixes: criticResult.improvementAreas,
+          changes: fix.changes
         });
         
         if (newEvaluation.score > criticResult.score) {
           console.log(`     ⬆️  Solution ${criticResult.solutionIndex}: ${criticResult.score.toFixed(2)} → ${newEvaluation.score.toFixed(2)}`);
         }
+        if (newEvaluation.withGenerated && newEvaluation.withGenerated.score > newEvaluation.score) {
+          const padded = [...generatedFields, ...Object.keys(generatedEntries).map(field => `${field} entries`)];
+          console.log(`     🧱 Solution ${criticResult.solutionIndex}: +${(newEvaluation.withGenerated.score - newEvaluation.score).toFixed(2)} from fixer padding (${padded.join(', ')}) not counted`);
+        }
       } else {
         // Keep high-scoring solutions as-is
         fixedSolutions.push({
           originalScore: criticResult.score,
           improvedScore: criticResult.score,
           improvement: 0,
+          scoreWithGenerated: criticResult.critique.withGenerated?.score ?? criticResult.score,
+          factorDeltas: factorDeltas(criticResult.critique.factors, criticResult.critique.factors),
           solution: criticResult.solution,
-          appliedFixes: []
+          appliedFixes: [],
+          changes: []
         });
       }
     }
@@ -720,218 +2004,117 @@ export class CriticFixerCycle {
     return fixedSolutions;
   }
 
+  /**
+   * Critique of the solution without fixer padding: padding cannot raise the
+   * score, and is scored separately as withGenerated. Fields a fixer revised,
+   * and fields it added about this solution, are scored on their content.
+   * @returns {Promise<Object>} { provider, score, factors, strengths, weaknesses, improvementAreas, summary, issues, generatedFields, generatedEntries, withGenerated }
+   *   withGenerated: { score, factors } including the padding, or null when there is none
+   */
   async evaluateSolution(solution, evaluationContext) {
-    // Multi-factor solution evaluation
-    const factors = {
-      sprintAlignment: this.evaluateSprintAlignment(solution, evaluationContext),
-      technicalQuality: this.evaluateTechnicalQuality(solution),
-      implementationFeasibility: this.evaluateImplementationFeasibility(solution),
-      riskAssessment: this.evaluateRiskAssessment(solution),
-      innovationFactor: this.evaluateInnovationFactor(solution)
-    };
+    const content = solutionContent(solution);
+    const generatedFields = (solution?.critique?.generatedFields || []).filter(field => field in content);
+    const generatedEntries = Object.fromEntries(Object.entries(solution?.critique?.generatedEntries || {})
+      .filter(([field]) => Array.isArray(content[field])));
+    const padded = generatedFields.length > 0 || Object.keys(generatedEntries).length > 0;
 
-    // Weighted scoring
-    const weights = {
-      sprintAlignment: 0.3,
-      technicalQuality: 0.25,
-      implementationFeasibility: 0.25,
-      riskAssessment: 0.15,
-      innovationFactor: 0.05
-    };
-
-    let totalScore = 0;
-    const strengths = [];
-    const weaknesses = [];
-    const improvementAreas = [];
-
-    for (const [factor, score] of Object.entries(factors)) {
-      const weightedScore = score * weights[factor];
-      totalScore += weightedScore;
-
-      if (score > 0.8) {
-        strengths.push(factor);
-      } else if (score < 0.6) {
-        weaknesses.push(factor);
-        improvementAreas.push(factor);
-      }
-    }
+    const evaluation = await this.critiqueContent(withoutPadding({ ...content, critique: { generatedFields, generatedEntries } }), evaluationContext);
+    const withGenerated = padded ? await this.critiqueContent(content, evaluationContext) : null;
 
     return {
-      score: totalScore,
-      factors: factors,
-      strengths: strengths,
-      weaknesses: weaknesses,
-      improvementAreas: improvementAreas
+      ...evaluation,
+      generatedFields,
+      generatedEntries,
+      withGenerated: withGenerated && { score: withGenerated.score, factors: withGenerated.factors }
     };
   }
 
-  evaluateSprintAlignment(solution, evaluationContext) {
-    // Evaluate how well solution aligns with sprint goals
-    if (!evaluationContext.sprintGoals) return 0.7; // Default if no goals provided
-    
-    const solutionKeywords = this.extractSolutionKeywords(solution);
-    const goalKeywords = evaluationContext.sprintGoals.flatMap(goal => 
-      goal.toLowerCase().split(/\s+/).filter(word => word.length > 3)
-    );
-
-    const matchingKeywords = solutionKeywords.filter(keyword => goalKeywords.includes(keyword));
-    return Math.min(1.0, matchingKeywords.length / Math.max(goalKeywords.length * 0.3, 1));
-  }
-
-  evaluateTechnicalQuality(solution) {
-    // Evaluate technical soundness
-    let score = 0.5; // Base score
-
-    // Check for technical detail
-    if (solution.technicalDetails && solution.technicalDetails.length > 50) score += 0.2;
-    
-    // Check for architecture consideration
-    if (solution.architecture && Object.keys(solution.architecture).length > 0) score += 0.15;
-    
-    // Check for testing strategy
-    if (solution.testing && solution.testing.strategy) score += 0.1;
-    
-    // Check for error handling
-    if (solution.errorHandling) score += 0.05;
-
-    return Math.min(1.0, score);
-  }
-
-  evaluateImplementationFeasibility(solution) {
-    // Evaluate how realistic the implementation is
-    let score = 0.6; // Base score
-
-    // Complexity assessment
-    if (solution.complexity && solution.complexity <= 0.7) score += 0.2;
-    else if (solution.complexity && solution.complexity > 0.9) score -= 0.1;
-
-    // Resource requirements
-    if (solution.resourceRequirements && solution.resourceRequirements.realistic) score += 0.15;
-    
-    // Timeline feasibility
-    if (solution.timeline && solution.timeline.realistic) score += 0.05;
-
-    return Math.min(1.0, Math.max(0.1, score));
-  }
-
-  evaluateRiskAssessment(solution) {
-    // Evaluate risk factors
-    let score = 0.7; // Base score assuming moderate risk
-
-    if (solution.risks) {
-      const riskCount = solution.risks.length;
-      const mitigationCount = solution.risks.filter(risk => risk.mitigation).length;
-      
-      if (riskCount === 0) score += 0.2; // No identified risks might be unrealistic
-      else if (mitigationCount / riskCount > 0.8) score += 0.3; // Good risk management
-      else if (mitigationCount / riskCount < 0.5) score -= 0.2; // Poor risk management
-    }
-
-    return Math.min(1.0, Math.max(0.1, score));
-  }
-
-  evaluateInnovationFactor(solution) {
-    // Evaluate innovative aspects
-    let score = 0.5; // Base score
-
-    if (solution.innovative && solution.innovative.features) score += 0.3;
-    if (solution.novel && solution.novel.approach) score += 0.2;
-
-    return Math.min(1.0, score);
-  }
-
-  async applySolutionFixes(solution, improvementAreas, evaluationContext) {
-    const improvedSolution = { ...solution };
-
-    for (const area of improvementAreas) {
-      switch (area) {
-        case 'sprintAlignment':
-          improvedSolution.sprintAlignmentEnhancement = await this.enhanceSprintAlignment(solution, evaluationContext);
-          break;
-        case 'technicalQuality':
-          improvedSolution.technicalEnhancements = await this.enhanceTechnicalQuality(solution);
-          break;
-        case 'implementationFeasibility':
-          improvedSolution.feasibilityImprovements = await this.enhanceFeasibility(solution);
-          break;
-        case 'riskAssessment':
-          improvedSolution.riskMitigations = await this.enhanceRiskAssessment(solution);
-          break;
-        case 'innovationFactor':
-          improvedSolution.innovativeEnhancements = await this.enhanceInnovation(solution);
-          break;
+  /**
+   * What a fix added that pads the solution rather than revising it: the
+   * boilerplate sections, and added fields or list entries that share no
+   * term with the solution or the sprint goals
+   * @param {Object} before - The solution's content before the fix, without earlier padding
+   * @returns {Object} { fields, entries: { field: [entry JSON] } }
+   */
+  findPadding(before, after, evaluationContext = {}) {
+    const termsOf = value => this.similarity.analyzeWords(collectText(value).join('\n')).terms;
+    const reference = new Set([...termsOf(before), ...termsOf(evaluationContext.sprintGoals || [])]);
+    const generic = value => !termsOf(value).some(term => reference.has(term));
+    const fields = [];
+    const entries = {};
+
+    for (const [field, value] of Object.entries(solutionContent(after))) {
+      if (!(field in before)) {
+        if (BOILERPLATE_FIELDS.includes(field) || generic(value)) fields.push(field);
+      } else if (Array.isArray(value) && Array.isArray(before[field])) {
+        const existing = new Set(before[field].map(entry => JSON.stringify(entry)));
+        const padded = value.filter(entry => !existing.has(JSON.stringify(entry)) && generic(entry));
+        if (padded.length > 0) entries[field] = padded.map(entry => JSON.stringify(entry));
       }
     }
 
-    return improvedSolution;
-  }
-
-  async enhanceSprintAlignment(solution, evaluationContext) {
-    return {
-      alignmentStrategy: 'Enhanced alignment with sprint goals',
-      specificGoalMapping: evaluationContext.sprintGoals || [],
-      alignmentScore: 'improved'
-    };
+    return { fields, entries };
   }
 
-  async enhanceTechnicalQuality(solution) {
-    return {
-      addedArchitecture: 'Layered architecture with clear separation of concerns',
-      addedTesting: 'Unit tests, integration tests, and end-to-end testing strategy',
-      addedErrorHandling: 'Comprehensive error handling and logging',
-      codeQuality: 'Code review process and static analysis integration'
-    };
-  }
-
-  async enhanceFeasibility(solution) {
-    return {
-      simplifiedApproach: 'Broken down into smaller, manageable phases',
-      resourceOptimization: 'Optimized resource requirements',
-      realisticTimeline: 'Adjusted timeline based on team capacity',
-      dependencyManagement: 'Clear dependency identification and management'
-    };
+  /**
+   * Critique from the configured critic, with the heuristic critic standing in when it fails
+   */
+  async critiqueContent(content, evaluationContext) {
+    try {
+      return { provider: this.critic.name, ...await this.critic.critique(content, evaluationContext) };
+    } catch (error) {
+      if (this.critic === this.heuristicCritic) throw error;
+      console.warn(`⚠️  Critic provider ${this.critic.name} failed, using heuristics:`, error.message);
+      return { provider: this.heuristicCritic.name, ...await this.heuristicCritic.critique(content, evaluationContext) };
+    }
   }
 
-  async enhanceRiskAssessment(solution) {
-    return {
-      identifiedRisks: [
-        { risk: 'Technical complexity', mitigation: 'Proof of concept development' },
-        { risk: 'Timeline pressure', mitigation: 'Agile approach with MVP focus' },
-        { risk: 'Resource constraints', mitigation: 'Staged implementation approach' }
-      ],
-      contingencyPlans: 'Multiple fallback options identified'
-    };
-  }
+  /**
+   * Revision from the configured fixer, with the heuristic fixer standing in when it fails
+   * @returns {Promise<Object>} { provider, solution, changes }
+   */
+  async applySolutionFixes(solution, critique, evaluationContext) {
+    const content = solutionContent(solution);
 
-  async enhanceInnovation(solution) {
-    return {
-      innovativeAspects: 'Unique approach to problem solving',
-      novelTechniques: 'Modern best practices and emerging patterns',
-      futureProofing: 'Extensible design for future enhancements'
-    };
+    try {
+      return { provider: this.fixer.name, ...await this.fixer.fix(content, critique, evaluationContext) };
+    } catch (error) {
+      if (this.fixer === this.heuristicFixer) throw error;
+      console.warn(`⚠️  Fixer provider ${this.fixer.name} failed, using heuristics:`, error.message);
+      return { provider: this.heuristicFixer.name, ...await this.heuristicFixer.fix(content, critique, evaluationContext) };
+    }
   }
 
   extractSolutionKeywords(solution) {
-    const text = JSON.stringify(solution).toLowerCase();
-    return text.replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 20);
+    return this.similarity.extractKeywords(collectText(solution).join('\n'));
   }
 
+  /**
+   * Average change over the solutions, overall and per factor. Scores leave
+   * out fixer padding; generatedDelta is what the padding would have added.
+   */
   calculateImprovement(originalResults, fixedResults) {
     const originalAvg = originalResults.reduce((sum, r) => sum + r.score, 0) / originalResults.length;
     const improvedAvg = fixedResults.reduce((sum, r) => sum + r.improvedScore, 0) / fixedResults.length;
+    const withGeneratedAvg = fixedResults.reduce((sum, r) => sum + r.scoreWithGenerated, 0) / fixedResults.length;
     
     const avgImprovement = improvedAvg - originalAvg;
     const significantImprovement = avgImprovement > this.improvementThreshold;
 
+    const factors = [...new Set(fixedResults.flatMap(r => Object.keys(r.factorDeltas)))];
+    const avgFactorDeltas = Object.fromEntries(factors.map(factor => [
+      factor,
+      fixedResults.reduce((sum, r) => sum + (r.factorDeltas[factor] || 0), 0) / fixedResults.length
+    ]));
+
     return {
       originalAverage: originalAvg,
       improvedAverage: improvedAvg,
       avgImprovement: avgImprovement,
       significantImprovement: significantImprovement,
-      improvementCount: fixedResults.filter(r => r.improvement > 0).length
+      improvementCount: fixedResults.filter(r => r.improvement > 0).length,
+      factorDeltas: avgFactorDeltas,
+      generatedDelta: withGeneratedAvg - improvedAvg
     };
   }
 }
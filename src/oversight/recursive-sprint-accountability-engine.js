@@ -4,18 +4,80 @@
  * Integrates verification layer, ELO ranking, and critic-fixer cycles
  */
 
-import { readFile, writeFile } from 'fs/promises';
-import { join } from 'path';
 import { VerificationLayer, AgentELORankingSystem, CriticFixerCycle } from './recursive-learning-core.js';
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+import { loadSprintGlossary } from './sprint-glossary.js';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog } from './oversight-event-log.js';
+import { AgentTaskRouter } from './agent-task-router.js';
+import { ScoreIntegrityDetector } from './score-integrity-detector.js';
+import { AgentAccountabilityAuditor } from './agent-accountability-auditor.js';
+import { AlternativeSolutionGenerator, normalizeDecisions } from './alternative-solution-generator.js';
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Re-execution exceeded the remaining ${ms}ms budget`);
+      error.code = 'REEXECUTION_TIMEOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+}
+
+function describeConflicts(rejected) {
+  return rejected
+    .map(entry => `${entry.name} (${entry.conflicts.map(conflict => `${conflict.decision} rules out ${conflict.ruledOut}`).join(', ')})`)
+    .join('; ');
+}
 
 export class RecursiveSprintAccountabilityEngine {
   constructor(options = {}) {
-    this.verificationLayer = new VerificationLayer(options.verificationMode || 'moderate');
-    this.eloSystem = new AgentELORankingSystem();
-    this.criticFixerCycle = new CriticFixerCycle();
+    // storage: backend config ({ backend: 'json' | 'memory' | 'sqlite' }) or instance shared by all components
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
+
+    // verificationMode selects a scoring profile by name or supplies a full profile
+    this.verificationLayer = new VerificationLayer(options.verificationMode || 'moderate', {
+      checks: options.verificationChecks,
+      scoringProfiles: options.scoringProfiles,
+      rollback: options.rollback,
+      memory: options.verificationMemory,
+      storage: this.storage,
+      eventLog: this.eventLog
+    });
+    this.eloSystem = new AgentELORankingSystem({
+      storage: this.storage,
+      eventLog: this.eventLog,
+      rating: options.rating,
+      decay: options.ratingDecay,
+      seasons: options.seasons
+    });
+    // criticFixer: { critic, fixer, maxCycles, improvementThreshold, mode, evolution }; critic and fixer default to the built-in heuristics, mode to 'patch'
+    this.criticFixerCycle = new CriticFixerCycle(options.criticFixer);
+    // integrity: options for ScoreIntegrityDetector, or false to skip the anti-gaming checks
+    this.integrityDetector = options.integrity === false ? null : new ScoreIntegrityDetector({
+      ...options.integrity,
+      memory: this.verificationLayer.memory
+    });
+    this.auditor = new AgentAccountabilityAuditor({ storage: this.storage, eventLog: this.eventLog });
+    // alternatives: options for AlternativeSolutionGenerator (maxAlternatives, maxGoalAlternatives)
+    this.alternativeGenerator = new AlternativeSolutionGenerator({
+      ...options.alternatives,
+      verificationLayer: this.verificationLayer
+    });
+    this.similarity = new TextSimilarityEngine();
     
     this.sprintMemory = new Map();
     this.agentPerformanceCache = new Map();
+    // routing: options for AgentTaskRouter (agents, weights, exploration, maxLoad)
+    this.router = new AgentTaskRouter({
+      ...options.routing,
+      eloSystem: this.eloSystem,
+      performanceCache: this.agentPerformanceCache
+    });
     this.continuousLearning = options.continuousLearning !== false;
     this.adaptiveThresholds = options.adaptiveThresholds !== false;
     
@@ -24,7 +86,9 @@ export class RecursiveSprintAccountabilityEngine {
       verificationsPassed: 0,
       verificationsBlocked: 0,
       improvementCycles: 0,
-      agentsRanked: 0
+      agentsRanked: 0,
+      reexecutions: 0,
+      recoveredTasks: 0
     };
 
     console.log('🧠 Recursive Sprint Accountability Engine initialized');
@@ -53,9 +117,25 @@ export class RecursiveSprintAccountabilityEngine {
     this.logSystemStats();
   }
 
-  async processAgentTask(agentId, taskData, sprintContext) {
+  /**
+   * Capture workspace state before an agent starts a task, so a failed
+   * verification can be rolled back with the configured strategy
+   */
+  async captureCheckpoint(context = {}) {
+    return this.verificationLayer.rollbackManager.captureCheckpoint(context);
+  }
+
+  /**
+   * @param {Object} options
+   *   checkpoint: from captureCheckpoint(), used to roll back a failed task
+   *   reexecute: async ({ attempt, taskData, guidance, explanation, rollback }) => revised taskData (or null to give up)
+   *   maxAttempts: total attempts including the first (default 3)
+   *   timeoutMs: time budget for all re-executions (default 5 minutes)
+   */
+  async processAgentTask(agentId, taskData, sprintContext, options = {}) {
     console.log(`\n🎯 Processing task for agent ${agentId}`);
     this.stats.totalTasks++;
+    this.router.taskStarted(agentId);
 
     const processingResult = {
       agentId,
@@ -71,10 +151,20 @@ export class RecursiveSprintAccountabilityEngine {
     };
 
     try {
+      // Resolve the sprint glossary once so every phase expands terms the same way
+      if (!sprintContext.glossary) {
+        sprintContext = { ...sprintContext, glossary: await loadSprintGlossary() };
+      }
+
       // Phase 1: Verification Layer - "Truth is enforced, not assumed"
       console.log('📋 Phase 1: Verification enforcement');
-      const verificationResult = await this.verificationLayer.enforceVerification(taskData, sprintContext);
+      const verification = await this.runVerificationAttempts(taskData, sprintContext, { ...options, agentId });
+      const verificationResult = verification.verificationResult;
+      const attemptHistory = verification.attempts.map(attempt => attempt.score);
+      taskData = verification.taskData;
+
       processingResult.phases.verification = verificationResult;
+      processingResult.attempts = verification.attempts;
 
       if (!verificationResult.verified) {
         this.stats.verificationsBlocked++;
@@ -93,6 +183,10 @@ export class RecursiveSprintAccountabilityEngine {
           reason: 'verification_failed',
           verificationScore: verificationResult.score,
           improvementGuidance: verificationResult.checks,
+          explanation: verificationResult.explanation,
+          rollback: verificationResult.rollback?.execution,
+          attempts: verification.attempts.length,
+          stopReason: verification.stopReason,
           suggestions: improvementSuggestions
         };
 
@@ -101,13 +195,19 @@ export class RecursiveSprintAccountabilityEngine {
           completed: false,
           quality: verificationResult.score,
           onTime: false,
-          complexity: taskData.complexity || 0.5
+          complexity: taskData.complexity || 0.5,
+          taskType: taskData.type,
+          attempts: verification.attempts.length,
+          attemptHistory
         }, { overallCompliance: verificationResult.score });
 
         return processingResult;
       }
 
       this.stats.verificationsPassed++;
+      if (verification.attempts.length > 1) {
+        this.stats.recoveredTasks++;
+      }
       console.log('✅ Task passed verification layer');
 
       // Phase 2: Critic-Fixer Enhancement (if continuous learning enabled)
@@ -119,7 +219,8 @@ export class RecursiveSprintAccountabilityEngine {
           {
             sprintGoals: sprintContext.goals || [],
             constraints: sprintContext.constraints || [],
-            qualityStandards: sprintContext.qualityStandards || {}
+            qualityStandards: sprintContext.qualityStandards || {},
+            glossary: sprintContext.glossary
           }
         );
         
@@ -137,15 +238,23 @@ export class RecursiveSprintAccountabilityEngine {
 
       // Phase 3: ELO Rating Update
       console.log('📋 Phase 3: ELO rating update');
+      const integrity = await this.checkScoreIntegrity(agentId, processingResult.taskId, verificationResult, sprintContext);
+      processingResult.integrity = integrity;
       const sprintCompliance = await this.calculateSprintCompliance(taskData, sprintContext);
       const eloUpdate = await this.updateAgentELO(agentId, {
         completed: true,
         quality: verificationResult.score,
         onTime: true, // Assume on-time if it passed verification
         complexity: taskData.complexity || 0.5,
+        taskType: taskData.type,
+        // A new sprint starts a new rating season
+        sprintId: sprintContext.sprintId,
         innovative: taskData.enhanced || false,
         documentation: !!(taskData.documentation),
-        helpedOthers: !!(taskData.collaboration)
+        helpedOthers: !!(taskData.collaboration),
+        attempts: verification.attempts.length,
+        attemptHistory,
+        integrityPenalty: integrity ? integrity.penalty : 0
       }, sprintCompliance);
 
       processingResult.phases.eloUpdate = eloUpdate;
@@ -162,7 +271,8 @@ export class RecursiveSprintAccountabilityEngine {
         eloRating: eloUpdate.newRating,
         performanceClass: eloUpdate.performanceClass,
         sprintCompliance: sprintCompliance.overallCompliance,
-        enhanced: taskData.enhanced || false
+        enhanced: taskData.enhanced || false,
+        attempts: verification.attempts.length
       };
 
       console.log(`✅ Task approved for agent ${agentId} (Rating: ${eloUpdate.newRating.toFixed(0)})`);
@@ -176,7 +286,269 @@ export class RecursiveSprintAccountabilityEngine {
         error: error.message
       };
       return processingResult;
+    } finally {
+      this.router.taskFinished(agentId);
+    }
+  }
+
+  /**
+   * Rank the solutions several agents submitted for the same task with the
+   * critic, and rate the agents head-to-head on the result
+   * @param {Object} taskData - The task; taskData.id identifies it in the match history
+   * @param {Array} submissions - [{ agentId, solution }]
+   * @param {Object} options - { tieMargin }
+   */
+  async compareSubmissions(taskData, submissions, sprintContext = {}, options = {}) {
+    const taskId = taskData.id || `task_${Date.now()}`;
+    console.log(`\n⚔️  Comparing ${submissions.length} submissions for task ${taskId}`);
+
+    const evaluations = await this.criticFixerCycle.criticPhase(submissions.map(submission => submission.solution), {
+      sprintGoals: sprintContext.goals || [],
+      constraints: sprintContext.constraints || [],
+      qualityStandards: sprintContext.qualityStandards || {},
+      glossary: sprintContext.glossary
+    });
+    const ranking = evaluations.map(evaluation => ({
+      agentId: submissions[evaluation.solutionIndex].agentId,
+      score: evaluation.score
+    }));
+
+    const match = await this.eloSystem.recordMatches(taskId, ranking, { ...options, taskType: taskData.type });
+    return { taskId, evaluations, match };
+  }
+
+  /**
+   * Verify a task a team (such as a swarm) delivered together and rate the
+   * team as a unit; members' ratings move in proportion to their contribution
+   * @param {Object} team - { name, members: [agentId] or [{ agentId, contribution }] }
+   * @param {Object} options - As for processAgentTask
+   */
+  async processTeamTask(team, taskData, sprintContext, options = {}) {
+    const members = this.eloSystem.teamMembers(team).map(member => member.agentId);
+    const teamLabel = team?.name || members.join('+');
+    console.log(`\n👥 Processing task for team ${teamLabel} (${members.join(', ')})`);
+    this.stats.totalTasks++;
+    members.forEach(agentId => this.router.taskStarted(agentId));
+
+    const processingResult = {
+      team: teamLabel,
+      members,
+      taskId: taskData.id || `task_${Date.now()}`,
+      timestamp: new Date().toISOString(),
+      phases: {
+        verification: null,
+        eloUpdate: null
+      },
+      finalResult: null
+    };
+
+    try {
+      if (!sprintContext.glossary) {
+        sprintContext = { ...sprintContext, glossary: await loadSprintGlossary() };
+      }
+
+      console.log('📋 Phase 1: Verification enforcement');
+      const verification = await this.runVerificationAttempts(taskData, sprintContext, { ...options, agentId: teamLabel });
+      const verificationResult = verification.verificationResult;
+      const verified = verificationResult.verified;
+      taskData = verification.taskData;
+
+      processingResult.phases.verification = verificationResult;
+      processingResult.attempts = verification.attempts;
+      if (verified) {
+        this.stats.verificationsPassed++;
+      } else {
+        this.stats.verificationsBlocked++;
+        console.log('🚫 Team task blocked by verification layer');
+      }
+
+      console.log('📋 Phase 2: Team rating update');
+      const integrity = verified
+        ? await this.checkScoreIntegrity(teamLabel, processingResult.taskId, verificationResult, sprintContext)
+        : null;
+      processingResult.integrity = integrity;
+      const sprintCompliance = verified
+        ? await this.calculateSprintCompliance(taskData, sprintContext)
+        : { overallCompliance: verificationResult.score };
+
+      const eloUpdate = await this.eloSystem.updateTeamRating(team, {
+        taskId: processingResult.taskId,
+        completed: verified,
+        quality: verificationResult.score,
+        onTime: verified,
+        complexity: taskData.complexity || 0.5,
+        taskType: taskData.type,
+        sprintId: sprintContext.sprintId,
+        documentation: !!(taskData.documentation),
+        attempts: verification.attempts.length,
+        integrityPenalty: integrity ? integrity.penalty : 0
+      }, sprintCompliance);
+
+      processingResult.phases.eloUpdate = eloUpdate;
+      this.stats.agentsRanked += members.length;
+
+      if (this.continuousLearning) {
+        for (const agentId of members) {
+          await this.updateContinuousLearning(agentId, taskData, verificationResult, sprintCompliance);
+        }
+      }
+
+      processingResult.finalResult = verified
+        ? {
+          status: 'approved',
+          verificationScore: verificationResult.score,
+          teamRating: eloUpdate.newRating,
+          sprintCompliance: sprintCompliance.overallCompliance,
+          attempts: verification.attempts.length
+        }
+        : {
+          status: 'blocked',
+          reason: 'verification_failed',
+          verificationScore: verificationResult.score,
+          explanation: verificationResult.explanation,
+          attempts: verification.attempts.length,
+          stopReason: verification.stopReason
+        };
+
+      return processingResult;
+
+    } catch (error) {
+      console.error(`❌ Error processing task for team ${teamLabel}:`, error);
+      processingResult.finalResult = {
+        status: 'error',
+        error: error.message
+      };
+      return processingResult;
+    } finally {
+      members.forEach(agentId => this.router.taskFinished(agentId));
+    }
+  }
+
+  /**
+   * Team compositions that have done best at the kind of work a sprint goal
+   * describes; falls back to overall team ratings when no team has done that kind yet
+   * @param {string} goal - Sprint goal or task description
+   * @param {Object} options - { taskType, limit, minTasks }
+   * @returns {Promise<Object>} { taskType, teams } see AgentELORankingSystem.getTeamLeaderboard
+   */
+  async recommendTeams(goal, options = {}) {
+    const { taskType } = await this.router.analyzeTask(goal, { ...options, complexity: 0.5 });
+    const teams = taskType ? this.eloSystem.getTeamLeaderboard(taskType, options) : [];
+
+    return teams.length > 0
+      ? { taskType, teams }
+      : { taskType: null, teams: this.eloSystem.getTeamLeaderboard(options) };
+  }
+
+  /**
+   * Look for signs that a verified task's score was gamed; flagged tasks raise
+   * an oversight alert and carry a penalty into the ELO update
+   */
+  async checkScoreIntegrity(agentId, taskId, verificationResult, sprintContext) {
+    if (!this.integrityDetector) return null;
+
+    try {
+      const integrity = await this.integrityDetector.inspect(verificationResult, sprintContext);
+      if (integrity.flagged) {
+        integrity.flags.forEach(flag => console.log(`🕵️  ${flag.message}`));
+        await this.auditor.raiseIntegrityAlert(agentId, taskId, integrity);
+      }
+      return integrity;
+    } catch (error) {
+      console.warn('⚠️  Could not check score integrity:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ranked shortlist of agents for a task, with the reasons for each
+   * @param {Object} options - { count, taskType, complexity, candidates, exploration }
+   */
+  async recommendAgents(taskDescription, sprintContext = {}, options = {}) {
+    return this.router.recommendAgents(taskDescription, sprintContext, options);
+  }
+
+  /**
+   * Verify the task and, when a reexecute callback is given, hand the agent the
+   * rollback guidance and explanation and re-verify its revised output until it
+   * passes, the callback gives up, or the attempt/time budget is spent
+   */
+  async runVerificationAttempts(taskData, sprintContext, options = {}) {
+    const maxAttempts = options.reexecute ? Math.max(1, options.maxAttempts ?? 3) : 1;
+    const deadline = Date.now() + (options.timeoutMs ?? 300000);
+    const attempts = [];
+    let stopReason = null;
+    let verificationResult = null;
+
+    while (true) {
+      const startedAt = Date.now();
+      verificationResult = await this.verificationLayer.enforceVerification(taskData, sprintContext, {
+        checkpoint: options.checkpoint,
+        agentId: options.agentId
+      });
+
+      const previous = attempts[attempts.length - 1];
+      attempts.push({
+        attempt: attempts.length + 1,
+        verificationId: verificationResult.verificationId,
+        score: verificationResult.score,
+        scoreDelta: previous ? verificationResult.score - previous.score : null,
+        checkDeltas: previous
+          ? Object.fromEntries(Object.entries(verificationResult.checks).map(([name, check]) => [
+            name,
+            check.score - (previous.checkScores[name] ?? 0)
+          ]))
+          : null,
+        checkScores: Object.fromEntries(Object.entries(verificationResult.checks).map(([name, check]) => [name, check.score])),
+        verified: verificationResult.verified,
+        durationMs: Date.now() - startedAt
+      });
+
+      if (verificationResult.verified) break;
+
+      if (attempts.length >= maxAttempts) {
+        stopReason = options.reexecute ? 'max_attempts' : null;
+        break;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        stopReason = 'timeout';
+        break;
+      }
+
+      console.log(`🔁 Re-executing task (attempt ${attempts.length + 1}/${maxAttempts})`);
+      this.stats.reexecutions++;
+
+      let revised;
+      try {
+        revised = await withTimeout(options.reexecute({
+          attempt: attempts.length + 1,
+          taskData,
+          guidance: verificationResult.rollback?.improvementGuidance || [],
+          explanation: verificationResult.explanation,
+          rollback: verificationResult.rollback?.execution
+        }), remaining);
+      } catch (error) {
+        console.warn(`⚠️  Re-execution stopped: ${error.message}`);
+        stopReason = error.code === 'REEXECUTION_TIMEOUT' ? 'timeout' : 'agent_error';
+        break;
+      }
+
+      if (!revised) {
+        stopReason = 'agent_gave_up';
+        break;
+      }
+
+      taskData = revised;
+    }
+
+    if (attempts.length > 1) {
+      const delta = attempts[attempts.length - 1].score - attempts[0].score;
+      console.log(`📈 ${attempts.length} attempts, score ${attempts[0].score.toFixed(3)} → ${verificationResult.score.toFixed(3)} (${delta >= 0 ? '+' : ''}${delta.toFixed(3)})`);
     }
+
+    return { verificationResult, taskData, attempts, stopReason };
   }
 
   async generateImprovementSuggestions(taskData, sprintContext, verificationResult) {
@@ -191,17 +563,40 @@ export class RecursiveSprintAccountabilityEngine {
         {
           sprintGoals: sprintContext.goals || [],
           constraints: sprintContext.constraints || [],
-          qualityStandards: sprintContext.qualityStandards || {}
+          qualityStandards: sprintContext.qualityStandards || {},
+          glossary: sprintContext.glossary
         }
       );
 
-      return {
-        type: 'alternative_solutions',
-        count: criticFixerResult.finalSolutions.length,
-        solutions: criticFixerResult.finalSolutions.slice(0, 3), // Top 3 alternatives
-        improvementCycles: criticFixerResult.cycles,
-        averageImprovement: criticFixerResult.avgImprovement
-      };
+      // Fixes and evolved offspring can bring back what an accepted decision rules out
+      const decisions = normalizeDecisions(sprintContext.architectureDecisions).filter(decision => decision.accepted);
+      const solutions = [];
+      const rejected = [];
+      for (const solution of criticFixerResult.finalSolutions) {
+        const conflicts = this.alternativeGenerator.conflicts(solution, decisions);
+        if (conflicts.length > 0) rejected.push({ name: solution.name, conflicts });
+        else solutions.push(solution);
+      }
+      if (rejected.length > 0) {
+        console.log(`🚫 Dropped ${rejected.length} improved solution(s) conflicting with accepted decisions: ${describeConflicts(rejected)}`);
+      }
+
+      if (solutions.length > 0) {
+        // Every trade-off worth making, each with what it gives up, rather than the top scores
+        const { paretoFront: front, weightedWinner } = rejected.length > 0
+          ? this.criticFixerCycle.rankSolutions(solutions)
+          : criticFixerResult;
+        return {
+          type: 'alternative_solutions',
+          count: solutions.length,
+          solutions: front.map(entry => solutions[entry.index]),
+          tradeOffs: front.map(({ index, ...entry }) => entry),
+          weightedWinner,
+          rejected,
+          improvementCycles: criticFixerResult.cycles,
+          averageImprovement: criticFixerResult.avgImprovement
+        };
+      }
     }
 
     // Fallback to verification-based suggestions
@@ -212,51 +607,15 @@ export class RecursiveSprintAccountabilityEngine {
     };
   }
 
+  /**
+   * Alternatives built from the sprint's goals, accepted architecture decisions,
+   * constraints and verified success patterns; see alternative-solution-generator.js
+   */
   async generateAlternativeSolutions(taskData, sprintContext) {
-    // Generate alternative approaches based on task type and sprint context
-    const alternatives = [];
-    
-    const baseApproach = {
-      description: taskData.description || 'Task implementation',
-      type: taskData.type || 'implementation',
-      complexity: (taskData.complexity || 0.5) * 0.8, // Slightly simpler
-      technicalDetails: 'Simplified approach focusing on core requirements',
-      architecture: { pattern: 'layered', complexity: 'moderate' },
-      testing: { strategy: 'unit_tests', coverage: 'basic' }
-    };
-
-    // Alternative 1: Conservative approach
-    alternatives.push({
-      ...baseApproach,
-      name: 'Conservative Implementation',
-      complexity: (taskData.complexity || 0.5) * 0.6,
-      risks: [
-        { risk: 'Technical debt', mitigation: 'Planned refactoring phase' }
-      ]
-    });
-
-    // Alternative 2: Balanced approach
-    alternatives.push({
-      ...baseApproach,
-      name: 'Balanced Implementation',
-      complexity: taskData.complexity || 0.5,
-      architecture: { pattern: 'microservices', complexity: 'moderate' },
-      testing: { strategy: 'comprehensive', coverage: 'high' }
-    });
+    const { alternatives, rejected } = this.alternativeGenerator.generate(taskData, sprintContext);
 
-    // Alternative 3: Innovative approach (if sprint allows)
-    if (sprintContext.allowInnovation !== false) {
-      alternatives.push({
-        ...baseApproach,
-        name: 'Innovative Implementation',
-        complexity: (taskData.complexity || 0.5) * 1.2,
-        innovative: { features: true },
-        novel: { approach: true },
-        risks: [
-          { risk: 'New technology adoption', mitigation: 'Proof of concept first' },
-          { risk: 'Timeline uncertainty', mitigation: 'Agile iterations' }
-        ]
-      });
+    if (rejected.length > 0) {
+      console.log(`🚫 Dropped ${rejected.length} alternative(s) conflicting with accepted decisions: ${describeConflicts(rejected)}`);
     }
 
     return alternatives;
@@ -288,6 +647,10 @@ export class RecursiveSprintAccountabilityEngine {
             actions.push('Verify understanding of sprint requirements');
             actions.push('Include references to specific context elements');
             break;
+          default:
+            // Custom checks carry their own guidance in the check registry
+            actions.push(this.verificationLayer.checkRegistry.formatGuidance(checkName, checkResult));
+            break;
         }
       }
     });
@@ -303,6 +666,8 @@ export class RecursiveSprintAccountabilityEngine {
     let compliance = 0;
     const factors = {};
 
+    this.similarity.indexSprintContext(sprintContext);
+
     // Goal alignment
     if (sprintContext.goals && sprintContext.goals.length > 0) {
       factors.goalAlignment = this.calculateGoalAlignment(taskData, sprintContext.goals);
@@ -337,13 +702,9 @@ export class RecursiveSprintAccountabilityEngine {
   }
 
   calculateGoalAlignment(taskData, goals) {
-    const taskKeywords = this.extractKeywords(taskData.description || '');
-    const goalKeywords = goals.flatMap(goal => this.extractKeywords(goal));
+    if (collectText(goals).length === 0) return 0.8;
     
-    if (goalKeywords.length === 0) return 0.8;
-    
-    const matches = taskKeywords.filter(keyword => goalKeywords.includes(keyword));
-    return Math.min(1.0, matches.length / (goalKeywords.length * 0.3));
+    return this.similarity.alignment(taskData.description || '', goals).score;
   }
 
   calculateConstraintAdherence(taskData, constraints) {
@@ -385,7 +746,9 @@ export class RecursiveSprintAccountabilityEngine {
       verificationScore: verificationResult.score,
       sprintCompliance: sprintCompliance.overallCompliance,
       successful: verificationResult.verified,
-      improvements: taskData.enhanced || false
+      improvements: taskData.enhanced || false,
+      // Lets the router match agents to the domains of new tasks
+      domains: await this.router.detectDomains(taskData.description)
     };
 
     // Update agent performance cache
@@ -435,34 +798,36 @@ export class RecursiveSprintAccountabilityEngine {
   }
 
   extractKeywords(text) {
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 20);
+    return this.similarity.extractKeywords(text);
   }
 
   async loadSprintMemory() {
     try {
-      const memoryFile = join(process.cwd(), '.claude', 'oversight', 'sprint-memory.json');
-      const data = JSON.parse(await readFile(memoryFile, 'utf8'));
-      
+      const data = await this.storage.read('oversight/sprint-memory');
+      if (!data) {
+        console.log('📚 No existing sprint memory found, starting fresh');
+        return;
+      }
+
       this.sprintMemory = new Map(data.sprintMemory || []);
       console.log(`📚 Loaded sprint memory: ${this.sprintMemory.size} sprints`);
     } catch (error) {
-      console.log('📚 No existing sprint memory found, starting fresh');
+      console.warn('⚠️  Could not load sprint memory, starting fresh:', error.message);
     }
   }
 
   async loadEngineStats() {
     try {
-      const statsFile = join(process.cwd(), '.claude', 'oversight', 'engine-stats.json');
-      const data = JSON.parse(await readFile(statsFile, 'utf8'));
-      
+      const data = await this.storage.read('oversight/engine-stats');
+      if (!data) {
+        console.log('📊 No existing engine stats found, starting fresh');
+        return;
+      }
+
       this.stats = { ...this.stats, ...data.stats };
       console.log(`📊 Loaded engine stats: ${this.stats.totalTasks} total tasks processed`);
     } catch (error) {
-      console.log('📊 No existing engine stats found, starting fresh');
+      console.warn('⚠️  Could not load engine stats, starting fresh:', error.message);
     }
   }
 
@@ -474,10 +839,7 @@ export class RecursiveSprintAccountabilityEngine {
         lastUpdated: new Date().toISOString()
       };
 
-      await writeFile(
-        join(process.cwd(), '.claude', 'oversight', 'sprint-memory.json'),
-        JSON.stringify(sprintMemoryData, null, 2)
-      );
+      await this.storage.write('oversight/sprint-memory', sprintMemoryData);
 
       // Save engine stats
       const statsData = {
@@ -485,10 +847,7 @@ export class RecursiveSprintAccountabilityEngine {
         lastUpdated: new Date().toISOString()
       };
 
-      await writeFile(
-        join(process.cwd(), '.claude', 'oversight', 'engine-stats.json'),
-        JSON.stringify(statsData, null, 2)
-      );
+      await this.storage.write('oversight/engine-stats', statsData);
 
       console.log('💾 Engine data persisted');
     } catch (error) {
@@ -503,6 +862,7 @@ export class RecursiveSprintAccountabilityEngine {
     console.log(`   Verifications blocked: ${this.stats.verificationsBlocked}`);
     console.log(`   Improvement cycles: ${this.stats.improvementCycles}`);
     console.log(`   Agents ranked: ${this.stats.agentsRanked}`);
+    console.log(`   Re-executions: ${this.stats.reexecutions} (${this.stats.recoveredTasks} tasks recovered)`);
     
     const verificationStats = this.verificationLayer.getStats();
     console.log(`   Verification success rate: ${(verificationStats.successRate * 100).toFixed(1)}%`);
@@ -510,20 +870,35 @@ export class RecursiveSprintAccountabilityEngine {
     
     const topPerformers = this.eloSystem.getTopPerformers(3);
     if (topPerformers.length > 0) {
-      console.log('   Top performers:');
+      const season = this.eloSystem.season ? ` (sprint ${this.eloSystem.season.sprintId})` : '';
+      console.log(`   Top performers${season}:`);
       topPerformers.forEach((performer, index) => {
-        console.log(`     ${index + 1}. ${performer.agentId} (${performer.rating}, ${performer.performanceClass})`);
+        const deviation = performer.deviation !== null ? ` ±${performer.deviation}` : '';
+        console.log(`     ${index + 1}. ${performer.agentId} (${performer.rating}${deviation}, ${performer.performanceClass})`);
+      });
+    }
+
+    const topTeams = this.eloSystem.getTeamLeaderboard({ limit: 3 });
+    if (topTeams.length > 0) {
+      console.log('   Top teams:');
+      topTeams.forEach(team => {
+        console.log(`     ${team.rank}. ${team.names[0] || team.teamId} (${team.rating}, synergy ${team.synergy > 0 ? '+' : ''}${team.synergy}, ${team.tasks} tasks)`);
       });
     }
     console.log('');
   }
 
-  async getAgentRecommendations(agentId) {
-    const agentStats = this.eloSystem.getAgentStats(agentId);
-    const agentHistory = this.agentPerformanceCache.get(agentId) || [];
+  /**
+   * @param {string} taskType - Focus the recommendations on one task type's skill rating
+   */
+  async getAgentRecommendations(agentId, taskType = null) {
+    const agentStats = this.eloSystem.getAgentStats(agentId, taskType);
+    const agentHistory = (this.agentPerformanceCache.get(agentId) || [])
+      .filter(task => !agentStats.taskType || task.taskType === agentStats.taskType);
     
     const recommendations = {
       agentId,
+      taskType: agentStats.taskType,
       currentRating: agentStats.currentRating,
       performanceClass: agentStats.performanceClass,
       trending: agentStats.trending,
@@ -546,11 +921,25 @@ export class RecursiveSprintAccountabilityEngine {
       }
       
       const taskTypes = [...new Set(recentTasks.map(task => task.taskType))];
-      if (taskTypes.length === 1) {
+      if (!agentStats.taskType && taskTypes.length === 1) {
         recommendations.recommendations.push(`Consider diversifying task types beyond ${taskTypes[0]}`);
       }
     }
 
+    if (agentStats.fromPrior) {
+      recommendations.recommendations.push(`No ${agentStats.taskType} tasks rated yet; start with lower-complexity ${agentStats.taskType} work to establish a skill rating`);
+    }
+
+    // Skills well below the overall rating are the ones to practise
+    if (!agentStats.taskType) {
+      Object.entries(agentStats.skills)
+        .filter(([, skill]) => skill.rating < agentStats.currentRating - 100)
+        .sort(([, a], [, b]) => a.rating - b.rating)
+        .forEach(([skillType, skill]) => {
+          recommendations.recommendations.push(`Strengthen ${skillType} skills (rating ${skill.rating} vs ${agentStats.currentRating} overall)`);
+        });
+    }
+
     // Performance-based recommendations
     if (agentStats.currentRating < 1400) {
       recommendations.recommendations.push('Focus on completing basic tasks successfully to build rating');
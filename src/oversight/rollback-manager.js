@@ -0,0 +1,275 @@
+/**
+ * Rollback Manager
+ * Executes rollbacks for failed verifications through pluggable strategies
+ * (git, file snapshot, no-op) and keeps an audit log keyed by verification id
+ */
+
+import { readFile, writeFile, unlink, mkdir } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { execFileSync } from 'child_process';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
+
+// Oversight state lives in .claude/ and must survive a rollback of the agent's work
+const GIT_PATHSPEC = ['--', '.', ':(exclude).claude'];
+
+/**
+ * Records the rollback without touching the workspace
+ */
+export class NoopRollbackStrategy {
+  constructor() {
+    this.name = 'noop';
+  }
+
+  async capture() {
+    return {};
+  }
+
+  async rollback() {
+    return { status: 'skipped', details: { reason: 'No-op rollback strategy configured' } };
+  }
+}
+
+/**
+ * Git rollback: stashes the agent's uncommitted changes (default) or, in
+ * 'commit' mode, stashes them and checks out the files of the commit
+ * recorded when the checkpoint was captured. HEAD does not move: the
+ * restored files are staged on top of it, and commits made since stay in
+ * the history. Both keep the undone work recoverable from the stash list
+ * and the log.
+ */
+export class GitRollbackStrategy {
+  constructor(options = {}) {
+    this.name = 'git';
+    this.cwd = options.cwd || process.cwd();
+    this.mode = options.mode || 'stash';
+  }
+
+  git(...args) {
+    return execFileSync('git', args, { cwd: this.cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  }
+
+  async capture() {
+    return {
+      commit: this.git('rev-parse', 'HEAD'),
+      branch: this.git('rev-parse', '--abbrev-ref', 'HEAD')
+    };
+  }
+
+  async rollback(checkpoint = {}, context = {}) {
+    const headBefore = this.git('rev-parse', 'HEAD');
+    const dirty = this.git('status', '--porcelain', ...GIT_PATHSPEC) !== '';
+    const details = { mode: this.mode, headBefore, stash: null };
+
+    if (dirty) {
+      this.git('stash', 'push', '--include-untracked', '-m', `oversight rollback ${context.verificationId || ''}`.trim(), ...GIT_PATHSPEC);
+      details.stash = this.git('rev-parse', 'stash@{0}');
+    }
+
+    if (this.mode === 'commit') {
+      if (!checkpoint.commit) {
+        return {
+          status: dirty ? 'partial' : 'skipped',
+          details: { ...details, reason: 'No recorded commit in checkpoint; only stashed working tree changes' }
+        };
+      }
+
+      if (checkpoint.commit !== headBefore) {
+        // Files added since the checkpoint are not in its tree, so checkout leaves them behind
+        const added = this.git('diff', '--name-only', '--relative', '-z', '--diff-filter=A', checkpoint.commit, 'HEAD', ...GIT_PATHSPEC)
+          .split('\0')
+          .filter(Boolean);
+
+        this.git('checkout', checkpoint.commit, ...GIT_PATHSPEC);
+        if (added.length > 0) {
+          this.git('rm', '-q', '--', ...added);
+        }
+        details.removedFiles = added;
+      }
+      details.restoredCommit = checkpoint.commit;
+    }
+
+    if (!dirty && details.restoredCommit === undefined) {
+      return { status: 'skipped', details: { ...details, reason: 'Working tree has no changes to roll back' } };
+    }
+
+    return { status: 'rolled_back', details };
+  }
+}
+
+/**
+ * File snapshot rollback: captures the content of the task's files before
+ * the task runs and writes it back byte for byte (removing files that did
+ * not exist). Contents are stored base64-encoded.
+ */
+export class FileSnapshotRollbackStrategy {
+  constructor(options = {}) {
+    this.name = 'snapshot';
+    this.cwd = options.cwd || process.cwd();
+    this.files = options.files || [];
+    this.storage = resolveStorage(options.storage);
+  }
+
+  async capture(context = {}) {
+    const files = [...new Set([...this.files, ...(context.files || [])])];
+    const entries = [];
+
+    for (const file of files) {
+      try {
+        const content = await readFile(resolve(this.cwd, file));
+        entries.push({ file, exists: true, encoding: 'base64', content: content.toString('base64') });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        entries.push({ file, exists: false, content: null });
+      }
+    }
+
+    const snapshotId = `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await this.storage.write(`verification/rollback-snapshots/${snapshotId}`, { snapshotId, entries });
+
+    return { snapshotId, files };
+  }
+
+  async rollback(checkpoint = {}) {
+    if (!checkpoint.snapshotId) {
+      return { status: 'skipped', details: { reason: 'No file snapshot captured before the task' } };
+    }
+
+    const snapshot = await this.storage.read(`verification/rollback-snapshots/${checkpoint.snapshotId}`);
+    if (!snapshot) {
+      return { status: 'failed', details: { reason: `File snapshot ${checkpoint.snapshotId} not found` } };
+    }
+    const restored = [];
+    const removed = [];
+
+    for (const entry of snapshot.entries) {
+      const path = resolve(this.cwd, entry.file);
+      if (entry.exists) {
+        // Snapshots taken before contents were base64-encoded hold utf8 text
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, Buffer.from(entry.content, entry.encoding || 'utf8'));
+        restored.push(entry.file);
+      } else {
+        try {
+          await unlink(path);
+          removed.push(entry.file);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    }
+
+    return { status: 'rolled_back', details: { snapshotId: checkpoint.snapshotId, restored, removed } };
+  }
+}
+
+export class RollbackManager {
+  /**
+   * @param {Object} options
+   *   strategy: 'noop' | 'git' | 'snapshot' | custom strategy object (default 'noop')
+   *   git / snapshot: options for the built-in strategies
+   *   strategies: { name: strategy } additional strategies
+   *   storage: oversight storage instance or config for the rollback log and snapshots
+   *   eventLog: oversight event log receiving rollback.executed events
+   */
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
+    this.strategies = new Map();
+    this.registerStrategy('noop', new NoopRollbackStrategy());
+    this.registerStrategy('git', new GitRollbackStrategy(options.git));
+    this.registerStrategy('snapshot', new FileSnapshotRollbackStrategy({ storage: this.storage, ...options.snapshot }));
+
+    for (const [name, strategy] of Object.entries(options.strategies || {})) {
+      this.registerStrategy(name, strategy);
+    }
+
+    if (options.strategy && typeof options.strategy === 'object') {
+      this.registerStrategy(options.strategy.name || 'custom', options.strategy);
+      this.defaultStrategy = options.strategy.name || 'custom';
+    } else {
+      this.defaultStrategy = options.strategy || 'noop';
+    }
+  }
+
+  /**
+   * Register a rollback strategy
+   * @param {Object} strategy - { capture(context) => checkpoint, rollback(checkpoint, context) => { status, details } }
+   */
+  registerStrategy(name, strategy) {
+    if (typeof strategy?.rollback !== 'function') {
+      throw new Error(`Rollback strategy "${name}" must provide a rollback function`);
+    }
+    this.strategies.set(name, strategy);
+    return strategy;
+  }
+
+  getStrategy(name = this.defaultStrategy) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown rollback strategy: ${name}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Capture the pre-task state; pass the returned checkpoint to enforceVerification
+   */
+  async captureCheckpoint(context = {}, strategyName = this.defaultStrategy) {
+    const strategy = this.getStrategy(strategyName);
+    const state = typeof strategy.capture === 'function' ? await strategy.capture(context) : {};
+
+    return {
+      checkpointId: `checkpoint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      strategy: strategyName,
+      capturedAt: new Date().toISOString(),
+      ...state
+    };
+  }
+
+  /**
+   * Execute the rollback for a failed verification and persist the outcome
+   */
+  async executeRollback(verificationResult, checkpoint = null) {
+    const strategyName = checkpoint?.strategy || this.defaultStrategy;
+    const record = {
+      verificationId: verificationResult.verificationId,
+      strategy: strategyName,
+      checkpointId: checkpoint?.checkpointId || null,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      const strategy = this.getStrategy(strategyName);
+      const outcome = await strategy.rollback(checkpoint || {}, { verificationId: verificationResult.verificationId });
+      record.status = outcome.status;
+      record.details = outcome.details || {};
+    } catch (error) {
+      console.warn(`⚠️  Rollback with strategy "${strategyName}" failed: ${error.message}`);
+      record.status = 'failed';
+      record.details = { error: error.message };
+    }
+
+    await this.persistRollback(record);
+    return record;
+  }
+
+  async persistRollback(record) {
+    try {
+      await this.eventLog.record(EVENT_TYPES.ROLLBACK, record, { source: 'rollback-manager' });
+    } catch (error) {
+      console.warn('⚠️  Could not persist rollback log:', error.message);
+    }
+  }
+
+  async loadRollbackLog() {
+    return this.storage.read('verification/rollback-log', []);
+  }
+
+  async getRollback(verificationId) {
+    const log = await this.loadRollbackLog();
+    return log.filter(record => record.verificationId === verificationId).pop() || null;
+  }
+}
+
+export default RollbackManager;
@@ -0,0 +1,246 @@
+/**
+ * Score Integrity Detector
+ * Flags verified tasks whose score looks gamed rather than earned: keyword
+ * stuffing, sprint goal text pasted into the description, descriptions
+ * copied from earlier successes, and score jumps the work product does not
+ * account for. Each flag carries a penalty that comes off the task's ELO score.
+ */
+
+import { TextSimilarityEngine, collectText } from './text-similarity.js';
+
+const DEFAULT_PENALTIES = {
+  keywordStuffing: 0.2,
+  copiedGoalText: 0.2,
+  duplicateSuccess: 0.3,
+  unexplainedJump: 0.15
+};
+
+const SHINGLE_SIZE = 5;
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function wordCount(text) {
+  return normalizeText(text).split(' ').filter(Boolean).length;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Size of the work product besides its description: words of every other text field
+ */
+export function evidenceSize(agentOutput = {}) {
+  const { description, ...rest } = agentOutput || {};
+  return collectText(rest).reduce((sum, text) => sum + wordCount(text), 0);
+}
+
+export class ScoreIntegrityDetector {
+  /**
+   * @param {Object} options
+   *   memory: VerificationMemory with earlier results (duplicate and jump checks need it)
+   *   similarity: TextSimilarityEngine to share (a new one by default)
+   *   penalties: { keywordStuffing, copiedGoalText, duplicateSuccess, unexplainedJump }
+   *   maxPenalty: cap on the summed penalty (default 0.5)
+   *   stuffingDensity: share of description terms that are goal terms (default 0.75)
+   *   repeatLimit: times one goal term may appear before it counts as stuffing (default 4)
+   *   copiedShare: share of the description made of goal word sequences (default 0.5)
+   *   duplicateSimilarity: similarity to an earlier success that counts as a copy (default 0.95)
+   *   jumpThreshold: score rise over the agent's recent average that needs explaining (default 0.25)
+   *   evidenceGrowth: relative growth of the work product that explains a jump (default 0.5)
+   *   minTerms, minDuplicateWords, duplicateWindow, baselineSize: sample sizes (6, 6, 500, 5)
+   */
+  constructor(options = {}) {
+    this.memory = options.memory || null;
+    this.similarity = options.similarity || new TextSimilarityEngine();
+    this.penalties = { ...DEFAULT_PENALTIES, ...options.penalties };
+    this.maxPenalty = options.maxPenalty ?? 0.5;
+    this.minTerms = options.minTerms ?? 6;
+    this.stuffingDensity = options.stuffingDensity ?? 0.75;
+    this.repeatLimit = options.repeatLimit ?? 4;
+    this.copiedShare = options.copiedShare ?? 0.5;
+    this.duplicateSimilarity = options.duplicateSimilarity ?? 0.95;
+    this.duplicateWindow = options.duplicateWindow ?? 500;
+    this.minDuplicateWords = options.minDuplicateWords ?? 6;
+    this.jumpThreshold = options.jumpThreshold ?? 0.25;
+    this.baselineSize = options.baselineSize ?? 5;
+    this.evidenceGrowth = options.evidenceGrowth ?? 0.5;
+  }
+
+  /**
+   * Inspect a verified task
+   * @param {Object} verificationResult - From VerificationLayer.enforceVerification
+   * @param {Object} sprintContext - Sprint context the task was verified against
+   * @returns {Promise<Object>} { flagged, penalty, flags: [{ type, penalty, message, details }] }
+   */
+  async inspect(verificationResult, sprintContext = {}) {
+    const agentOutput = verificationResult.agentOutput || {};
+    const description = agentOutput.description || '';
+    const goals = collectText(sprintContext.goals || []);
+
+    const flags = [
+      this.detectKeywordStuffing(description, goals),
+      this.detectCopiedGoalText(description, goals),
+      await this.detectDuplicateSuccess(verificationResult),
+      await this.detectUnexplainedJump(verificationResult)
+    ].filter(Boolean);
+
+    const penalty = Math.min(this.maxPenalty, flags.reduce((sum, flag) => sum + flag.penalty, 0));
+
+    return {
+      flagged: flags.length > 0,
+      penalty: Number(penalty.toFixed(3)),
+      flags
+    };
+  }
+
+  flag(type, message, details) {
+    return { type, penalty: this.penalties[type], message, details };
+  }
+
+  /**
+   * Descriptions made almost entirely of goal terms, or repeating them
+   */
+  detectKeywordStuffing(description, goals) {
+    if (goals.length === 0) return null;
+
+    const terms = this.similarity.analyzeWords(description).terms;
+    if (terms.length < this.minTerms) return null;
+
+    const goalTerms = new Set(goals.flatMap(goal => this.similarity.analyzeWords(goal).terms));
+    const counts = new Map();
+    terms.filter(term => goalTerms.has(term)).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    const goalTermCount = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    const density = goalTermCount / terms.length;
+    const repeated = Array.from(counts.entries())
+      .filter(([, count]) => count >= this.repeatLimit)
+      .sort(([, a], [, b]) => b - a);
+
+    if (density < this.stuffingDensity && repeated.length === 0) return null;
+
+    const reasons = [];
+    if (density >= this.stuffingDensity) {
+      reasons.push(`${Math.round(density * 100)}% of description terms are sprint goal terms`);
+    }
+    if (repeated.length > 0) {
+      reasons.push(`goal terms repeated: ${repeated.slice(0, 5).map(([term, count]) => `${term} ×${count}`).join(', ')}`);
+    }
+
+    return this.flag('keywordStuffing', `Possible keyword stuffing: ${reasons.join('; ')}`, {
+      density: Number(density.toFixed(3)),
+      repeatedTerms: repeated.map(([term, count]) => ({ term, count }))
+    });
+  }
+
+  /**
+   * Descriptions that are mostly sprint goal text pasted in: the share of
+   * description words inside a run of SHINGLE_SIZE words that also occurs in a goal
+   */
+  detectCopiedGoalText(description, goals) {
+    const words = this.similarity.tokenize(description);
+    if (goals.length === 0 || words.length < SHINGLE_SIZE) return null;
+
+    const goalShingles = new Map();
+    goals.forEach((goal, index) => {
+      this.shingles(this.similarity.tokenize(goal)).forEach(shingle => {
+        if (!goalShingles.has(shingle)) goalShingles.set(shingle, index);
+      });
+    });
+
+    const copiedWords = new Set();
+    const copiedGoals = new Set();
+    this.shingles(words).forEach((shingle, start) => {
+      if (!goalShingles.has(shingle)) return;
+      copiedGoals.add(goalShingles.get(shingle));
+      for (let offset = 0; offset < SHINGLE_SIZE; offset++) copiedWords.add(start + offset);
+    });
+
+    const share = copiedWords.size / words.length;
+    if (share < this.copiedShare) return null;
+
+    return this.flag('copiedGoalText', `${Math.round(share * 100)}% of the description is copied from sprint goals`, {
+      share: Number(share.toFixed(3)),
+      goals: Array.from(copiedGoals).map(index => goals[index])
+    });
+  }
+
+  /**
+   * Overlapping runs of SHINGLE_SIZE words
+   */
+  shingles(words) {
+    const shingles = [];
+    for (let index = 0; index + SHINGLE_SIZE <= words.length; index++) {
+      shingles.push(words.slice(index, index + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * Descriptions identical, or nearly so, to an earlier verified task
+   */
+  async detectDuplicateSuccess(verificationResult) {
+    const agentOutput = verificationResult.agentOutput || {};
+    const description = normalizeText(agentOutput.description);
+    if (!this.memory || wordCount(description) < this.minDuplicateWords) return null;
+
+    const earlier = this.memory.query({ type: agentOutput.type || 'general', verified: true, limit: this.duplicateWindow })
+      .filter(record => record.verificationId !== verificationResult.verificationId && record.output?.description);
+
+    let match = earlier.find(record => normalizeText(record.output.description) === description);
+    let similarity = match ? 1 : 0;
+    if (!match) {
+      for (const record of earlier) {
+        const score = this.similarity.similarity(description, record.output.description);
+        if (score >= this.duplicateSimilarity && score > similarity) {
+          match = record;
+          similarity = score;
+        }
+      }
+    }
+    if (!match) return null;
+
+    const sameAgent = match.agentId && match.agentId === verificationResult.agentId;
+
+    return this.flag('duplicateSuccess', `Description ${similarity === 1 ? 'is identical' : 'is nearly identical'} to ${sameAgent ? 'its own' : 'an'} earlier verified task (${match.verificationId})`, {
+      verificationId: match.verificationId,
+      agentId: match.agentId,
+      timestamp: match.timestamp,
+      similarity: Number(similarity.toFixed(3))
+    });
+  }
+
+  /**
+   * A score well above the agent's recent average without a larger work product behind it
+   */
+  async detectUnexplainedJump(verificationResult) {
+    const agentId = verificationResult.agentId;
+    if (!this.memory || !agentId) return null;
+
+    const recent = this.memory.query({ agentId, limit: this.baselineSize + 1 })
+      .filter(record => record.verificationId !== verificationResult.verificationId)
+      .slice(-this.baselineSize);
+    if (recent.length < 3) return null;
+
+    const baselineScore = mean(recent.map(record => record.score));
+    const jump = verificationResult.score - baselineScore;
+    if (jump < this.jumpThreshold) return null;
+
+    const baselineEvidence = mean(await Promise.all(recent.map(async record =>
+      evidenceSize(await this.memory.readPayload(record.hashes.agentOutput))
+    )));
+    const evidence = evidenceSize(verificationResult.agentOutput);
+    if (evidence > baselineEvidence * (1 + this.evidenceGrowth)) return null;
+
+    return this.flag('unexplainedJump', `Score rose ${jump.toFixed(2)} above the agent's recent average of ${baselineScore.toFixed(2)} with no larger work product (${evidence} vs ${baselineEvidence.toFixed(0)} words)`, {
+      score: verificationResult.score,
+      baselineScore: Number(baselineScore.toFixed(3)),
+      evidence,
+      baselineEvidence: Number(baselineEvidence.toFixed(1))
+    });
+  }
+}
+
+export default ScoreIntegrityDetector;
@@ -0,0 +1,349 @@
+/**
+ * Solution Evolution
+ * Population-based search behind CriticFixerCycle's evolve mode. Each
+ * generation keeps the top-k solutions and breeds offspring from them:
+ * recombination takes every feature (architecture, testing strategy, risk
+ * plan, ...) from the parent the critic rated higher on that feature's
+ * factor, and mutation changes a solution's complexity or risk plan. Every
+ * solution records its lineage. Random choices come from a seeded
+ * generator, so the same seed and critic reproduce a run.
+ */
+
+// The critic factor each feature counts toward; recombination takes the feature from the parent stronger on it
+const FEATURE_FACTORS = {
+  technicalDetails: 'technicalQuality',
+  architecture: 'technicalQuality',
+  testing: 'technicalQuality',
+  errorHandling: 'technicalQuality',
+  complexity: 'implementationFeasibility',
+  resourceRequirements: 'implementationFeasibility',
+  timeline: 'implementationFeasibility',
+  risks: 'riskAssessment',
+  innovative: 'innovationFactor',
+  novel: 'innovationFactor'
+};
+
+// Fields naming the solution rather than describing a feature: always the first parent's
+const IDENTITY_FIELDS = ['name', 'description', 'type'];
+
+/**
+ * Deterministic generator of numbers in [0, 1) (mulberry32)
+ */
+export function seededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function contentOf(solution) {
+  const { critique, ...content } = solution || {};
+  return content;
+}
+
+// Key order does not make two solutions different: recombination lists a parent's fields in another order
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+function contentKey(solution) {
+  return JSON.stringify(canonical(contentOf(solution)));
+}
+
+export class SolutionEvolution {
+  /**
+   * @param {Object} options
+   *   populationSize: solutions per generation (default the starting count, at least 6)
+   *   eliteCount: top-k solutions kept unchanged and bred from, one per factor profile where possible (3)
+   *   generations: most generations to run (10)
+   *   patience: generations the best score may go without rising by minGain before the run stops (3, 0.005)
+   *   crossoverRate: chance an offspring has two parents rather than one (0.7)
+   *   mutationRate: chance a bred offspring is also mutated; one-parent offspring always are (0.3)
+   *   complexityStep: largest change to complexity in one mutation (0.15)
+   *   seed: random seed (1)
+   */
+  constructor(options = {}) {
+    this.populationSize = options.populationSize ?? null;
+    this.eliteCount = options.eliteCount ?? 3;
+    this.generations = options.generations ?? 10;
+    this.patience = options.patience ?? 3;
+    this.minGain = options.minGain ?? 0.005;
+    this.crossoverRate = options.crossoverRate ?? 0.7;
+    this.mutationRate = options.mutationRate ?? 0.3;
+    this.complexityStep = options.complexityStep ?? 0.15;
+    this.seed = options.seed ?? 1;
+  }
+
+  /**
+   * @param {Array} solutions - Starting population
+   * @param {Function} evaluate - async solution → critique ({ score, factors, generatedFields, generatedEntries, ... })
+   * @returns {Promise<Object>} { population, generations, history, lineage, stopReason }
+   *   population: final members best first, no two with the same factors and content, [{ id, solution, critique, lineage }]
+   *   history: [{ generation, bestScore, averageScore, bestId, offspring, improvedOffspring }]
+   *   lineage: Map of id → { id, generation, origin, parents, inherited, mutations } for every member ever bred
+   */
+  async run(solutions, evaluate) {
+    const random = seededRandom(this.seed);
+    const populationSize = this.populationSize ?? Math.max(solutions.length, 6);
+    const lineage = new Map();
+    const history = [];
+
+    let population = [];
+    for (const [index, solution] of solutions.entries()) {
+      population.push(await this.member(
+        { id: `g0-${index}`, generation: 0, origin: 'initial', parents: [], inherited: {}, mutations: [] },
+        solution, evaluate, lineage
+      ));
+    }
+    population = this.distinct(population.sort((a, b) => b.critique.score - a.critique.score));
+    history.push(this.summarize(0, population, []));
+
+    let generation = 0;
+    let stale = 0;
+    let stopReason = 'generations';
+
+    while (generation < this.generations) {
+      generation++;
+      const elites = this.selectElites(population);
+      const seen = new Set(population.map(member => contentKey(member.solution)));
+      const offspring = [];
+
+      for (let attempt = 0; offspring.length < populationSize - elites.length && attempt < populationSize * 3; attempt++) {
+        const child = this.breed(elites, population, random);
+        const key = contentKey(child.solution);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        offspring.push(await this.member(
+          { id: `g${generation}-${offspring.length}`, generation, ...child.lineage },
+          child.solution, evaluate, lineage
+        ));
+      }
+
+      const previousBest = population[0].critique.score;
+      population = this.distinct([...elites, ...offspring].sort((a, b) => b.critique.score - a.critique.score));
+      const summary = this.summarize(generation, population, offspring);
+      history.push(summary);
+
+      console.log(`   Generation ${generation}/${this.generations}: best ${summary.bestScore.toFixed(2)} (${summary.bestId}), average ${summary.averageScore.toFixed(2)}, ${summary.improvedOffspring}/${offspring.length} offspring beat their parents`);
+
+      if (offspring.length === 0) {
+        stopReason = 'exhausted';
+        break;
+      }
+      stale = summary.bestScore - previousBest >= this.minGain ? 0 : stale + 1;
+      if (stale >= this.patience) {
+        stopReason = 'converged';
+        break;
+      }
+    }
+
+    return { population, generations: generation, history, lineage, stopReason };
+  }
+
+  /**
+   * The population without clones: members with the same factor profile and
+   * the same content as a member ranked above them
+   */
+  distinct(population) {
+    const seen = new Set();
+    return population.filter(member => {
+      const key = `${JSON.stringify(canonical(member.critique.factors || {}))}\n${contentKey(member.solution)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * The top-k of the population, taking at most one member per factor
+   * profile while others are left: variants the critic cannot tell apart
+   * would otherwise crowd the other parents out of breeding
+   */
+  selectElites(population) {
+    const profiles = new Set();
+    const distinct = population.filter(member => {
+      const profile = JSON.stringify(member.critique.factors || {});
+      if (profiles.has(profile)) return false;
+      profiles.add(profile);
+      return true;
+    });
+
+    return [...distinct, ...population.filter(member => !distinct.includes(member))]
+      .slice(0, this.eliteCount)
+      .sort((a, b) => b.critique.score - a.critique.score);
+  }
+
+  /**
+   * Evaluate a solution and record its lineage entry
+   */
+  async member(entry, solution, evaluate, lineage) {
+    const critique = await evaluate(solution);
+    lineage.set(entry.id, { ...entry, score: critique.score });
+    return { id: entry.id, solution, critique, lineage: entry };
+  }
+
+  /**
+   * One offspring: two elites recombined, or one elite mutated
+   */
+  breed(elites, population, random) {
+    const riskPool = population.flatMap(member => Array.isArray(member.solution.risks) ? member.solution.risks : []);
+
+    if (elites.length > 1 && random() < this.crossoverRate) {
+      const first = pick(elites, random);
+      const second = pick(elites.filter(member => member !== first), random);
+      const child = this.recombine(first, second, random);
+      const mutations = random() < this.mutationRate ? this.mutate(child.solution, riskPool, random) : [];
+
+      return {
+        solution: child.solution,
+        lineage: { origin: mutations.length > 0 ? 'crossover+mutation' : 'crossover', parents: [first.id, second.id], inherited: child.inherited, mutations }
+      };
+    }
+
+    const parent = pick(elites, random);
+    const solution = {
+      ...contentOf(parent.solution),
+      critique: { generatedFields: parent.critique.generatedFields || [], generatedEntries: parent.critique.generatedEntries || {} }
+    };
+    const mutations = this.mutate(solution, riskPool, random);
+
+    return {
+      solution,
+      lineage: { origin: 'mutation', parents: [parent.id], inherited: {}, mutations }
+    };
+  }
+
+  /**
+   * Child of two parents: the first parent's identity, and each feature from
+   * the parent the critic scored higher on that feature's factor (a coin
+   * flip on ties and on features no factor covers). Fixer padding in the
+   * parent stays marked as padding in the child.
+   * @returns {Object} { solution, inherited: { field: parent id } }
+   */
+  recombine(first, second, random) {
+    const contents = { [first.id]: contentOf(first.solution), [second.id]: contentOf(second.solution) };
+    const generated = {
+      [first.id]: new Set(first.critique.generatedFields || []),
+      [second.id]: new Set(second.critique.generatedFields || [])
+    };
+    const fields = [...new Set([...Object.keys(contents[first.id]), ...Object.keys(contents[second.id])])];
+    const solution = {};
+    const inherited = {};
+    const generatedFields = [];
+    const generatedEntries = {};
+
+    for (const field of fields) {
+      let source = first.id;
+      if (!IDENTITY_FIELDS.includes(field)) {
+        const factor = FEATURE_FACTORS[field];
+        const firstScore = factor ? first.critique.factors?.[factor] ?? 0 : 0;
+        const secondScore = factor ? second.critique.factors?.[factor] ?? 0 : 0;
+        source = firstScore === secondScore
+          ? (random() < 0.5 ? first.id : second.id)
+          : (firstScore > secondScore ? first.id : second.id);
+      }
+
+      if (!(field in contents[source])) continue;
+      solution[field] = contents[source][field];
+      inherited[field] = source;
+      if (generated[source].has(field)) generatedFields.push(field);
+      const sourceEntries = (source === first.id ? first : second).critique.generatedEntries?.[field];
+      if (sourceEntries) generatedEntries[field] = sourceEntries;
+    }
+
+    return { solution: { ...solution, critique: { generatedFields, generatedEntries } }, inherited };
+  }
+
+  /**
+   * Change the solution's complexity or its risk plan in place
+   * @param {Array} riskPool - Risks of the whole population, for adopting another solution's risk
+   * @returns {Array} [{ field, description }]
+   */
+  mutate(solution, riskPool, random) {
+    const risks = Array.isArray(solution.risks) ? solution.risks : [];
+    const adoptable = riskPool.filter(candidate => candidate.mitigation && !risks.some(risk => risk.risk === candidate.risk));
+    const operators = [
+      () => {
+        const before = typeof solution.complexity === 'number' ? solution.complexity : 0.5;
+        const after = Math.min(1, Math.max(0.05, before + (random() * 2 - 1) * this.complexityStep));
+        solution.complexity = Number(after.toFixed(3));
+        return { field: 'complexity', description: `Complexity ${before.toFixed(2)} → ${solution.complexity.toFixed(2)}` };
+      }
+    ];
+
+    if (adoptable.length > 0) {
+      operators.push(() => {
+        const adopted = pick(adoptable, random);
+        solution.risks = [...risks, adopted];
+        return { field: 'risks', description: `Adopted risk "${adopted.risk}" with its mitigation` };
+      });
+    }
+    if (risks.length > 1) {
+      operators.push(() => {
+        const index = Math.floor(random() * risks.length);
+        solution.risks = risks.filter((_, position) => position !== index);
+        return { field: 'risks', description: `Dropped risk "${risks[index].risk}"` };
+      });
+    }
+    if (risks.some(risk => !risk.mitigation) && adoptable.length > 0) {
+      operators.push(() => {
+        const index = risks.findIndex(risk => !risk.mitigation);
+        const source = pick(adoptable, random);
+        solution.risks = risks.map((risk, position) => position === index ? { ...risk, mitigation: source.mitigation } : risk);
+        return { field: 'risks', description: `Mitigated "${risks[index].risk}" the way "${source.risk}" is mitigated` };
+      });
+    }
+
+    return [pick(operators, random)()];
+  }
+
+  summarize(generation, population, offspring) {
+    const scores = population.map(member => member.critique.score);
+    const parentScores = new Map(population.map(member => [member.id, member.critique.score]));
+
+    return {
+      generation,
+      bestScore: scores[0],
+      averageScore: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+      bestId: population[0].id,
+      offspring: offspring.length,
+      improvedOffspring: offspring.filter(member => {
+        const parents = member.lineage.parents.map(id => parentScores.get(id)).filter(score => score !== undefined);
+        return parents.length > 0 && member.critique.score > Math.max(...parents);
+      }).length
+    };
+  }
+
+  /**
+   * Every ancestor of a member, nearest first
+   */
+  static ancestry(lineage, id) {
+    const ancestors = [];
+    const queue = [...(lineage.get(id)?.parents || [])];
+    const seen = new Set();
+
+    while (queue.length > 0) {
+      const ancestor = queue.shift();
+      if (seen.has(ancestor)) continue;
+      seen.add(ancestor);
+      ancestors.push(ancestor);
+      queue.push(...(lineage.get(ancestor)?.parents || []));
+    }
+    return ancestors;
+  }
+}
+
+export default SolutionEvolution;
@@ -7,20 +7,30 @@
 import { readFile, writeFile, access, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { TextSimilarityEngine } from './text-similarity.js';
+import { AlternativeSolutionGenerator, normalizeDecisions } from './alternative-solution-generator.js';
+import { loadSprintGlossary } from './sprint-glossary.js';
+import { resolveStorage } from './oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from './oversight-event-log.js';
+
+const SPRINT_VALIDATIONS = 'sprint/audit/agent-sprint-validations';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 export class SprintContextValidator {
-  constructor() {
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.eventLog = options.eventLog || new OversightEventLog({ storage: this.storage });
     this.sprintDir = join(process.cwd(), '.claude', 'sprint');
-    this.auditDir = join(this.sprintDir, 'audit');
     this.currentSprintDir = join(this.sprintDir, 'current');
+    this.similarity = new TextSimilarityEngine();
+    // Finds what accepted architecture decisions rule out, on the same terms as the alignment checks
+    this.conflictChecker = new AlternativeSolutionGenerator({ similarity: this.similarity });
   }
 
   async initialize() {
     // Ensure sprint directories exist
     await mkdir(this.sprintDir, { recursive: true });
-    await mkdir(this.auditDir, { recursive: true });
     await mkdir(this.currentSprintDir, { recursive: true });
     
     // Initialize default sprint documents if they don't exist
@@ -191,6 +201,25 @@ High / Medium / Low
 - [ ] Criterion 2
 - [ ] Criterion 3
 
+---
+*Last Updated: ${new Date().toISOString()}*
+`
+      },
+      {
+        path: join(this.currentSprintDir, 'glossary.md'),
+        content: `# Sprint Glossary
+
+Product vocabulary used when matching tasks against sprint goals. Each entry maps a
+term to its abbreviations and synonyms; multi-word phrases are allowed.
+A glossary.json file ({ "term": ["synonym", ...] }) takes precedence over this file.
+
+<!--
+- **checkout**: payment flow, cart, purchase
+- **PO**: purchase order
+-->
+
+## Terms
+
 ---
 *Last Updated: ${new Date().toISOString()}*
 `
@@ -222,6 +251,7 @@ High / Medium / Low
     try {
       // Load current sprint context
       const sprintContext = await this.loadSprintContext();
+      this.similarity.indexSprintContext(sprintContext);
       
       // Validate task alignment with sprint goals
       const goalAlignment = await this.validateGoalAlignment(taskDescription, sprintContext.goals);
@@ -267,26 +297,25 @@ High / Medium / Low
 
   async loadSprintContext() {
     const context = {};
-    
-    try {
-      const goalsContent = await readFile(join(this.currentSprintDir, 'sprint-goals.md'), 'utf8');
-      context.goals = this.parseSprintGoals(goalsContent);
-      
-      const requirementsContent = await readFile(join(this.currentSprintDir, 'requirements.md'), 'utf8');
-      context.requirements = this.parseRequirements(requirementsContent);
-      
-      const constraintsContent = await readFile(join(this.currentSprintDir, 'constraints.md'), 'utf8');
-      context.constraints = this.parseConstraints(constraintsContent);
-      
-      const architectureContent = await readFile(join(this.currentSprintDir, 'architecture-decisions.md'), 'utf8');
-      context.architectureDecisions = this.parseArchitectureDecisions(architectureContent);
-      
-      const acceptanceContent = await readFile(join(this.currentSprintDir, 'acceptance-criteria.md'), 'utf8');
-      context.acceptanceCriteria = this.parseAcceptanceCriteria(acceptanceContent);
-      
-    } catch (error) {
-      console.warn(`Warning: Could not load sprint context: ${error.message}`);
+    const documents = [
+      ['goals', 'sprint-goals.md', content => this.parseSprintGoals(content)],
+      ['requirements', 'requirements.md', content => this.parseRequirements(content)],
+      ['constraints', 'constraints.md', content => this.parseConstraints(content)],
+      ['architectureDecisions', 'architecture-decisions.md', content => this.parseArchitectureDecisions(content)],
+      ['acceptanceCriteria', 'acceptance-criteria.md', content => this.parseAcceptanceCriteria(content)]
+    ];
+
+    // A missing document leaves only its own part of the context empty
+    for (const [field, file, parse] of documents) {
+      try {
+        context[field] = parse(await readFile(join(this.currentSprintDir, file), 'utf8'));
+      } catch (error) {
+        console.warn(`Warning: Could not load sprint context: ${error.message}`);
+      }
     }
+
+    // The glossary is its own step: it falls back to no entries rather than failing
+    context.glossary = await loadSprintGlossary(this.currentSprintDir);
     
     return context;
   }
@@ -402,24 +431,26 @@ High / Medium / Low
   }
 
   async validateGoalAlignment(taskDescription, goals) {
-    const alignmentScores = goals.map(goal => {
-      const keywords = goal.toLowerCase().split(/\s+/);
-      const taskLower = taskDescription.toLowerCase();
-      const matchCount = keywords.filter(keyword => taskLower.includes(keyword)).length;
-      return matchCount / keywords.length;
-    });
-    
-    const maxAlignment = Math.max(...alignmentScores, 0);
+    const alignment = this.similarity.alignment(taskDescription, goals);
+    const alignmentScores = alignment.scores;
+    const maxAlignment = alignment.score;
     
     return {
       score: maxAlignment,
       passed: maxAlignment >= 0.3,
       issues: maxAlignment < 0.3 ? ['Task does not clearly align with any sprint goals'] : [],
-      details: { alignmentScores, maxAlignment }
+      details: {
+        alignmentScores,
+        maxAlignment,
+        closestGoal: alignment.bestMatch?.text || null,
+        matchedTerms: alignment.matchedTerms,
+        missingTerms: alignment.missingTerms,
+        glossaryMatches: alignment.glossaryMatches
+      }
     };
   }
 
-  async validateConstraints(taskDescription, constraints) {
+  async validateConstraints(taskDescription, constraints = {}) {
     const violations = [];
     let score = 1.0;
     
@@ -454,20 +485,14 @@ High / Medium / Low
   async validateArchitecturalConsistency(taskDescription, architectureDecisions) {
     const violations = [];
     let score = 1.0;
-    
-    for (const decision of architectureDecisions || []) {
-      if (decision.details.status === 'Accepted') {
-        // Check if task description conflicts with architectural decisions
-        const decisionKeywords = decision.details.decision?.toLowerCase().split(/\s+/) || [];
-        const taskLower = taskDescription.toLowerCase();
-        
-        // Simple keyword-based conflict detection
-        if (decision.details.decision?.toLowerCase().includes('must not') && 
-            decisionKeywords.some(keyword => taskLower.includes(keyword))) {
-          violations.push(`Potential conflict with architectural decision: ${decision.title}`);
-          score -= 0.3;
-        }
-      }
+
+    // Accepted decisions whose ruled-out terms the task proposes
+    const decisions = normalizeDecisions(architectureDecisions).filter(decision => decision.accepted);
+    const conflicts = this.conflictChecker.conflicts({ approach: taskDescription }, decisions);
+
+    for (const title of new Set(conflicts.map(conflict => conflict.decision))) {
+      violations.push(`Potential conflict with architectural decision: ${title}`);
+      score -= 0.3;
     }
     
     score = Math.max(0, score);
@@ -476,16 +501,13 @@ High / Medium / Low
       score,
       passed: violations.length === 0,
       issues: violations,
-      details: { decisionsChecked: architectureDecisions?.length || 0 }
+      details: { decisionsChecked: architectureDecisions?.length || 0, conflicts }
     };
   }
 
-  async validateAcceptanceCriteria(taskDescription, acceptanceCriteria) {
-    const relevantCriteria = acceptanceCriteria.filter(criterion => {
-      const criterionKeywords = criterion.toLowerCase().split(/\s+/);
-      const taskLower = taskDescription.toLowerCase();
-      return criterionKeywords.some(keyword => taskLower.includes(keyword));
-    });
+  async validateAcceptanceCriteria(taskDescription, acceptanceCriteria = []) {
+    const alignment = this.similarity.alignment(taskDescription, acceptanceCriteria);
+    const relevantCriteria = acceptanceCriteria.filter((_, index) => alignment.scores[index] > 0);
     
     const score = relevantCriteria.length > 0 ? 0.8 : 0.5; // Higher score if task relates to acceptance criteria
     
@@ -493,7 +515,11 @@ High / Medium / Low
       score,
       passed: score >= 0.5,
       issues: relevantCriteria.length === 0 ? ['Task does not clearly relate to defined acceptance criteria'] : [],
-      details: { relevantCriteria: relevantCriteria.length, totalCriteria: acceptanceCriteria.length }
+      details: {
+        relevantCriteria: relevantCriteria.length,
+        totalCriteria: acceptanceCriteria.length,
+        closestCriterion: alignment.bestMatch?.score > 0 ? alignment.bestMatch.text : null
+      }
     };
   }
 
@@ -520,34 +546,13 @@ High / Medium / Low
   }
 
   async recordValidation(validation) {
-    const auditFile = join(this.auditDir, 'agent-sprint-validations.json');
-    let validations = [];
-    
-    try {
-      const content = await readFile(auditFile, 'utf8');
-      validations = JSON.parse(content);
-    } catch {
-      // File doesn't exist or is invalid, start fresh
-    }
-    
-    validations.push(validation);
-    
-    // Keep only the last 1000 validations
-    if (validations.length > 1000) {
-      validations = validations.slice(-1000);
-    }
-    
-    await writeFile(auditFile, JSON.stringify(validations, null, 2));
+    // The validation list (last 1000) is a projection of these events
+    await this.eventLog.record(EVENT_TYPES.SPRINT_VALIDATION, validation, { source: 'sprint-context-validator' });
   }
 
   async generateComplianceReport(agentId = null) {
-    const auditFile = join(this.auditDir, 'agent-sprint-validations.json');
-    let validations = [];
-    
-    try {
-      const content = await readFile(auditFile, 'utf8');
-      validations = JSON.parse(content);
-    } catch {
+    let validations = await this.storage.read(SPRINT_VALIDATIONS);
+    if (!validations) {
       return { error: 'No validation data available' };
     }
     
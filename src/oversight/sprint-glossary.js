@@ -0,0 +1,103 @@
+/**
+ * Sprint Glossary
+ * Loads the sprint's domain glossary (terms, abbreviations and synonyms) from
+ * .claude/sprint/current/glossary.json or glossary.md
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Normalize any supported glossary shape into [{ term, synonyms }]
+ *   - [{ term, synonyms }]
+ *   - { entries: [...] }
+ *   - { term: ['synonym', ...] } or { term: 'synonym, synonym' }
+ */
+export function normalizeGlossary(glossary) {
+  if (!glossary) return [];
+
+  if (Array.isArray(glossary)) {
+    return glossary
+      .filter(entry => entry && entry.term)
+      .map(entry => ({
+        term: String(entry.term).trim(),
+        synonyms: splitSynonyms(entry.synonyms ?? entry.aliases ?? [])
+      }));
+  }
+
+  if (typeof glossary === 'object') {
+    if (Array.isArray(glossary.entries)) {
+      return normalizeGlossary(glossary.entries);
+    }
+
+    return Object.entries(glossary).map(([term, synonyms]) => ({
+      term: term.trim(),
+      synonyms: splitSynonyms(synonyms)
+    }));
+  }
+
+  return [];
+}
+
+function splitSynonyms(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a markdown glossary. Supported lines:
+ *   - **checkout**: payment flow, cart, purchase
+ *   - PO = purchase order
+ *   | checkout | payment flow, cart |
+ */
+export function parseGlossaryMarkdown(content) {
+  const entries = [];
+  let inComment = false;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('<!--')) inComment = true;
+    if (inComment) {
+      if (line.includes('-->')) inComment = false;
+      continue;
+    }
+
+    let match = line.match(/^[-*]\s+(?:\*\*|`)?(.+?)(?:\*\*|`)?\s*[:=]\s*(.+)$/);
+    if (!match) {
+      match = line.match(/^\|\s*([^|]+?)\s*\|\s*([^|]+?)\s*\|/);
+      if (match && (/^-+$/.test(match[1]) || /^term$/i.test(match[1]))) {
+        match = null;
+      }
+    }
+
+    if (match) {
+      entries.push({ term: match[1].replace(/\*\*|`/g, '').trim(), synonyms: splitSynonyms(match[2]) });
+    }
+  }
+
+  return entries.filter(entry => entry.term && entry.synonyms.length > 0);
+}
+
+/**
+ * Load the glossary of a sprint folder, preferring glossary.json over glossary.md
+ * @returns {Promise<Array<{ term: string, synonyms: string[] }>>}
+ */
+export async function loadSprintGlossary(sprintDir = join(process.cwd(), '.claude', 'sprint', 'current')) {
+  try {
+    const data = JSON.parse(await readFile(join(sprintDir, 'glossary.json'), 'utf8'));
+    return normalizeGlossary(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Could not read glossary.json: ${error.message}`);
+    }
+  }
+
+  try {
+    return parseGlossaryMarkdown(await readFile(join(sprintDir, 'glossary.md'), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+export default loadSprintGlossary;
@@ -0,0 +1,125 @@
+/**
+ * Task Difficulty
+ * Rates task categories (task type × complexity band) as players. Every rated
+ * task is a game between the agent and its category: when agents fail a
+ * category its rating rises, when they beat it the rating falls. The learned
+ * rating replaces the fixed complexity → difficulty mapping in rating updates
+ * and is blended into the complexity the pre-task hook reports.
+ */
+
+const COMPLEXITY_BANDS = [
+  { name: 'low', max: 1 / 3, center: 1 / 6 },
+  { name: 'medium', max: 2 / 3, center: 0.5 },
+  { name: 'high', max: Infinity, center: 5 / 6 }
+];
+
+/**
+ * The fixed mapping used before anything is learned: complexity 0..1 → 1100..1900
+ */
+export function complexityToRating(complexity) {
+  return 1500 + (complexity - 0.5) * 800;
+}
+
+export function ratingToComplexity(rating) {
+  return Math.max(0, Math.min(1, 0.5 + (rating - 1500) / 800));
+}
+
+export function complexityBand(complexity) {
+  return COMPLEXITY_BANDS.find(band => complexity < band.max);
+}
+
+export function taskCategory(taskType, complexity) {
+  return `${taskType || 'general'}:${complexityBand(complexity).name}`;
+}
+
+export class TaskDifficultyModel {
+  /**
+   * @param {Object} backend - Rating backend (see rating-backends.js); only needed to record outcomes
+   * @param {Object} options - { ratings: Map of category → { category, state, tasks, lastUpdated }, priorTasks }
+   *   priorTasks: how many rated tasks the complexity estimate counts for when blending (default 5)
+   */
+  constructor(backend = null, options = {}) {
+    this.backend = backend;
+    this.ratings = options.ratings || new Map();
+    this.priorTasks = options.priorTasks ?? 5;
+  }
+
+  /**
+   * The task as a rating opponent: the category's learned rating, shifted by
+   * where the task's complexity sits inside the category's band
+   */
+  opponentFor(taskType, complexity) {
+    const category = taskCategory(taskType, complexity);
+    const band = complexityBand(complexity);
+    const entry = this.ratings.get(category);
+    const offset = complexityToRating(complexity) - complexityToRating(band.center);
+
+    if (!entry) {
+      return { category, rating: complexityToRating(complexity), deviation: 0, tasks: 0, learned: false };
+    }
+
+    return {
+      category,
+      rating: entry.state.rating + offset,
+      deviation: entry.state.deviation || 0,
+      tasks: entry.tasks,
+      learned: true
+    };
+  }
+
+  /**
+   * Update the category with the outcome of a rated task
+   * @param {Object} agentState - The agent's rating state before the task
+   * @param {number} agentScore - The agent's actual score (0..1); the category scores the complement
+   * @returns {Object} The updated category entry
+   */
+  recordOutcome(taskType, complexity, agentState, agentScore) {
+    const category = taskCategory(taskType, complexity);
+    const current = this.ratings.get(category);
+    const state = current
+      ? this.backend.normalizeState(current.state)
+      : this.backend.initialState(complexityToRating(complexityBand(complexity).center));
+
+    const entry = {
+      category,
+      state: this.backend.update(state, { rating: agentState.rating, deviation: agentState.deviation || 0 }, 1 - agentScore),
+      tasks: (current?.tasks || 0) + 1,
+      lastUpdated: new Date().toISOString()
+    };
+
+    this.ratings.set(category, entry);
+    return entry;
+  }
+
+  /**
+   * Complexity estimate blended with what outcomes have taught about the
+   * category; the learned share grows with the number of rated tasks
+   */
+  blendComplexity(taskType, estimatedComplexity) {
+    const opponent = this.opponentFor(taskType, estimatedComplexity);
+    const learnedComplexity = ratingToComplexity(opponent.rating);
+    const weight = opponent.tasks / (opponent.tasks + this.priorTasks);
+
+    return {
+      category: opponent.category,
+      complexity: estimatedComplexity * (1 - weight) + learnedComplexity * weight,
+      estimatedComplexity,
+      learnedComplexity: opponent.learned ? learnedComplexity : null,
+      learnedWeight: weight,
+      ratedTasks: opponent.tasks
+    };
+  }
+
+  getCategories() {
+    return Array.from(this.ratings.values())
+      .map(entry => ({
+        category: entry.category,
+        rating: entry.state.rating,
+        complexity: ratingToComplexity(entry.state.rating),
+        tasks: entry.tasks
+      }))
+      .sort((a, b) => b.rating - a.rating);
+  }
+}
+
+export default TaskDifficultyModel;
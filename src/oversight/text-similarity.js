@@ -0,0 +1,428 @@
+/**
+ * Text Similarity Engine
+ * Local, fully offline text similarity shared by every sprint alignment score:
+ * tokenization, stop-word removal, synonym folding, Porter stemming and
+ * TF-IDF cosine scoring over a corpus built from the sprint documents
+ */
+
+import { createHash } from 'crypto';
+import { normalizeGlossary } from './sprint-glossary.js';
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during',
+  'each', 'etc', 'few', 'for', 'from', 'further', 'get', 'gets', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'let', 'may', 'me', 'might', 'more', 'most', 'must', 'my', 'new', 'no', 'nor', 'not', 'now',
+  'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'per', 'same', 'shall', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'use', 'using', 'very', 'via',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within',
+  'without', 'would', 'you', 'your', 'yours'
+]);
+
+// Common engineering abbreviations and near-synonyms, folded to one canonical word
+const DEFAULT_SYNONYMS = {
+  auth: 'authentication',
+  authn: 'authentication',
+  login: 'authentication',
+  signin: 'authentication',
+  authz: 'authorization',
+  perms: 'permissions',
+  db: 'database',
+  dbs: 'database',
+  perf: 'performance',
+  config: 'configuration',
+  cfg: 'configuration',
+  conf: 'configuration',
+  repo: 'repository',
+  doc: 'documentation',
+  docs: 'documentation',
+  impl: 'implementation',
+  env: 'environment',
+  deps: 'dependencies',
+  dep: 'dependency',
+  infra: 'infrastructure',
+  k8s: 'kubernetes',
+  msg: 'message',
+  req: 'request',
+  resp: 'response',
+  spec: 'specification',
+  specs: 'specification',
+  util: 'utility',
+  utils: 'utility',
+  bug: 'defect',
+  bugs: 'defect',
+  ui: 'interface',
+  gui: 'interface'
+};
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Porter stemmer (M.F. Porter, 1980)
+ */
+export function stem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  let match = /^(.+?)eed$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  match = /^(.+?)y$/.exec(w);
+  if (match && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining derivational suffixes
+  match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    const base = match[1] + match[2];
+    if (MEASURE_GT_1.test(base)) w = base;
+  }
+
+  // Step 5: tidy up trailing -e and -ll
+  match = /^(.+?)e$/.exec(w);
+  if (match) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+/**
+ * Flatten strings, arrays and plain objects into a list of text fragments
+ */
+export function collectText(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') return value.trim() ? [value] : [];
+  if (typeof value === 'number' || typeof value === 'boolean') return [];
+  if (Array.isArray(value)) return value.flatMap(item => collectText(item));
+  if (typeof value === 'object') return Object.values(value).flatMap(item => collectText(item));
+  return [];
+}
+
+function containsSequence(terms, sequence) {
+  for (let start = 0; start + sequence.length <= terms.length; start++) {
+    if (sequence.every((term, offset) => terms[start + offset] === term)) return true;
+  }
+  return false;
+}
+
+export class TextSimilarityEngine {
+  constructor(options = {}) {
+    this.stopWords = new Set([...STOP_WORDS, ...(options.stopWords || [])]);
+    this.synonyms = new Map(Object.entries({ ...DEFAULT_SYNONYMS, ...(options.synonyms || {}) }));
+    this.documentFrequency = new Map();
+    this.documentCount = 0;
+    this.corpusKey = null;
+    this.glossary = [];
+    this.glossaryKey = '[]';
+  }
+
+  /**
+   * Install a sprint glossary. A text containing an entry's term or one of its synonyms
+   * (multi-word phrases allowed) is expanded with the entry's concept term and all its wordings
+   */
+  setGlossary(glossary = []) {
+    this.glossary = normalizeGlossary(glossary)
+      .map(entry => ({
+        term: entry.term,
+        concept: `glossary:${entry.term.toLowerCase()}`,
+        phrases: [entry.term, ...entry.synonyms]
+          .map(phrase => ({ phrase, terms: this.analyzeWords(phrase).terms }))
+          .filter(phrase => phrase.terms.length > 0)
+      }))
+      .filter(entry => entry.phrases.length > 0);
+  }
+
+  /**
+   * Split text into lowercase word tokens, breaking camelCase and snake_case apart
+   */
+  tokenize(text) {
+    return String(text || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn text into normalized terms, keeping track of which source words produced each term,
+   * then add the concept terms of any glossary entries the text mentions
+   * @returns {{ terms: string[], sources: Map<string, Set<string>>, glossary: Map<string, Object> }}
+   */
+  analyze(text) {
+    const analysis = this.analyzeWords(text);
+    const glossary = new Map();
+
+    const present = new Set(analysis.terms);
+
+    for (const entry of this.glossary) {
+      const hit = entry.phrases.find(phrase => containsSequence(analysis.terms, phrase.terms));
+      if (!hit) continue;
+
+      glossary.set(entry.concept, { entry: entry.term, phrase: hit.phrase });
+
+      // Expand to the concept and every wording of the entry, so either side can match
+      for (const term of [entry.concept, ...entry.phrases.flatMap(phrase => phrase.terms)]) {
+        if (present.has(term)) continue;
+        present.add(term);
+        analysis.terms.push(term);
+        analysis.sources.set(term, new Set([hit.phrase]));
+      }
+    }
+
+    return { ...analysis, glossary };
+  }
+
+  analyzeWords(text) {
+    const terms = [];
+    const sources = new Map();
+
+    for (const token of this.tokenize(text)) {
+      if (this.stopWords.has(token) || token.length < 2 || /^\d+$/.test(token)) continue;
+
+      const canonical = this.synonyms.get(token) || token;
+      for (const word of this.tokenize(canonical)) {
+        if (this.stopWords.has(word)) continue;
+
+        const term = stem(word);
+        terms.push(term);
+        if (!sources.has(term)) sources.set(term, new Set());
+        sources.get(term).add(token);
+      }
+    }
+
+    return { terms, sources };
+  }
+
+  terms(text) {
+    return this.analyze(text).terms;
+  }
+
+  /**
+   * Build document frequencies from a set of documents (sprint goals, requirements, ...)
+   */
+  buildCorpus(documents = []) {
+    this.documentFrequency = new Map();
+    this.documentCount = 0;
+
+    for (const document of documents) {
+      const unique = new Set(this.terms(document));
+      if (unique.size === 0) continue;
+
+      this.documentCount++;
+      for (const term of unique) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Build the corpus from a sprint context, skipping the rebuild when it has not changed
+   */
+  indexSprintContext(sprintContext = {}) {
+    const glossaryKey = JSON.stringify(sprintContext.glossary || []);
+    if (glossaryKey !== this.glossaryKey) {
+      this.setGlossary(sprintContext.glossary || []);
+      this.glossaryKey = glossaryKey;
+      this.corpusKey = null;
+    }
+
+    const documents = [
+      ...collectText(sprintContext.goals),
+      ...collectText(sprintContext.requirements),
+      ...collectText(sprintContext.constraints),
+      ...collectText(sprintContext.acceptance_criteria),
+      ...collectText(sprintContext.acceptanceCriteria),
+      ...collectText(sprintContext.architectureDecisions),
+      ...collectText(sprintContext.sprintGoals)
+    ];
+
+    const corpusKey = createHash('sha1').update(JSON.stringify(documents)).digest('hex');
+    if (corpusKey !== this.corpusKey) {
+      this.buildCorpus(documents);
+      this.corpusKey = corpusKey;
+    }
+
+    return this.documentCount;
+  }
+
+  idf(term) {
+    // Smoothed IDF: terms unseen in the corpus are treated as rare, not ignored
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log((this.documentCount + 1) / (df + 1)) + 1;
+  }
+
+  vectorize(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      vector.set(term, (1 + Math.log(count)) * this.idf(term));
+    }
+    return vector;
+  }
+
+  cosine(vectorA, vectorB) {
+    if (vectorA.size === 0 || vectorB.size === 0) return 0;
+
+    let dot = 0;
+    for (const [term, weight] of vectorA) {
+      if (vectorB.has(term)) dot += weight * vectorB.get(term);
+    }
+
+    const norm = vector => Math.sqrt(Array.from(vector.values()).reduce((sum, w) => sum + w * w, 0));
+    const denominator = norm(vectorA) * norm(vectorB);
+    return denominator > 0 ? dot / denominator : 0;
+  }
+
+  /**
+   * Cosine similarity between two already-normalized term lists
+   */
+  termSimilarity(termsA, termsB) {
+    return this.cosine(this.vectorize(termsA), this.vectorize(termsB));
+  }
+
+  similarity(textA, textB) {
+    return this.termSimilarity(this.terms(textA), this.terms(textB));
+  }
+
+  /**
+   * Compare a text with a single reference, returning matched and missing terms
+   */
+  compare(text, reference) {
+    const source = this.analyze(text);
+    const target = this.analyze(reference);
+    const sourceTerms = new Set(source.terms);
+    const targetTerms = Array.from(new Set(target.terms));
+
+    return {
+      score: this.termSimilarity(source.terms, target.terms),
+      matchedTerms: targetTerms.filter(term => sourceTerms.has(term)),
+      missingTerms: targetTerms
+        .filter(term => !sourceTerms.has(term))
+        .sort((a, b) => this.idf(b) - this.idf(a)),
+      // Glossary entries that linked different wording on each side
+      glossaryMatches: targetTerms
+        .filter(term => source.glossary.has(term))
+        .map(term => ({
+          entry: target.glossary.get(term).entry,
+          textPhrase: source.glossary.get(term).phrase,
+          referencePhrase: target.glossary.get(term).phrase
+        }))
+        .filter(match => match.textPhrase.toLowerCase() !== match.referencePhrase.toLowerCase()),
+      sources: target.sources
+    };
+  }
+
+  /**
+   * Alignment of a text with a set of references (goals, requirements, criteria).
+   * The score is the better of the closest single reference and all references pooled,
+   * so a task supporting several goals is not penalized for spreading across them.
+   */
+  alignment(text, references = []) {
+    const items = collectText(references);
+    if (items.length === 0) {
+      return { score: 0, bestMatch: null, scores: [], matchedTerms: [], missingTerms: [], glossaryMatches: [] };
+    }
+
+    const comparisons = items.map(reference => this.compare(text, reference));
+    let bestIndex = 0;
+    comparisons.forEach((comparison, index) => {
+      if (comparison.score > comparisons[bestIndex].score) bestIndex = index;
+    });
+
+    const pooledScore = items.length > 1 ? this.similarity(text, items.join('\n')) : comparisons[0].score;
+    const best = comparisons[bestIndex];
+
+    return {
+      score: Math.min(1, Math.max(best.score, pooledScore)),
+      bestMatch: { index: bestIndex, text: items[bestIndex], score: best.score },
+      scores: comparisons.map(comparison => comparison.score),
+      matchedTerms: best.matchedTerms,
+      missingTerms: best.missingTerms,
+      glossaryMatches: best.glossaryMatches
+    };
+  }
+
+  /**
+   * Most distinctive terms of a text, ranked by TF-IDF weight
+   */
+  extractKeywords(text, limit = 20) {
+    return Array.from(this.vectorize(this.terms(text)).entries())
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit)
+      .map(([term]) => term);
+  }
+}
+
+export default TextSimilarityEngine;
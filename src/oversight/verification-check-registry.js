@@ -0,0 +1,132 @@
+/**
+ * Verification Check Registry
+ * Holds the checks run by the Verification Layer together with their weight,
+ * pass threshold and improvement guidance, so checks can be added, reweighted
+ * or disabled without touching the layer itself
+ */
+
+export class VerificationCheckRegistry {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  /**
+   * Register (or replace) a verification check
+   * @param {string} name - Check name, used as the key in verification results
+   * @param {Object} definition - { verify, weight, threshold, label, guidance, enabled }
+   *   verify(agentOutput, sprintContext, layer) must resolve to { score, details }
+   * @returns {Object} The registered check
+   */
+  register(name, definition = {}) {
+    if (!name) {
+      throw new Error('Verification check requires a name');
+    }
+    if (typeof definition.verify !== 'function') {
+      throw new Error(`Verification check "${name}" must provide a verify function`);
+    }
+
+    const check = {
+      name,
+      verify: definition.verify,
+      weight: definition.weight ?? 1,
+      threshold: definition.threshold ?? 0.6,
+      label: definition.label || `Improve ${name}`,
+      guidance: definition.guidance || 'Review the check details and revise the task output',
+      enabled: definition.enabled !== false,
+      builtIn: definition.builtIn === true
+    };
+
+    this.checks.set(name, check);
+    return check;
+  }
+
+  unregister(name) {
+    return this.checks.delete(name);
+  }
+
+  /**
+   * Override weight, threshold, guidance or enabled state of a registered check
+   */
+  configure(name, overrides = {}) {
+    const check = this.checks.get(name);
+    if (!check) {
+      throw new Error(`Unknown verification check: ${name}`);
+    }
+
+    for (const field of ['weight', 'threshold', 'label', 'guidance', 'enabled', 'verify']) {
+      if (overrides[field] !== undefined) {
+        check[field] = overrides[field];
+      }
+    }
+
+    return check;
+  }
+
+  enable(name) {
+    return this.configure(name, { enabled: true });
+  }
+
+  disable(name) {
+    return this.configure(name, { enabled: false });
+  }
+
+  get(name) {
+    return this.checks.get(name) || null;
+  }
+
+  has(name) {
+    return this.checks.has(name);
+  }
+
+  /**
+   * Enabled checks that carry weight once a scoring profile's weights are applied
+   * @param {Object} weights - { checkName: weight } overriding the registered weights
+   */
+  getEnabledChecks(weights = {}) {
+    return Array.from(this.checks.values())
+      .filter(check => check.enabled && (weights[check.name] ?? check.weight) > 0);
+  }
+
+  /**
+   * Apply a { checkName: overridesOrDefinition } map, registering checks that
+   * bring their own verify function and configuring the rest
+   */
+  applyConfig(config = {}) {
+    for (const [name, entry] of Object.entries(config)) {
+      if (entry === false) {
+        this.disable(name);
+      } else if (typeof entry?.verify === 'function' && !this.has(name)) {
+        this.register(name, entry);
+      } else {
+        this.configure(name, entry);
+      }
+    }
+  }
+
+  formatGuidance(name, checkResult) {
+    const check = this.checks.get(name);
+    const score = `${((checkResult?.score || 0) * 100).toFixed(1)}%`;
+
+    if (!check) {
+      return `Improve ${name} (${score})`;
+    }
+
+    const guidance = typeof check.guidance === 'function'
+      ? check.guidance(checkResult)
+      : check.guidance;
+
+    return `${check.label} (${score}) - ${guidance}`;
+  }
+
+  list() {
+    return Array.from(this.checks.values()).map(({ name, weight, threshold, enabled, builtIn }) => ({
+      name,
+      weight,
+      threshold,
+      enabled,
+      builtIn
+    }));
+  }
+}
+
+export default VerificationCheckRegistry;
@@ -0,0 +1,259 @@
+/**
+ * Verification Explainer
+ * Builds an explanation artifact for every verification: the sprint context
+ * entries closest to the output, matched and missing terms, each check's
+ * contribution to the final score and the minimum change needed to pass.
+ * Renders as JSON or Markdown.
+ */
+
+import { collectText } from './text-similarity.js';
+
+export class VerificationExplainer {
+  constructor(similarity, checkRegistry = null) {
+    this.similarity = similarity;
+    this.checkRegistry = checkRegistry;
+  }
+
+  /**
+   * @param {Object} verificationResult - Result built by VerificationLayer.enforceVerification
+   * @param {Object} profile - Scoring profile used for the run
+   * @returns {Object} Explanation artifact (plain JSON)
+   */
+  explain(verificationResult, profile = {}) {
+    const { agentOutput = {}, sprintContext = {}, checks = {} } = verificationResult;
+    const description = agentOutput.description || '';
+
+    const closestContext = {
+      goal: this.findClosest(description, sprintContext.goals),
+      requirement: this.findClosest(description, sprintContext.requirements),
+      acceptanceCriterion: this.findClosest(description, sprintContext.acceptance_criteria ?? sprintContext.acceptanceCriteria)
+    };
+
+    const weights = Object.fromEntries(Object.entries(checks).map(([name, check]) => [
+      name,
+      profile.weights?.[name] ?? check.weight ?? 1
+    ]));
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+    const checkExplanations = Object.entries(checks).map(([name, check]) => {
+      const share = weights[name] / totalWeight;
+      const closest = this.closestForCheck(name, closestContext);
+      const terms = this.termsForCheck(name, check, closest);
+
+      return {
+        name,
+        score: check.score,
+        threshold: check.threshold,
+        passed: check.passed,
+        weight: weights[name],
+        contribution: share * check.score,
+        lostContribution: share * (1 - check.score),
+        closest,
+        matchedTerms: terms.matchedTerms,
+        missingTerms: terms.missingTerms,
+        unmetCriteria: this.unmetCriteria(check),
+        guidance: !check.passed && this.checkRegistry ? this.checkRegistry.formatGuidance(name, check) : null
+      };
+    });
+
+    return {
+      verificationId: verificationResult.verificationId,
+      timestamp: verificationResult.timestamp,
+      profile: verificationResult.profile,
+      verdict: verificationResult.verified ? 'passed' : 'failed',
+      score: verificationResult.score,
+      threshold: verificationResult.threshold,
+      closestContext,
+      checks: checkExplanations,
+      minimumViolations: verificationResult.minimumViolations || [],
+      minimumChange: verificationResult.verified
+        ? null
+        : this.calculateMinimumChange(verificationResult, checkExplanations, totalWeight)
+    };
+  }
+
+  findClosest(text, entries) {
+    const items = collectText(entries);
+    if (items.length === 0) return null;
+
+    let best = null;
+    for (const item of items) {
+      const comparison = this.similarity.compare(text, item);
+      if (!best || comparison.score > best.score) {
+        best = {
+          text: item,
+          score: comparison.score,
+          matchedTerms: comparison.matchedTerms,
+          missingTerms: comparison.missingTerms,
+          glossaryMatches: comparison.glossaryMatches
+        };
+      }
+    }
+    return best;
+  }
+
+  closestForCheck(name, closestContext) {
+    switch (name) {
+      case 'sprintAlignment':
+        return { goal: closestContext.goal };
+      case 'contextAccuracy':
+        return closestContext;
+      default:
+        return null;
+    }
+  }
+
+  termsForCheck(name, check, closest) {
+    if (closest) {
+      const entries = Object.values(closest).filter(Boolean);
+      return {
+        matchedTerms: [...new Set(entries.flatMap(entry => entry.matchedTerms))],
+        missingTerms: [...new Set(entries.flatMap(entry => entry.missingTerms))]
+      };
+    }
+
+    return {
+      matchedTerms: check.details?.matchedTerms || [],
+      missingTerms: check.details?.missingTerms || []
+    };
+  }
+
+  unmetCriteria(check) {
+    // Boolean details (e.g. quality standards) name the individual criteria that failed
+    return Object.entries(check.details || {})
+      .filter(([_, value]) => value === false)
+      .map(([criterion]) => criterion);
+  }
+
+  /**
+   * Smallest set of score increases that makes the run pass: profile minimums first,
+   * then the remaining gap closed on the highest-weighted checks, since each point
+   * raised there moves the overall score the most (ties go to the most headroom,
+   * keeping the number of checks to touch low)
+   */
+  calculateMinimumChange(verificationResult, checkExplanations, totalWeight) {
+    const raised = new Map(checkExplanations.map(check => [check.name, check.score]));
+    const actions = [];
+
+    for (const violation of verificationResult.minimumViolations || []) {
+      raised.set(violation.check, violation.minimum);
+    }
+
+    const overall = () => checkExplanations.reduce(
+      (sum, check) => sum + raised.get(check.name) * check.weight, 0
+    ) / totalWeight;
+
+    let gap = verificationResult.threshold - overall();
+
+    const candidates = [...checkExplanations]
+      .filter(check => check.weight > 0)
+      .sort((a, b) => (b.weight - a.weight) || (raised.get(a.name) - raised.get(b.name)));
+
+    for (const check of candidates) {
+      if (gap <= 1e-9) break;
+
+      const current = raised.get(check.name);
+      const share = check.weight / totalWeight;
+      const target = Math.min(1, current + gap / share);
+
+      if (target > current) {
+        raised.set(check.name, target);
+        gap -= (target - current) * share;
+      }
+    }
+
+    for (const check of checkExplanations) {
+      const target = raised.get(check.name);
+      if (target > check.score + 1e-9) {
+        actions.push({
+          check: check.name,
+          from: check.score,
+          to: target,
+          addTerms: check.missingTerms.filter(term => !term.startsWith('glossary:')).slice(0, 5),
+          fixCriteria: check.unmetCriteria
+        });
+      }
+    }
+
+    return {
+      scoreGap: Math.max(0, verificationResult.threshold - verificationResult.score),
+      achievable: gap <= 1e-9,
+      actions
+    };
+  }
+
+  render(explanation, format = 'json') {
+    return format === 'markdown'
+      ? this.toMarkdown(explanation)
+      : JSON.stringify(explanation, null, 2);
+  }
+
+  toMarkdown(explanation) {
+    const pct = value => `${((value || 0) * 100).toFixed(1)}%`;
+    const lines = [];
+
+    lines.push(`# Verification ${explanation.verdict === 'passed' ? 'Passed' : 'Failed'}: ${explanation.verificationId}`);
+    lines.push('');
+    lines.push(`- **Score**: ${pct(explanation.score)} (threshold ${pct(explanation.threshold)}, profile \`${explanation.profile}\`)`);
+    lines.push(`- **Timestamp**: ${explanation.timestamp}`);
+    lines.push('');
+
+    lines.push('## Checks');
+    lines.push('');
+    lines.push('| Check | Score | Threshold | Weight | Contribution | Status |');
+    lines.push('|-------|-------|-----------|--------|--------------|--------|');
+    for (const check of explanation.checks) {
+      lines.push(`| ${check.name} | ${pct(check.score)} | ${pct(check.threshold)} | ${check.weight} | ${pct(check.contribution)} | ${check.passed ? '✅' : '❌'} |`);
+    }
+    lines.push('');
+
+    lines.push('## Closest Sprint Context');
+    lines.push('');
+    const labels = { goal: 'Goal', requirement: 'Requirement', acceptanceCriterion: 'Acceptance criterion' };
+    for (const [key, label] of Object.entries(labels)) {
+      const entry = explanation.closestContext[key];
+      if (!entry) {
+        lines.push(`- **${label}**: none defined`);
+        continue;
+      }
+      lines.push(`- **${label}**: "${entry.text}" (${pct(entry.score)})`);
+      lines.push(`  - Matched: ${entry.matchedTerms.join(', ') || 'none'}`);
+      lines.push(`  - Missing: ${entry.missingTerms.join(', ') || 'none'}`);
+      for (const match of entry.glossaryMatches || []) {
+        lines.push(`  - Glossary: "${match.textPhrase}" ↔ "${match.referencePhrase}" (${match.entry})`);
+      }
+    }
+    lines.push('');
+
+    if (explanation.minimumViolations.length > 0) {
+      lines.push('## Profile Minimums Not Met');
+      lines.push('');
+      for (const violation of explanation.minimumViolations) {
+        lines.push(`- ${violation.check}: ${pct(violation.score)} < ${pct(violation.minimum)}`);
+      }
+      lines.push('');
+    }
+
+    if (explanation.minimumChange) {
+      lines.push('## Minimum Change to Pass');
+      lines.push('');
+      if (!explanation.minimumChange.achievable) {
+        lines.push('- Threshold cannot be reached by raising check scores alone; revisit the task scope');
+      }
+      for (const action of explanation.minimumChange.actions) {
+        lines.push(`- Raise **${action.check}** from ${pct(action.from)} to ${pct(action.to)}`);
+        if (action.addTerms.length > 0) {
+          lines.push(`  - Address: ${action.addTerms.join(', ')}`);
+        }
+        if (action.fixCriteria.length > 0) {
+          lines.push(`  - Fix: ${action.fixCriteria.join(', ')}`);
+        }
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default VerificationExplainer;
@@ -0,0 +1,318 @@
+/**
+ * Verification Memory
+ * Bounded, indexed store of verification results. Each result is kept as a
+ * compact record in a per-day partition (the time index); agent and task type
+ * indexes are built in memory when the retained partitions are loaded. Agent
+ * outputs, sprint contexts and check details are stored once per content hash.
+ *
+ * The partitions and payloads are written by the verification projections of
+ * the oversight event log, so a verification only touches its own day's
+ * partition and the payloads it has not seen before.
+ */
+
+import { createHash } from 'crypto';
+import { resolveStorage } from './oversight-storage.js';
+
+export const MEMORY_PREFIX = 'verification/memory/';
+export const PAYLOAD_PREFIX = 'verification/payloads/';
+export const SUCCESS_PATTERNS = 'verification/success-patterns';
+export const ROLLBACK_HISTORY = 'verification/rollback-history';
+export const LEGACY_MEMORY = 'verification/verification-memory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Split results are cached per result object: every projection of an event splits the same result
+const splitCache = new WeakMap();
+
+export function contentHash(value) {
+  return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 32);
+}
+
+export function partitionKey(timestamp) {
+  return `${MEMORY_PREFIX}${timestamp.split('T')[0]}`;
+}
+
+/**
+ * Split a verification result into its compact record and content-addressed payloads
+ * @returns {{ record: Object, payloads: Object }} payloads maps hash → value
+ */
+export function splitVerification(result) {
+  if (splitCache.has(result)) return splitCache.get(result);
+
+  const agentOutput = result.agentOutput || {};
+  const details = {
+    checks: result.checks,
+    minimumViolations: result.minimumViolations,
+    explanation: result.explanation,
+    rollback: result.rollback
+  };
+  const hashes = {
+    agentOutput: contentHash(agentOutput),
+    sprintContext: contentHash(result.sprintContext),
+    details: contentHash(details)
+  };
+
+  const split = {
+    record: {
+      verificationId: result.verificationId,
+      timestamp: result.timestamp,
+      agentId: result.agentId ?? agentOutput.agentId ?? null,
+      type: agentOutput.type || 'general',
+      verified: result.verified,
+      score: result.score,
+      threshold: result.threshold,
+      profile: result.profile,
+      // Fields the consistency and history checks compare against
+      output: {
+        type: agentOutput.type,
+        complexity: agentOutput.complexity,
+        description: agentOutput.description
+      },
+      hashes
+    },
+    payloads: {
+      [hashes.agentOutput]: agentOutput,
+      [hashes.sprintContext]: result.sprintContext ?? null,
+      [hashes.details]: details
+    }
+  };
+
+  splitCache.set(result, split);
+  return split;
+}
+
+function toTimestamp(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'string' ? value : new Date(value).toISOString();
+}
+
+function removeFirst(list, record) {
+  const index = list.indexOf(record);
+  if (index >= 0) list.splice(index, 1);
+}
+
+export class VerificationMemory {
+  /**
+   * @param {Object} options
+   *   storage: oversight storage instance or config
+   *   maxAgeDays: records older than this are dropped (default 30)
+   *   maxRecords: at most this many records are retained (default 10000)
+   *   payloadGraceMs: unreferenced payloads younger than this are kept, as
+   *     their record may still be on its way from another process (default 1 hour)
+   */
+  constructor(options = {}) {
+    this.storage = resolveStorage(options.storage);
+    this.maxAgeDays = options.maxAgeDays ?? 30;
+    this.maxRecords = options.maxRecords ?? 10000;
+    this.payloadGraceMs = options.payloadGraceMs ?? 60 * 60 * 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.records = new Map();
+    this.byTime = [];
+    this.byAgent = new Map();
+    this.byType = new Map();
+    this.verifiedCount = 0;
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  cutoff() {
+    return new Date(Date.now() - this.maxAgeDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Index a verification result in memory and return its record
+   */
+  add(result) {
+    const { record } = splitVerification(result);
+    this.insert(record);
+    this.evict();
+    return record;
+  }
+
+  insert(record) {
+    if (this.records.has(record.verificationId)) {
+      this.remove(this.records.get(record.verificationId));
+    }
+
+    this.records.set(record.verificationId, record);
+    if (record.verified) this.verifiedCount++;
+
+    const lists = [this.byTime, this.indexList(this.byType, record.type)];
+    if (record.agentId) lists.push(this.indexList(this.byAgent, record.agentId));
+
+    for (const list of lists) {
+      // Records normally arrive in time order; walk back only for late arrivals
+      let index = list.length;
+      while (index > 0 && list[index - 1].timestamp > record.timestamp) index--;
+      list.splice(index, 0, record);
+    }
+  }
+
+  indexList(index, key) {
+    if (!index.has(key)) index.set(key, []);
+    return index.get(key);
+  }
+
+  remove(record) {
+    this.records.delete(record.verificationId);
+    if (record.verified) this.verifiedCount--;
+
+    removeFirst(this.byTime, record);
+    removeFirst(this.byType.get(record.type) || [], record);
+    if (record.agentId) removeFirst(this.byAgent.get(record.agentId) || [], record);
+  }
+
+  /**
+   * Drop records beyond the retention policy; the oldest are at the head of the time index
+   */
+  evict() {
+    const cutoff = this.cutoff();
+    while (this.byTime.length > 0 && (this.byTime.length > this.maxRecords || this.byTime[0].timestamp < cutoff)) {
+      this.remove(this.byTime[0]);
+    }
+  }
+
+  get(verificationId) {
+    return this.records.get(verificationId) || null;
+  }
+
+  /**
+   * Most recent records matching the filter, oldest first. Walks back from the
+   * newest entry of the narrowest index, so the cost depends on the window and
+   * limit rather than on the size of the history.
+   * @param {Object} filter - { since, until, agentId, type, verified, limit }
+   */
+  query(filter = {}) {
+    let list = this.byTime;
+    if (filter.agentId) list = this.byAgent.get(filter.agentId) || [];
+    else if (filter.type) list = this.byType.get(filter.type) || [];
+
+    const since = toTimestamp(filter.since);
+    const until = toTimestamp(filter.until);
+    const limit = filter.limit ?? Infinity;
+    const matches = [];
+
+    for (let index = list.length - 1; index >= 0 && matches.length < limit; index--) {
+      const record = list[index];
+      if (since && record.timestamp < since) break;
+      if (until && record.timestamp > until) continue;
+      if (filter.type && record.type !== filter.type) continue;
+      if (filter.verified !== undefined && record.verified !== filter.verified) continue;
+      matches.push(record);
+    }
+
+    return matches.reverse();
+  }
+
+  /**
+   * Rebuild a full verification result from its record and payloads
+   */
+  async getResult(verificationId) {
+    const record = this.get(verificationId);
+    if (!record) return null;
+
+    const [agentOutput, sprintContext, details] = await Promise.all([
+      this.readPayload(record.hashes.agentOutput),
+      this.readPayload(record.hashes.sprintContext),
+      this.readPayload(record.hashes.details)
+    ]);
+
+    return {
+      verificationId: record.verificationId,
+      timestamp: record.timestamp,
+      agentId: record.agentId,
+      profile: record.profile,
+      score: record.score,
+      threshold: record.threshold,
+      verified: record.verified,
+      ...(details || {}),
+      agentOutput,
+      sprintContext
+    };
+  }
+
+  async readPayload(hash) {
+    const payload = await this.storage.read(`${PAYLOAD_PREFIX}${hash}`);
+    return payload ? payload.value : null;
+  }
+
+  async retainedPartitions() {
+    const firstDay = this.cutoff().split('T')[0];
+    return (await this.storage.list(MEMORY_PREFIX))
+      .filter(key => key.slice(MEMORY_PREFIX.length) >= firstDay);
+  }
+
+  /**
+   * Load the partitions inside the retention window and rebuild the indexes
+   */
+  async load() {
+    const records = [];
+    for (const key of await this.retainedPartitions()) {
+      records.push(...await this.storage.read(key, []));
+    }
+
+    this.reset();
+    for (const record of records.sort((a, b) => a.timestamp.localeCompare(b.timestamp))) {
+      this.insert(record);
+    }
+    this.evict();
+
+    return this.size;
+  }
+
+  /**
+   * Apply the retention policy to persisted memory: delete partitions outside
+   * the window and payloads no retained record refers to
+   * @param {Array} keepRecords - Additional records whose payloads must be kept (e.g. rollback history)
+   */
+  async prune(keepRecords = []) {
+    // With maxRecords reached the window starts at the oldest retained record
+    const cutoff = this.cutoff();
+    const full = this.byTime.length >= this.maxRecords && this.byTime[0].timestamp > cutoff;
+    const firstDay = (full ? this.byTime[0].timestamp : cutoff).split('T')[0];
+    let partitions = 0;
+    let payloads = 0;
+
+    const referenced = new Set();
+    for (const key of await this.storage.list(MEMORY_PREFIX)) {
+      if (key.slice(MEMORY_PREFIX.length) < firstDay) {
+        if (await this.storage.delete(key)) partitions++;
+        continue;
+      }
+      for (const record of await this.storage.read(key, [])) {
+        Object.values(record.hashes || {}).forEach(hash => referenced.add(hash));
+      }
+    }
+    for (const record of keepRecords) {
+      Object.values(record.hashes || {}).forEach(hash => referenced.add(hash));
+    }
+
+    const graceCutoff = new Date(Date.now() - this.payloadGraceMs).toISOString();
+    for (const key of await this.storage.list(PAYLOAD_PREFIX)) {
+      if (referenced.has(key.slice(PAYLOAD_PREFIX.length))) continue;
+
+      const payload = await this.storage.read(key);
+      if (payload && payload.storedAt > graceCutoff) continue;
+      if (await this.storage.delete(key)) payloads++;
+    }
+
+    return { partitions, payloads };
+  }
+
+  /**
+   * Apply the retention policy after a replay of the verification projections:
+   * the event log keeps every verification, so a replay writes back the
+   * partitions and payloads prune() had deleted
+   */
+  async retainAfterReplay() {
+    await this.load();
+    return this.prune(await this.storage.read(ROLLBACK_HISTORY, []));
+  }
+}
+
+export default VerificationMemory;
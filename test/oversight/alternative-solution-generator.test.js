@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AlternativeSolutionGenerator,
+  normalizeDecisions,
+  affirmativeText
+} from '../../src/oversight/alternative-solution-generator.js';
+
+const proposal = { name: 'Split services', approach: 'microservices with a MongoDB store' };
+
+function conflictsWith(decisions, solution = proposal) {
+  return new AlternativeSolutionGenerator().conflicts(solution, normalizeDecisions(decisions));
+}
+
+describe('AlternativeSolutionGenerator.conflicts', () => {
+  const phrasings = [
+    ['Microservices are not allowed', 'Microservices'],
+    ['Microservices are forbidden', 'Microservices'],
+    ['No microservices', 'microservices'],
+    ['Ship the billing module without microservices', 'microservices'],
+    ['Prohibit MongoDB', 'MongoDB'],
+    ['MongoDB must not be used', 'MongoDB'],
+    ['Must not use microservices for new features', 'microservices'],
+    ['Use PostgreSQL instead of MongoDB', 'MongoDB'],
+    ['Use PostgreSQL and MongoDB is forbidden', 'MongoDB']
+  ];
+
+  for (const [decision, ruledOut] of phrasings) {
+    it(`rejects the proposal under "${decision}"`, () => {
+      assert.deepEqual(conflictsWith([decision]), [{ decision: 'Decision 1', ruledOut }]);
+    });
+  }
+
+  it('rejects what a decision lists in details.rejects', () => {
+    const decisions = [{ title: 'Persistence', details: { decision: 'Use PostgreSQL', rejects: ['MongoDB', 'Redis'] } }];
+
+    assert.deepEqual(conflictsWith(decisions), [{ decision: 'Persistence', ruledOut: 'MongoDB' }]);
+  });
+
+  it('ignores decisions that are not accepted when generating', () => {
+    const generator = new AlternativeSolutionGenerator();
+    const decisions = normalizeDecisions([{ title: 'Services', details: { decision: 'No microservices', status: 'Proposed' } }]);
+
+    assert.equal(decisions[0].accepted, false);
+    assert.equal(generator.conflicts(proposal, decisions.filter(decision => decision.accepted)).length, 0);
+  });
+
+  it('does not count what the solution itself rules out as proposed', () => {
+    const solution = { name: 'Monolith', approach: 'Modular monolith on PostgreSQL; no MongoDB, microservices are not allowed' };
+
+    assert.deepEqual(conflictsWith(['Prohibit MongoDB', 'No microservices'], solution), []);
+  });
+
+  it('allows solutions that stay within the decision', () => {
+    assert.deepEqual(conflictsWith(['Use a modular monolith'], { name: 'Monolith', approach: 'modular monolith on PostgreSQL' }), []);
+  });
+});
+
+describe('affirmativeText', () => {
+  it('keeps what a decision prescribes and drops what it rules out', () => {
+    assert.equal(affirmativeText('Use PostgreSQL instead of MongoDB'), 'Use PostgreSQL');
+    assert.equal(affirmativeText('Use PostgreSQL and MongoDB is forbidden'), 'Use PostgreSQL');
+    assert.equal(affirmativeText('Microservices are not allowed'), '');
+  });
+});
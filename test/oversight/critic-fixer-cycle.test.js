@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CriticFixerCycle } from '../../src/oversight/recursive-learning-core.js';
+
+const context = { sprintGoals: ['Add OAuth sign-in to the customer portal'] };
+
+const solution = {
+  name: 'OAuth sign-in',
+  description: 'Add OAuth sign-in to the customer portal',
+  technicalDetails: 'Authorization code flow with PKCE against the customer identity provider',
+  complexity: 0.6,
+  risks: [{ risk: 'Token leakage in the portal' }, { risk: 'Identity provider outage' }]
+};
+
+// Fixer that revises the risk plan of this solution
+const mitigatingFixer = {
+  name: 'mitigating',
+  async fix(content) {
+    return {
+      solution: {
+        ...content,
+        risks: content.risks.map(risk => ({ ...risk, mitigation: 'Short-lived sessions' }))
+      },
+      changes: [{ area: 'riskAssessment', description: 'Mitigated every risk' }]
+    };
+  }
+};
+
+// Fixer that only pads: boilerplate sections, generic fields and generic risks
+const paddingFixer = {
+  name: 'padding',
+  async fix(content) {
+    return {
+      solution: {
+        ...content,
+        technicalEnhancements: { addedArchitecture: 'Layered architecture with clear separation of concerns' },
+        errorHandling: 'Comprehensive error handling and logging',
+        risks: [
+          ...content.risks,
+          { risk: 'Timeline pressure', mitigation: 'Agile delivery with MVP focus' },
+          { risk: 'Resource constraints', mitigation: 'Staged implementation' },
+          { risk: 'Scope creep', mitigation: 'Weekly scope review' }
+        ]
+      },
+      changes: [{ area: 'technicalQuality', description: 'Added enhancements' }]
+    };
+  }
+};
+
+describe('CriticFixerCycle patch mode', () => {
+  it('scores a real fix and keeps it in finalSolutions', async () => {
+    const cycle = new CriticFixerCycle({ fixer: mitigatingFixer, improvementThreshold: 0.01, maxCycles: 2 });
+    const result = await cycle.evaluateAndImprove([solution], context);
+    const [fixed] = result.finalSolutions;
+
+    assert.ok(result.improvements[0].avgImprovement > 0);
+    assert.ok(result.improvements[0].significantImprovement);
+    assert.equal(result.improvements[0].factorDeltas.riskAssessment, 0.5);
+    assert.ok(result.finalScores[0] > result.improvements[0].originalAverage);
+    assert.ok(fixed.risks.every(risk => risk.mitigation));
+    assert.equal(fixed.critique.fixes[0].provider, 'mitigating');
+    assert.deepEqual(fixed.critique.fixes[0].paddedFields, []);
+    assert.deepEqual(fixed.critique.generatedFields, []);
+  });
+
+  it('leaves padding out of the score and scores it separately', async () => {
+    const cycle = new CriticFixerCycle({ fixer: paddingFixer, improvementThreshold: 0.01, maxCycles: 1 });
+    const fixes = await cycle.fixerPhase(await cycle.criticPhase([solution], context), context);
+    const [fixed] = fixes;
+
+    assert.equal(fixed.improvement, 0);
+    assert.ok(fixed.solution.critique.withGenerated.factors.technicalQuality > fixed.solution.critique.factors.technicalQuality);
+    assert.ok(fixed.solution.critique.withGenerated.factors.riskAssessment > fixed.solution.critique.factors.riskAssessment);
+    assert.deepEqual(fixed.solution.critique.generatedFields, ['technicalEnhancements', 'errorHandling']);
+    assert.equal(fixed.solution.critique.generatedEntries.risks.length, 3);
+  });
+
+  it('counts fields a fixer adds about the solution itself', () => {
+    const cycle = new CriticFixerCycle();
+    const padding = cycle.findPadding(solution, {
+      ...solution,
+      testing: { strategy: 'integration', focus: 'OAuth sign-in against the identity provider sandbox' },
+      codeQuality: 'Static analysis and peer review'
+    }, context);
+
+    assert.deepEqual(padding, { fields: ['codeQuality'], entries: {} });
+  });
+});
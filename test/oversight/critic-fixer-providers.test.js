@@ -0,0 +1,137 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CriticFixerCycle } from '../../src/oversight/recursive-learning-core.js';
+import {
+  HeuristicCriticProvider,
+  HeuristicFixerProvider,
+  ModelCriticFixerProvider,
+  createCriticFixerProvider
+} from '../../src/oversight/critic-fixer-providers.js';
+import { startModelStubServer } from '../../src/oversight/model-stub-server.js';
+
+const context = { sprintGoals: ['Add OAuth sign-in to the customer portal'] };
+
+const solution = {
+  name: 'OAuth sign-in',
+  description: 'OAuth sign-in for the portal',
+  complexity: 0.95,
+  risks: [
+    { risk: 'Token leakage' },
+    { risk: 'Session fixation' },
+    { risk: 'Identity provider outage', mitigation: 'Fall back to password sign-in' }
+  ]
+};
+
+describe('model critic-fixer provider against the stub server', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startModelStubServer();
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  it('critiques and fixes solutions in the critic-fixer cycle', async () => {
+    const provider = { provider: 'model', endpoint: stub.url };
+    const cycle = new CriticFixerCycle({ critic: provider, fixer: provider, improvementThreshold: 0.01, maxCycles: 1 });
+
+    const [{ critique }] = await cycle.criticPhase([solution], context);
+    assert.equal(critique.provider, 'model');
+    assert.deepEqual(Object.keys(critique.factors), ['goalCoverage', 'detail']);
+    assert.deepEqual(critique.issues.map(issue => issue.area), ['goalCoverage', 'detail']);
+    assert.match(critique.issues[0].message, /customer/);
+
+    const result = await cycle.evaluateAndImprove([solution], context);
+    const [fixed] = result.finalSolutions;
+    assert.ok(result.improvements[0].avgImprovement > 0);
+    assert.match(fixed.goalCoverage, /customer/);
+    assert.equal(fixed.steps.length, 4);
+    assert.equal(fixed.critique.provider, 'model');
+    assert.equal(fixed.critique.fixes[0].provider, 'model');
+    assert.deepEqual(fixed.critique.fixes[0].changes.map(change => change.area), ['goalCoverage', 'detail']);
+    assert.ok(fixed.critique.factors.goalCoverage > critique.factors.goalCoverage);
+  });
+
+  it('reports HTTP errors from the endpoint', async () => {
+    const provider = new ModelCriticFixerProvider({ endpoint: stub.url.replace('/chat/completions', '/models') });
+
+    await assert.rejects(provider.critique(solution, context), /HTTP 404/);
+  });
+});
+
+describe('HeuristicCriticProvider sprint weights', () => {
+  const critic = new HeuristicCriticProvider();
+  const weightsOf = solutionWeights => critic.sprintWeights({ qualityStandards: { solutionWeights } });
+
+  it('rescales the sprint weights over the defaults to sum to 1', () => {
+    const weights = weightsOf({ riskAssessment: 0.3, innovationFactor: 0 });
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    assert.equal(weights.innovationFactor, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    assert.ok(weights.riskAssessment > critic.weights.riskAssessment);
+  });
+
+  it('rejects weights that are not finite numbers of at least 0', () => {
+    assert.throws(() => weightsOf({ riskAssessment: NaN }), /solutionWeights\.riskAssessment must be a finite number of at least 0, got NaN/);
+    assert.throws(() => weightsOf({ riskAssessment: Infinity }), /got Infinity/);
+    assert.throws(() => weightsOf({ riskAssessment: -0.2 }), /got -0\.2/);
+    assert.throws(() => weightsOf({ riskAssessment: '0.3' }), /got "0\.3"/);
+    assert.throws(() => weightsOf([0.3]), /must be an object of factor weights/);
+  });
+
+  it('rejects unknown factors and weights without a positive sum', async () => {
+    assert.throws(() => weightsOf({ riskAsessment: 0.3 }), /solutionWeights\.riskAsessment is not a factor/);
+
+    const allZero = Object.fromEntries(Object.keys(critic.weights).map(factor => [factor, 0]));
+    await assert.rejects(critic.critique(solution, { ...context, qualityStandards: { solutionWeights: allZero } }), /at least one positive weight/);
+  });
+});
+
+describe('HeuristicFixerProvider', () => {
+  it('revises the weak factors instead of adding template sections', async () => {
+    const critique = await new HeuristicCriticProvider().critique(solution, context);
+    const { solution: fixed, changes } = await new HeuristicFixerProvider().fix(solution, critique, context);
+
+    assert.deepEqual(changes.map(change => change.area), critique.improvementAreas.filter(area => area !== 'innovationFactor'));
+    assert.equal(fixed.complexity, 0.7);
+    assert.equal(fixed.phases.length, 2);
+    assert.match(fixed.risks[0].mitigation, /token leakage/);
+    assert.equal(fixed.risks[2].mitigation, 'Fall back to password sign-in');
+    assert.equal(fixed.testing.strategy, 'integration');
+    assert.match(fixed.errorHandling, /OAuth sign-in for the portal/);
+    for (const field of ['technicalEnhancements', 'feasibilityImprovements', 'riskMitigations', 'innovativeEnhancements']) {
+      assert.equal(fixed[field], undefined);
+    }
+
+    const revised = await new HeuristicCriticProvider().critique(fixed, context);
+    assert.ok(revised.score > critique.score);
+  });
+
+  it('leaves solutions without weak factors unchanged', async () => {
+    const { solution: fixed, changes } = await new HeuristicFixerProvider().fix(solution, { improvementAreas: [] }, context);
+
+    assert.deepEqual(fixed, solution);
+    assert.deepEqual(changes, []);
+  });
+});
+
+describe('createCriticFixerProvider', () => {
+  it('builds providers from a name or a config', () => {
+    assert.ok(createCriticFixerProvider('heuristic', 'fixer') instanceof HeuristicFixerProvider);
+    assert.ok(createCriticFixerProvider({ provider: 'model', endpoint: 'http://127.0.0.1:1/v1/chat/completions' }) instanceof ModelCriticFixerProvider);
+  });
+
+  it('passes provider instances through', () => {
+    const critic = { name: 'custom', critique: async () => ({}) };
+
+    assert.equal(createCriticFixerProvider(critic, 'critic'), critic);
+  });
+
+  it('rejects unknown providers and roles', () => {
+    assert.throws(() => createCriticFixerProvider('oracle'), /Unknown critic provider: oracle/);
+    assert.throws(() => createCriticFixerProvider('heuristic', 'judge'), /Unknown critic-fixer role/);
+  });
+});
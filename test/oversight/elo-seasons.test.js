@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentELORankingSystem } from '../../src/oversight/recursive-learning-core.js';
+import { OversightEventLog, EVENT_TYPES } from '../../src/oversight/oversight-event-log.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+// Event log that cannot record season starts
+class SeasonlessEventLog extends OversightEventLog {
+  async record(type, data, options) {
+    if (type === EVENT_TYPES.SEASON) throw new Error('event log unavailable');
+    return super.record(type, data, options);
+  }
+}
+
+function rankings(storage, eventLog) {
+  return new AgentELORankingSystem({ storage, eventLog, decay: false });
+}
+
+function rate(system, agentId, rating) {
+  system.setAgentState(agentId, { rating });
+  system.dirtyAgents.add(agentId);
+}
+
+describe('AgentELORankingSystem seasons', () => {
+  it('persists a season whose event could not be recorded', async () => {
+    const storage = new MemoryStorage();
+    const system = rankings(storage, new SeasonlessEventLog({ storage }));
+    rate(system, 'coder-1', 1800);
+    await system.persistRankings();
+
+    await system.startSeason('sprint-2', { startedAt: '2026-10-01T00:00:00.000Z' });
+    await system.persistRankings();
+
+    const reloaded = rankings(storage, new OversightEventLog({ storage }));
+    await reloaded.loadRankings();
+    assert.deepEqual(reloaded.season, { sprintId: 'sprint-2', startedAt: '2026-10-01T00:00:00.000Z' });
+    assert.equal(reloaded.getAgentState('coder-1').rating, 1725);
+  });
+
+  it('does not mark agents dirty when the season event is recorded', async () => {
+    const storage = new MemoryStorage();
+    const system = rankings(storage, new OversightEventLog({ storage }));
+    rate(system, 'coder-1', 1800);
+    await system.persistRankings();
+
+    await system.startSeason('sprint-2', { startedAt: '2026-10-01T00:00:00.000Z' });
+
+    assert.equal(system.dirtyAgents.size, 0);
+    const stored = await storage.read('rankings/agent-rankings');
+    assert.equal(stored.season.sprintId, 'sprint-2');
+    assert.deepEqual(stored.agentStates, [['coder-1', { rating: 1725 }]]);
+  });
+
+  it('keeps a newer season another process started', async () => {
+    const storage = new MemoryStorage();
+    const first = rankings(storage, new OversightEventLog({ storage }));
+    await first.startSeason('sprint-2', { startedAt: '2026-10-01T00:00:00.000Z' });
+
+    const second = rankings(storage, new OversightEventLog({ storage }));
+    await second.loadRankings();
+    await second.startSeason('sprint-3', { startedAt: '2026-10-15T00:00:00.000Z' });
+
+    rate(first, 'coder-1', 1600);
+    await first.persistRankings();
+
+    assert.equal((await storage.read('rankings/agent-rankings')).season.sprintId, 'sprint-3');
+    assert.equal(first.season.sprintId, 'sprint-3');
+  });
+});
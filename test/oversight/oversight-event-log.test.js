@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, readFile, appendFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { JsonFileStorage } from '../../src/oversight/oversight-storage.js';
+import { OversightEventLog, EVENT_TYPES } from '../../src/oversight/oversight-event-log.js';
+
+const ALERTS = 'audit/oversight-alerts';
+const ROLLBACKS = 'verification/rollback-log';
+const AUDITS = 'audit/accountability-database';
+
+let root;
+let storage;
+
+function eventLog(options = {}) {
+  return new OversightEventLog({ storage, dir: join(root, 'events'), ...options });
+}
+
+function audit(taskId, overallScore) {
+  return {
+    agentId: 'agent-a',
+    taskId,
+    timestamp: '2026-10-01T10:00:00.000Z',
+    overallScore,
+    complianceLevel: overallScore >= 0.7 ? 'compliant' : 'non-compliant',
+    violations: [],
+    requiresOversight: overallScore < 0.7
+  };
+}
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'oversight-event-log-'));
+  storage = new JsonFileStorage({ root: join(root, 'claude') });
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+describe('OversightEventLog', () => {
+  it('replays the log into the documents it projected', async () => {
+    const log = eventLog();
+    await log.record(EVENT_TYPES.ROLLBACK, { taskId: 'task-1', strategy: 'file-snapshot' });
+    await log.record(EVENT_TYPES.ALERT, { message: 'Compliance dropped' });
+    await log.record(EVENT_TYPES.AUDIT, audit('task-1', 0.9));
+    await log.record(EVENT_TYPES.AUDIT, audit('task-2', 0.5));
+
+    const keys = [ALERTS, ROLLBACKS, AUDITS];
+    const projected = await Promise.all(keys.map(key => storage.read(key)));
+    await Promise.all(keys.map(key => storage.delete(key)));
+
+    assert.deepEqual(await eventLog().replay(), { events: 4, documents: 3, seeded: 0 });
+    assert.deepEqual(await Promise.all(keys.map(key => storage.read(key))), projected);
+    assert.equal(projected[2].metrics.totalTasks, 2);
+  });
+
+  it('seeds documents stored before the log once and replays from the snapshot', async () => {
+    await storage.write(ALERTS, [{ message: 'Before the log' }]);
+
+    await eventLog().record(EVENT_TYPES.ALERT, { message: 'First logged' });
+    await eventLog().record(EVENT_TYPES.ALERT, { message: 'Second logged' });
+
+    const events = await eventLog().readEvents();
+    assert.deepEqual(events.map(event => event.type), [EVENT_TYPES.SNAPSHOT, EVENT_TYPES.ALERT, EVENT_TYPES.ALERT]);
+    assert.deepEqual(events[0].data, { projection: 'oversight-alerts', key: ALERTS, document: [{ message: 'Before the log' }] });
+    assert.equal(events[0].source, 'event-log-seed');
+
+    await storage.write(ALERTS, []);
+    assert.deepEqual(await eventLog().replay(), { events: 3, documents: 1, seeded: 0 });
+    assert.deepEqual((await storage.read(ALERTS)).map(alert => alert.message), ['Before the log', 'First logged', 'Second logged']);
+  });
+
+  it('rotates segments at maxSegmentBytes', async () => {
+    const log = eventLog({ maxSegmentBytes: 600 });
+    for (let i = 0; i < 8; i++) {
+      await log.record(EVENT_TYPES.ALERT, { message: `Alert ${i}` });
+    }
+
+    const segments = await readdir(join(root, 'events'));
+    const jsonl = segments.filter(name => name.endsWith('.jsonl')).sort();
+    assert.ok(jsonl.length > 1);
+    assert.equal(jsonl[0], 'events-000001.jsonl');
+    for (const segment of jsonl) {
+      assert.ok((await stat(join(root, 'events', segment))).size <= 600);
+    }
+
+    const alerts = await log.readEvents({ types: [EVENT_TYPES.ALERT] });
+    assert.deepEqual(alerts.map(event => event.data.message), Array.from({ length: 8 }, (_, i) => `Alert ${i}`));
+    assert.equal((await log.getStats()).segments, jsonl.length);
+  });
+
+  it('skips a torn last line and terminates it before the next event', async () => {
+    const log = eventLog();
+    await log.record(EVENT_TYPES.ALERT, { message: 'Before the crash' });
+    const segment = join(root, 'events', 'events-000001.jsonl');
+    await appendFile(segment, '{"id":"evt_torn","type":"alert.rai');
+
+    assert.deepEqual((await log.readEvents()).map(event => event.data.message), ['Before the crash']);
+
+    await log.record(EVENT_TYPES.ALERT, { message: 'After the crash' });
+    const lines = (await readFile(segment, 'utf8')).split('\n');
+    assert.equal(lines[1], '{"id":"evt_torn","type":"alert.rai');
+    assert.equal(JSON.parse(lines[2]).data.message, 'After the crash');
+    assert.deepEqual((await log.readEvents()).map(event => event.data.message), ['Before the crash', 'After the crash']);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir, hostname } from 'node:os';
+import { spawnSync } from 'node:child_process';
+import { JsonFileStorage } from '../../src/oversight/oversight-storage.js';
+
+let root;
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'oversight-storage-'));
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+async function writeLock(key, owner) {
+  await mkdir(root, { recursive: true });
+  await writeFile(join(root, `${key}.json.lock`), JSON.stringify({ token: 'held', host: hostname(), ...owner }));
+}
+
+describe('JsonFileStorage', () => {
+  it('loses no writes when two instances update the same document', async () => {
+    const first = new JsonFileStorage({ root });
+    const second = new JsonFileStorage({ root });
+    const increment = storage => storage.update('counters', counters => ({ count: counters.count + 1 }), { count: 0 });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => increment(i % 2 === 0 ? first : second)));
+
+    assert.deepEqual(await first.read('counters'), { count: 20 });
+    assert.deepEqual((await readdir(root)).sort(), ['counters.json']);
+  });
+
+  it('breaks a lock whose owner died', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await writeLock('rankings', { pid });
+
+    const storage = new JsonFileStorage({ root, lockTimeoutMs: 1000 });
+    await storage.write('rankings', { season: 1 });
+
+    assert.deepEqual(await storage.read('rankings'), { season: 1 });
+    assert.deepEqual(await readdir(root), ['rankings.json']);
+  });
+
+  it('waits for a lock whose owner is alive', async () => {
+    await writeLock('rankings', { pid: process.pid });
+
+    const storage = new JsonFileStorage({ root, lockTimeoutMs: 100 });
+    await assert.rejects(storage.write('rankings', { season: 1 }), { code: 'ESTORAGELOCKED' });
+
+    assert.equal(await storage.read('rankings'), null);
+    assert.equal(JSON.parse(await readFile(join(root, 'rankings.json.lock'), 'utf8')).token, 'held');
+  });
+
+  it('never replaces a document with a torn temp file', async () => {
+    const storage = new JsonFileStorage({ root });
+    await storage.write('memory', { records: [1, 2] });
+
+    // A writer that crashed mid-write leaves its temp file behind
+    await writeFile(join(root, `memory.json.99999.0badf00d.tmp`), '{"records": [1, 2, 3');
+    // A write that fails while serializing leaves nothing behind
+    await assert.rejects(storage.write('memory', { records: [1n] }), TypeError);
+
+    assert.deepEqual(await storage.read('memory'), { records: [1, 2] });
+    assert.deepEqual(await storage.list(), ['memory']);
+    assert.deepEqual((await readdir(root)).sort(), ['memory.json', 'memory.json.99999.0badf00d.tmp']);
+  });
+
+  it('quarantines a corrupt document and reports it', async () => {
+    const storage = new JsonFileStorage({ root });
+    await writeFile(join(root, 'memory.json'), '{"records": [1, 2');
+
+    await assert.rejects(storage.read('memory'), error => {
+      assert.equal(error.code, 'ESTORAGECORRUPT');
+      assert.equal(error.key, 'memory');
+      return true;
+    });
+
+    const [quarantined] = await readdir(root);
+    assert.match(quarantined, /^memory\.json\.corrupt-\d+$/);
+    assert.equal(await readFile(join(root, quarantined), 'utf8'), '{"records": [1, 2');
+
+    // The next update starts from the fallback instead of failing again
+    assert.deepEqual(await storage.update('memory', memory => ({ records: [...memory.records, 3] }), { records: [] }), { records: [3] });
+  });
+});
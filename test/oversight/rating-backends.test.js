@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EloRatingBackend,
+  Glicko2RatingBackend,
+  createRatingBackend
+} from '../../src/oversight/rating-backends.js';
+import { AgentELORankingSystem } from '../../src/oversight/recursive-learning-core.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+function assertClose(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+describe('Glicko2RatingBackend', () => {
+  // The worked example of Glickman's "Example of the Glicko-2 system" (2012)
+  const player = { rating: 1500, deviation: 200, volatility: 0.06 };
+  const games = [
+    { opponent: { rating: 1400, deviation: 30 }, score: 1 },
+    { opponent: { rating: 1550, deviation: 100 }, score: 0 },
+    { opponent: { rating: 1700, deviation: 300 }, score: 0 }
+  ];
+
+  it('rates a period of games as in the Glicko-2 worked example', () => {
+    const updated = new Glicko2RatingBackend().updateMatches(player, games);
+
+    assertClose(updated.rating, 1464.06, 0.01);
+    assertClose(updated.deviation, 151.52, 0.01);
+    assertClose(updated.volatility, 0.05999, 0.00001);
+  });
+
+  it('finds the worked example volatility with the Illinois algorithm', () => {
+    // φ, v and Δ of the worked example on the Glicko-2 scale
+    const volatility = new Glicko2RatingBackend().updateVolatility(1.1513, 0.06, 1.7785, -0.4834);
+
+    assertClose(volatility, 0.05999, 0.00001);
+  });
+
+  it('gives a confidence interval of z deviations around the rating', () => {
+    const backend = new Glicko2RatingBackend();
+
+    assert.deepEqual(backend.confidenceInterval(player), { low: 1500 - 1.96 * 200, high: 1500 + 1.96 * 200 });
+    assert.deepEqual(backend.confidenceInterval(player, 1), { low: 1300, high: 1700 });
+    assert.deepEqual(backend.confidenceInterval({}), { low: 1500 - 1.96 * 350, high: 1500 + 1.96 * 350 });
+    assert.equal(new EloRatingBackend().confidenceInterval(player), null);
+  });
+
+  it('counts ratings with a deviation above provisionalDeviation as uncertain', () => {
+    const backend = new Glicko2RatingBackend({ provisionalDeviation: 110 });
+
+    assert.equal(backend.isUncertain({ rating: 1500, deviation: 111 }), true);
+    assert.equal(backend.isUncertain({ rating: 1500, deviation: 110 }), false);
+    assert.equal(backend.isUncertain({}), true);
+  });
+});
+
+describe('AgentELORankingSystem.getTopPerformers', () => {
+  function rankings() {
+    const system = new AgentELORankingSystem({ storage: new MemoryStorage(), rating: 'glicko2', decay: false });
+    system.agentStates.set('established', { rating: 1600, deviation: 60, volatility: 0.06 });
+    system.agentStates.set('newcomer', { rating: 1800, deviation: 300, volatility: 0.06 });
+    system.agentStates.set('steady', { rating: 1550, deviation: 90, volatility: 0.06 });
+    return system;
+  }
+
+  it('ranks every agent by default and marks provisional ratings', () => {
+    const top = rankings().getTopPerformers(10);
+
+    assert.deepEqual(top.map(agent => agent.agentId), ['newcomer', 'established', 'steady']);
+    assert.deepEqual(top.map(agent => agent.provisional), [true, false, false]);
+    assert.deepEqual(top[1].confidenceInterval, { low: 1482, high: 1718 });
+  });
+
+  it('leaves out provisional ratings with hideUncertain', () => {
+    const top = rankings().getTopPerformers(10, { hideUncertain: true });
+
+    assert.deepEqual(top.map(agent => agent.agentId), ['established', 'steady']);
+  });
+});
+
+describe('createRatingBackend', () => {
+  it('builds a backend from a name or a config', () => {
+    assert.ok(createRatingBackend() instanceof EloRatingBackend);
+    assert.ok(createRatingBackend('glicko2') instanceof Glicko2RatingBackend);
+    assert.equal(createRatingBackend({ backend: 'glicko2', tau: 0.3 }).tau, 0.3);
+  });
+
+  it('passes backend instances through', () => {
+    const backend = new Glicko2RatingBackend();
+
+    assert.equal(createRatingBackend(backend), backend);
+  });
+
+  it('rejects unknown backends', () => {
+    assert.throws(() => createRatingBackend('trueskill'), /Unknown rating backend: trueskill \(expected one of elo, glicko2\)/);
+    assert.throws(() => createRatingBackend({ backend: 'trueskill' }), /Unknown rating backend/);
+  });
+});
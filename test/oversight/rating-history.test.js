@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentELORankingSystem } from '../../src/oversight/recursive-learning-core.js';
+import { RatingHistory } from '../../src/oversight/rating-history.js';
+import { OversightEventLog, EVENT_TYPES } from '../../src/oversight/oversight-event-log.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+const taskResult = taskId => ({ taskId, taskType: 'feature', complexity: 0.5, success: true, qualityScore: 0.9, sprintId: 'sprint-7' });
+
+describe('RatingHistory sprint ids', () => {
+  it('puts the season sprint on task, match and team points', async () => {
+    const storage = new MemoryStorage();
+    const eventLog = new OversightEventLog({ storage });
+    const system = new AgentELORankingSystem({ storage, eventLog, decay: false });
+
+    await system.updateAgentRating('coder-1', taskResult('T-1'), 0.9);
+    await system.recordMatches('T-2', [{ agentId: 'coder-1', score: 0.9 }, { agentId: 'coder-2', score: 0.5 }], { taskType: 'feature' });
+    await system.updateTeamRating(['coder-1', 'coder-2'], taskResult('T-3'), 0.9);
+
+    const points = await new RatingHistory({ eventLog }).query();
+    assert.deepEqual([...new Set(points.map(point => point.source))], ['task', 'match', 'team']);
+    assert.ok(points.every(point => point.sprintId === 'sprint-7'));
+
+    const ratingEvents = await eventLog.readEvents({ types: [EVENT_TYPES.RATING, EVENT_TYPES.MATCH, EVENT_TYPES.TEAM] });
+    assert.ok(ratingEvents.every(event => event.data.sprintId === 'sprint-7'));
+  });
+
+  it('gives points of events without a sprint the season started last', async () => {
+    const storage = new MemoryStorage();
+    const eventLog = new OversightEventLog({ storage });
+    await eventLog.record(EVENT_TYPES.RATING, { agentId: 'coder-1', state: { rating: 1510 } }, { timestamp: '2026-09-01T00:00:00.000Z' });
+    await eventLog.record(EVENT_TYPES.SEASON, {
+      season: { sprintId: 'sprint-6', startedAt: '2026-09-02T00:00:00.000Z' },
+      previous: null,
+      agentStates: [['coder-1', { rating: 1507 }]],
+      skillStates: []
+    }, { timestamp: '2026-09-02T00:00:00.000Z' });
+    await eventLog.record(EVENT_TYPES.RATING, { agentId: 'coder-1', state: { rating: 1520 } }, { timestamp: '2026-09-03T00:00:00.000Z' });
+
+    const points = await new RatingHistory({ eventLog }).query({ agentId: 'coder-1' });
+
+    assert.deepEqual(points.map(point => [point.source, point.sprintId]), [['task', null], ['season', 'sprint-6'], ['task', 'sprint-6']]);
+  });
+});
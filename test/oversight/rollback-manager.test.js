@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import {
+  RollbackManager,
+  NoopRollbackStrategy,
+  GitRollbackStrategy,
+  FileSnapshotRollbackStrategy
+} from '../../src/oversight/rollback-manager.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+let cwd;
+
+beforeEach(async () => {
+  cwd = await mkdtemp(join(tmpdir(), 'oversight-rollback-'));
+});
+
+afterEach(async () => {
+  await rm(cwd, { recursive: true, force: true });
+});
+
+async function exists(path) {
+  return access(join(cwd, path)).then(() => true, () => false);
+}
+
+function git(...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+async function commitFile(path, content) {
+  await mkdir(join(cwd, path, '..'), { recursive: true });
+  await writeFile(join(cwd, path), content);
+  git('add', path);
+  git('commit', '-q', '-m', `Write ${path}`);
+}
+
+describe('NoopRollbackStrategy', () => {
+  it('records a skipped rollback', async () => {
+    assert.equal((await new NoopRollbackStrategy().rollback()).status, 'skipped');
+  });
+});
+
+describe('FileSnapshotRollbackStrategy', () => {
+  it('restores binary files byte for byte and recreates their directories', async () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80]);
+    await mkdir(join(cwd, 'assets/icons'), { recursive: true });
+    await writeFile(join(cwd, 'assets/icons/logo.png'), bytes);
+    await writeFile(join(cwd, 'README.md'), 'Before the task\n');
+
+    const strategy = new FileSnapshotRollbackStrategy({ cwd, storage: new MemoryStorage() });
+    const checkpoint = await strategy.capture({ files: ['assets/icons/logo.png', 'README.md', 'src/new.js'] });
+
+    await rm(join(cwd, 'assets'), { recursive: true });
+    await writeFile(join(cwd, 'README.md'), 'After the task\n');
+    await mkdir(join(cwd, 'src'));
+    await writeFile(join(cwd, 'src/new.js'), 'export {};\n');
+
+    const outcome = await strategy.rollback(checkpoint);
+
+    assert.equal(outcome.status, 'rolled_back');
+    assert.deepEqual(outcome.details.restored, ['assets/icons/logo.png', 'README.md']);
+    assert.deepEqual(outcome.details.removed, ['src/new.js']);
+    assert.deepEqual(await readFile(join(cwd, 'assets/icons/logo.png')), bytes);
+    assert.equal(await readFile(join(cwd, 'README.md'), 'utf8'), 'Before the task\n');
+    assert.equal(await exists('src/new.js'), false);
+  });
+
+  it('restores utf8 snapshots taken before contents were encoded', async () => {
+    const storage = new MemoryStorage();
+    await storage.write('verification/rollback-snapshots/snapshot_old', {
+      snapshotId: 'snapshot_old',
+      entries: [{ file: 'notes.txt', exists: true, content: 'Grüße\n' }]
+    });
+
+    await new FileSnapshotRollbackStrategy({ cwd, storage }).rollback({ snapshotId: 'snapshot_old' });
+
+    assert.equal(await readFile(join(cwd, 'notes.txt'), 'utf8'), 'Grüße\n');
+  });
+
+  it('skips without a snapshot and fails on a missing one', async () => {
+    const strategy = new FileSnapshotRollbackStrategy({ cwd, storage: new MemoryStorage() });
+
+    assert.equal((await strategy.rollback({})).status, 'skipped');
+    assert.equal((await strategy.rollback({ snapshotId: 'snapshot_gone' })).status, 'failed');
+  });
+});
+
+describe('GitRollbackStrategy', () => {
+  beforeEach(async () => {
+    git('init', '-q');
+    // The strategy's stash needs an identity too
+    git('config', 'user.name', 'Oversight');
+    git('config', 'user.email', 'oversight@example.com');
+    await commitFile('src/app.js', 'export const version = 1;\n');
+  });
+
+  it('stashes uncommitted changes and leaves .claude alone', async () => {
+    const strategy = new GitRollbackStrategy({ cwd });
+    const checkpoint = await strategy.capture();
+    await writeFile(join(cwd, 'src/app.js'), 'export const version = 2;\n');
+    await writeFile(join(cwd, 'src/extra.js'), 'export {};\n');
+    await mkdir(join(cwd, '.claude'));
+    await writeFile(join(cwd, '.claude/state.json'), '{}');
+
+    const outcome = await strategy.rollback(checkpoint, { verificationId: 'verify_1' });
+
+    assert.equal(outcome.status, 'rolled_back');
+    assert.equal(await readFile(join(cwd, 'src/app.js'), 'utf8'), 'export const version = 1;\n');
+    assert.equal(await exists('src/extra.js'), false);
+    assert.equal(await exists('.claude/state.json'), true);
+    assert.equal(outcome.details.stash, git('rev-parse', 'stash@{0}'));
+    assert.match(git('stash', 'list'), /oversight rollback verify_1/);
+  });
+
+  it('restores the checkpoint files in commit mode without moving HEAD', async () => {
+    const strategy = new GitRollbackStrategy({ cwd, mode: 'commit' });
+    const checkpoint = await strategy.capture();
+    await commitFile('src/app.js', 'export const version = 2;\n');
+    await commitFile('src/feature.js', 'export const feature = true;\n');
+    const head = git('rev-parse', 'HEAD');
+
+    const outcome = await strategy.rollback(checkpoint);
+
+    assert.equal(outcome.status, 'rolled_back');
+    assert.equal(outcome.details.restoredCommit, checkpoint.commit);
+    assert.deepEqual(outcome.details.removedFiles, ['src/feature.js']);
+    assert.equal(git('rev-parse', 'HEAD'), head);
+    assert.equal(await readFile(join(cwd, 'src/app.js'), 'utf8'), 'export const version = 1;\n');
+    assert.equal(await exists('src/feature.js'), false);
+    // Staged on top of HEAD: the tree matches the checkpoint, the commits stay in the log
+    assert.equal(git('diff', '--cached', checkpoint.commit), '');
+    assert.equal(git('rev-list', '--count', 'HEAD'), '3');
+  });
+
+  it('skips a clean working tree in stash mode', async () => {
+    const strategy = new GitRollbackStrategy({ cwd });
+
+    assert.equal((await strategy.rollback(await strategy.capture())).status, 'skipped');
+  });
+});
+
+describe('RollbackManager', () => {
+  it('records each rollback under its verification id', async () => {
+    const manager = new RollbackManager({ storage: new MemoryStorage(), strategy: 'snapshot', snapshot: { cwd } });
+    await writeFile(join(cwd, 'config.json'), '{"retries":3}');
+    const checkpoint = await manager.captureCheckpoint({ files: ['config.json'] });
+    await writeFile(join(cwd, 'config.json'), '{"retries":0}');
+
+    const record = await manager.executeRollback({ verificationId: 'verify_7' }, checkpoint);
+
+    assert.equal(record.status, 'rolled_back');
+    assert.equal(await readFile(join(cwd, 'config.json'), 'utf8'), '{"retries":3}');
+    assert.deepEqual(await manager.getRollback('verify_7'), record);
+  });
+
+  it('records a failed rollback instead of throwing', async () => {
+    const manager = new RollbackManager({
+      storage: new MemoryStorage(),
+      strategy: { name: 'broken', rollback: async () => { throw new Error('disk full'); } }
+    });
+
+    const record = await manager.executeRollback({ verificationId: 'verify_8' });
+
+    assert.equal(record.status, 'failed');
+    assert.deepEqual(record.details, { error: 'disk full' });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SolutionEvolution } from '../../src/oversight/solution-evolution.js';
+
+// Critic that scores complexity and the share of mitigated risks
+async function evaluate(solution) {
+  const risks = solution.risks || [];
+  const factors = {
+    implementationFeasibility: 1 - (solution.complexity ?? 0.5),
+    riskAssessment: risks.length > 0 ? risks.filter(risk => risk.mitigation).length / risks.length : 0.5
+  };
+  return { score: (factors.implementationFeasibility + factors.riskAssessment) / 2, factors };
+}
+
+function sortedJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(sortedJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${sortedJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const cache = { name: 'Cache', complexity: 0.6, risks: [{ risk: 'Stale reads', mitigation: 'Short TTL' }, { risk: 'Cold start' }] };
+
+describe('SolutionEvolution', () => {
+  it('drops clones from the starting population, whatever their key order', async () => {
+    const reordered = { risks: cache.risks, complexity: 0.6, name: 'Cache' };
+    const evolution = new SolutionEvolution({ generations: 0 });
+
+    const { population } = await evolution.run([cache, reordered, { ...cache, complexity: 0.4 }], evaluate);
+
+    assert.deepEqual(population.map(member => member.id), ['g0-2', 'g0-0']);
+  });
+
+  it('leaves no clones in the final population', async () => {
+    const solutions = [
+      cache,
+      { ...cache },
+      { name: 'Queue', complexity: 0.5, risks: [{ risk: 'Backlog growth' }, { risk: 'Poison messages', mitigation: 'Dead-letter queue' }] },
+      { name: 'Replica', complexity: 0.7, risks: [{ risk: 'Replication lag', mitigation: 'Read-your-writes routing' }] }
+    ];
+    const evolution = new SolutionEvolution({ generations: 6, patience: 6, populationSize: 8, seed: 7 });
+
+    const { population } = await evolution.run(solutions, evaluate);
+    const keys = population.map(member => `${sortedJSON(member.critique.factors)}\n${sortedJSON({ ...member.solution, critique: undefined })}`);
+
+    assert.equal(new Set(keys).size, population.length);
+    assert.ok(population.every((member, index) => index === 0 || population[index - 1].critique.score >= member.critique.score));
+  });
+});
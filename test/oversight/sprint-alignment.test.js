@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { SprintContextValidator } from '../../src/oversight/sprint-context-validator.js';
+import { AgentAccountabilityAuditor } from '../../src/oversight/agent-accountability-auditor.js';
+import { VerificationLayer } from '../../src/oversight/recursive-learning-core.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+const decisions = [
+  { title: 'Service layout', details: { status: 'Accepted', decision: 'Services must not call the billing database directly' } },
+  { title: 'Persistence', details: { status: 'Accepted', decision: 'Use PostgreSQL instead of MongoDB' } },
+  { title: 'Queues', details: { status: 'Proposed', decision: 'No message queues' } }
+];
+
+describe('SprintContextValidator', () => {
+  const validator = new SprintContextValidator({ storage: new MemoryStorage() });
+
+  it('flags tasks that propose what an accepted decision rules out', async () => {
+    const result = await validator.validateArchitecturalConsistency('Store invoices in MongoDB and add a message queue', decisions);
+
+    assert.deepEqual(result.issues, ['Potential conflict with architectural decision: Persistence']);
+    assert.equal(result.score, 0.7);
+  });
+
+  it('does not flag tasks that only share common words with a prohibition', async () => {
+    const result = await validator.validateArchitecturalConsistency('Call the PostgreSQL database from the invoice service', decisions);
+
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.score, 1);
+  });
+
+  it('relates tasks to acceptance criteria through stems and not substrings', async () => {
+    const criteria = ['Users authenticate with single sign-on', 'Unit test coverage > 80%'];
+
+    const related = await validator.validateAcceptanceCriteria('Add authentication for single sign-on users', criteria);
+    assert.equal(related.details.relevantCriteria, 1);
+    assert.equal(related.details.closestCriterion, 'Users authenticate with single sign-on');
+    assert.equal(related.score, 0.8);
+
+    // "a" and "on" are inside words of the task but are not terms of it
+    const unrelated = await validator.validateAcceptanceCriteria('Rename the dashboard colour palette', ['Runs on a schedule']);
+    assert.equal(unrelated.details.relevantCriteria, 0);
+    assert.equal(unrelated.score, 0.5);
+  });
+});
+
+describe('SprintContextValidator.loadSprintContext', () => {
+  it('loads the glossary and the documents that exist when others are missing', async () => {
+    const validator = new SprintContextValidator({ storage: new MemoryStorage() });
+    validator.currentSprintDir = await mkdtemp(join(tmpdir(), 'oversight-sprint-'));
+
+    try {
+      await writeFile(join(validator.currentSprintDir, 'sprint-goals.md'), '- [ ] Ship checkout\n');
+      await writeFile(join(validator.currentSprintDir, 'glossary.json'), JSON.stringify({ checkout: ['cart', 'purchase'] }));
+
+      const context = await validator.loadSprintContext();
+
+      assert.deepEqual(context.goals, ['Ship checkout']);
+      assert.equal(context.acceptanceCriteria, undefined);
+      assert.equal(context.glossary.length, 1);
+
+      validator.similarity.indexSprintContext(context);
+      const alignment = await validator.validateGoalAlignment('Let customers purchase what is in their cart', context.goals);
+      assert.ok(alignment.details.glossaryMatches.length > 0);
+    } finally {
+      await rm(validator.currentSprintDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('AgentAccountabilityAuditor.calculateRequirementAlignment', () => {
+  const auditor = new AgentAccountabilityAuditor({ storage: new MemoryStorage() });
+  const requirements = {
+    functional: ['- Customers reset their password by email'],
+    nonFunctional: ['- Password reset emails arrive within a minute'],
+    outOfScope: ['- Social login']
+  };
+
+  it('scores tasks against the sprint requirements', () => {
+    const aligned = auditor.calculateRequirementAlignment({ description: 'Email a password reset link to customers' }, requirements);
+    const unrelated = auditor.calculateRequirementAlignment({ description: 'Add social login buttons' }, requirements);
+
+    assert.ok(aligned > 0.5);
+    assert.equal(unrelated, 0);
+  });
+
+  it('is neutral when the sprint has no requirements', () => {
+    assert.equal(auditor.calculateRequirementAlignment({ description: 'Anything' }, { functional: [], nonFunctional: [] }), 0.5);
+  });
+});
+
+describe('VerificationLayer.verifySprintAlignment', () => {
+  it('reports keywords as written, not as stems', async () => {
+    const layer = new VerificationLayer('moderate', { storage: new MemoryStorage() });
+    const result = await layer.verifySprintAlignment(
+      { description: 'Authentication for the customer portal' },
+      { goals: ['Implement secure authentication', 'Improve portal performance'] }
+    );
+
+    assert.ok(result.details.outputKeywords.includes('authentication'));
+    assert.ok(result.details.goalKeywords.includes('authentication'));
+    assert.ok(!result.details.goalKeywords.includes('authent'));
+    assert.equal(result.details.goalKeywords.filter(keyword => keyword === 'authentication').length, 1);
+  });
+});
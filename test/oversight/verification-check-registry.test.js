@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { VerificationCheckRegistry } from '../../src/oversight/verification-check-registry.js';
+import { VerificationLayer } from '../../src/oversight/recursive-learning-core.js';
+import { MemoryStorage } from '../../src/oversight/oversight-storage.js';
+
+const verify = async () => ({ score: 0.9, details: {} });
+
+describe('VerificationCheckRegistry.getEnabledChecks', () => {
+  it('filters on the weights after they are overridden', () => {
+    const registry = new VerificationCheckRegistry();
+    registry.register('lint', { verify });
+    registry.register('docsLinks', { verify, weight: 0 });
+    registry.register('coverage', { verify, enabled: false });
+
+    assert.deepEqual(registry.getEnabledChecks().map(check => check.name), ['lint']);
+    assert.deepEqual(registry.getEnabledChecks({ lint: 0, docsLinks: 2, coverage: 1 }).map(check => check.name), ['docsLinks']);
+  });
+});
+
+describe('VerificationLayer.runChecks', () => {
+  it('runs the checks the scoring profile weights, at the profile weight', async () => {
+    const layer = new VerificationLayer('moderate', {
+      storage: new MemoryStorage(),
+      checks: { docsLinks: { verify, weight: 0 } }
+    });
+    const sprintContext = {
+      goals: ['Document the public API'],
+      glossary: [],
+      scoringProfile: { threshold: 0.6, weights: { docsLinks: 2, crossAgentConsistency: 0 } }
+    };
+
+    const checks = await layer.runChecks({ description: 'Document the public API' }, sprintContext);
+
+    assert.equal(checks.docsLinks.weight, 2);
+    assert.equal(checks.crossAgentConsistency, undefined);
+    assert.deepEqual(Object.keys(checks), ['sprintAlignment', 'qualityStandards', 'historicalCompliance', 'contextAccuracy', 'docsLinks']);
+  });
+});